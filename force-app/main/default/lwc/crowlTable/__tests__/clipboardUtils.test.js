@@ -0,0 +1,38 @@
+import { parseClipboardValue } from '../clipboardUtils';
+
+const CURRENCY = { field_api: 'Amount__c', dataType: 'currency' };
+
+describe('clipboardUtils', () => {
+    it('parses pasted numbers with the locale separators', () => {
+        const parse = (text, locale) => parseClipboardValue(CURRENCY, text, locale);
+
+        expect(parse('1234.5', 'en-US')).toBe(1234.5);
+        expect(parse('$1,234.50', 'en-US')).toBe(1234.5);
+        expect(parse('12%', 'en-US')).toBe(12);
+        expect(parse('-7', 'en-US')).toBe(-7);
+        expect(parse('1.234,56', 'de-DE')).toBe(1234.56);
+        expect(parse('1.234,56 €', 'de-DE')).toBe(1234.56);
+        // The plain form the table copies still parses in a decimal-comma locale
+        expect(parse('1234.5', 'de-DE')).toBe(1234.5);
+        expect(parse('1 234,5', 'fr-FR')).toBe(1234.5);
+        expect(parse('', 'en-US')).toBeNull();
+    });
+
+    it('reads accounting parentheses as negative', () => {
+        expect(parseClipboardValue(CURRENCY, '(500)', 'en-US')).toBe(-500);
+        expect(parseClipboardValue(CURRENCY, '($1,250.00)', 'en-US')).toBe(-1250);
+    });
+
+    it('reads the text the table copies as the plain number in a dot-grouping locale', () => {
+        expect(parseClipboardValue(CURRENCY, '1.234', 'de-DE')).toBe(1.234);
+        expect(parseClipboardValue(CURRENCY, '100.125', 'de-DE')).toBe(100.125);
+        expect(parseClipboardValue(CURRENCY, '(1.234)', 'de-DE')).toBe(-1.234);
+    });
+
+    it('returns ambiguous or invalid text unchanged', () => {
+        expect(parseClipboardValue(CURRENCY, '1.234,56', 'en-US')).toBe('1.234,56');
+        expect(parseClipboardValue(CURRENCY, '0.100', 'de-DE')).toBe('0.100');
+        expect(parseClipboardValue(CURRENCY, '12-34', 'en-US')).toBe('12-34');
+        expect(parseClipboardValue(CURRENCY, 'abc', 'en-US')).toBe('abc');
+    });
+});
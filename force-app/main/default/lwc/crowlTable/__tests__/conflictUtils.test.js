@@ -0,0 +1,66 @@
+import {
+    getCellStatus,
+    detectConflicts,
+    buildMerge,
+    CELL_UNCHANGED,
+    CELL_SERVER_CHANGED,
+    CELL_LOCAL_CHANGED,
+    CELL_CONFLICT,
+    KEEP_MINE,
+    EDIT_VALUE
+} from '../conflictUtils';
+
+const COLUMNS = [
+    { field_api: 'Name' },
+    { field_api: 'Amount__c' },
+    { field_api: 'Double__c', isFormula: true }
+];
+
+function toMap(rows) {
+    return new Map(rows.map(row => [row.Id, row]));
+}
+
+describe('conflictUtils', () => {
+    it('classifies a cell from its loaded, local and server values', () => {
+        expect(getCellStatus('a', 'a', 'a')).toBe(CELL_UNCHANGED);
+        expect(getCellStatus('a', 'a', 'b')).toBe(CELL_SERVER_CHANGED);
+        expect(getCellStatus('a', 'b', 'a')).toBe(CELL_LOCAL_CHANGED);
+        expect(getCellStatus('a', 'b', 'c')).toBe(CELL_CONFLICT);
+        // Both sides made the same change
+        expect(getCellStatus('a', 'b', 'b')).toBe(CELL_UNCHANGED);
+        expect(getCellStatus(null, '', undefined)).toBe(CELL_UNCHANGED);
+    });
+
+    it('reports deleted rows and treats fields the server left out as unchanged there', () => {
+        const base = [{ Id: '1', Name: 'One', Amount__c: 1 }, { Id: '2', Name: 'Two', Amount__c: 2 }];
+        const local = [{ Id: '1', Name: 'One', Amount__c: 10 }, { Id: '2', Name: 'Two!', Amount__c: 2 }];
+        const server = [{ Id: '1', Name: 'Uno', SystemModstamp: 'later' }];
+
+        const report = detectConflicts(['1', '2'], toMap(base), toMap(local), server, COLUMNS);
+
+        expect(report[0].cells.map(cell => [cell.fieldApi, cell.status])).toEqual([
+            ['Name', CELL_SERVER_CHANGED],
+            ['Amount__c', CELL_LOCAL_CHANGED]
+        ]);
+        expect(report[0].isDeleted).toBe(false);
+        expect(report[1]).toMatchObject({ rowId: '2', isDeleted: true, cells: [] });
+    });
+
+    it('rebases on the server copy and changes the grid only where a choice differs from it', () => {
+        const base = [{ Id: '1', Name: 'One', Amount__c: 1, SystemModstamp: 'then' }];
+        const local = [{ Id: '1', Name: 'One', Amount__c: 10 }];
+        const server = [{ Id: '1', Name: 'Uno', Amount__c: 5, SystemModstamp: 'now' }];
+        const report = detectConflicts(['1'], toMap(base), toMap(local), server, COLUMNS);
+
+        const byDefault = buildMerge(report);
+        expect(byDefault.baselines.get('1')).toEqual({ SystemModstamp: 'now', Name: 'Uno', Amount__c: 5 });
+        // Server-only changes are taken, conflicts keep the grid value
+        expect(byDefault.changes).toEqual([{ rowId: '1', fieldApi: 'Name', oldValue: 'One', newValue: 'Uno' }]);
+
+        const chosen = buildMerge(report, {
+            '1_Name': { choice: KEEP_MINE },
+            '1_Amount__c': { choice: EDIT_VALUE, value: 7 }
+        });
+        expect(chosen.changes).toEqual([{ rowId: '1', fieldApi: 'Amount__c', oldValue: 10, newValue: 7 }]);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Benchmark harness for CrowlTable component
+ * Loads generated rows into a table and times the interactions that have
+ * to stay smooth at 10,000 rows: first render, a scroll sweep, search,
+ * sort and a single-cell edit. Everything goes through the public API and
+ * the rendered controls, so the harness stays out of the component.
+ *
+ * The suite runs on a few rows; for real numbers set BENCHMARK_ROWS:
+ *   BENCHMARK_ROWS=10000 npx sfdx-lwc-jest -- crowlTable.benchmark
+ */
+
+import { createElement } from 'lwc';
+import CrowlTable from 'c/crowlTable';
+import { generateMockTableData } from '../mockDataGenerator';
+import { getTypeFamily, NUMBER_FAMILY } from '../fieldTypes';
+
+const DEFAULT_BENCHMARK_ROWS = 10000;
+const DEFAULT_SCROLL_STEPS = 40;
+const DEFAULT_SEARCH_TERM = 'Smith';
+// Matches the search input debounce in crowlTable.js
+const SEARCH_DEBOUNCE_MS = 300;
+const BENCHMARK_TIMEOUT_MS = 120000;
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves once the browser has painted the pending render
+function nextFrame() {
+    return new Promise(resolve => {
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => setTimeout(resolve, 0));
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
+}
+
+function round(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+// Runs an action and waits for its render; returns the elapsed time
+async function measure(action) {
+    const start = now();
+    await action();
+    await nextFrame();
+    return now() - start;
+}
+
+function createBenchmarkTable() {
+    const element = createElement('c-crowl-table', { is: CrowlTable });
+    element.useApex = false;
+    element.mockConfig = { rowCount: 1 };
+    element.viewStorage = { loadViews: () => Promise.resolve([]), saveViews: () => Promise.resolve() };
+    document.body.appendChild(element);
+    return element;
+}
+
+function query(element, selector) {
+    return element.shadowRoot.querySelector(selector);
+}
+
+/**
+ * Runs the benchmark on a table of its own. Each step includes the render
+ * it causes; search excludes the input debounce.
+ * @param {Object} options - { rowCount, scrollSteps, searchTerm, mockConfig };
+ *   rowCount overrides the mock config's, which defaults to DEFAULT_BENCHMARK_ROWS
+ * @returns {Promise<Object>} - { element, rowCount, steps: [{ name, ms, maxMs }], totalMs };
+ *   maxMs is the slowest frame of steps made of several frames
+ */
+async function runBenchmark(options = {}) {
+    const mockConfig = options.mockConfig || {};
+    const rowCount = options.rowCount || mockConfig.rowCount || DEFAULT_BENCHMARK_ROWS;
+    const scrollSteps = options.scrollSteps || DEFAULT_SCROLL_STEPS;
+    const searchTerm = options.searchTerm || DEFAULT_SEARCH_TERM;
+    const steps = [];
+    const record = (name, ms, maxMs = ms) => steps.push({ name, ms: round(ms), maxMs: round(maxMs) });
+
+    const element = createBenchmarkTable();
+    await nextFrame();
+    const data = generateMockTableData({ ...mockConfig, rowCount });
+    const numberColumn = data.columns.find(col => getTypeFamily(col['data-type']) === NUMBER_FAMILY && !col.formula);
+
+    record('load', await measure(() => element.setTableData(data)));
+
+    // Sweep down and back up; ms is the average frame
+    const container = query(element, '.table-container');
+    const scrollHeight = container.scrollHeight - container.clientHeight;
+    const frameTimes = [];
+    for (let step = 0; step <= scrollSteps * 2; step++) {
+        const position = step <= scrollSteps ? step : scrollSteps * 2 - step;
+        frameTimes.push(await measure(() => {
+            container.scrollTop = (scrollHeight * position) / scrollSteps;
+            container.dispatchEvent(new CustomEvent('scroll'));
+        }));
+    }
+    record('scroll', frameTimes.reduce((sum, ms) => sum + ms, 0) / frameTimes.length, Math.max(...frameTimes));
+
+    record('search', await measure(() => {
+        const input = query(element, '[data-id="search-input"]');
+        input.value = searchTerm;
+        input.dispatchEvent(new CustomEvent('input'));
+        return wait(SEARCH_DEBOUNCE_MS);
+    }) - SEARCH_DEBOUNCE_MS);
+    record('clear search', await measure(() => query(element, 'button[title="Clear search"]').click()));
+    record('sort', await measure(() => element.setSortKeys([{ fieldApi: numberColumn.field_api, direction: 'desc' }])));
+    record('clear sort', await measure(() => element.setSortKeys([])));
+
+    Array.from(element.shadowRoot.querySelectorAll('button'))
+        .find(button => button.textContent.trim() === 'Inline Edit Mode')
+        .click();
+    await nextFrame();
+    record('edit', await measure(() => {
+        const input = query(element, `.cell-input[data-field-api="${numberColumn.field_api}"]`);
+        input.value = String(Number(input.value) + 1);
+        input.dispatchEvent(new CustomEvent('change'));
+    }));
+    record('undo', await measure(() => element.undo()));
+
+    return {
+        element,
+        rowCount,
+        steps,
+        totalMs: round(steps.reduce((sum, step) => sum + step.ms, 0))
+    };
+}
+
+describe('c-crowl-table benchmark', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('times each step on generated rows', async () => {
+        const rowCount = Number(process.env.BENCHMARK_ROWS) || 150;
+
+        const result = await runBenchmark({ rowCount, scrollSteps: 1 });
+
+        expect(result.rowCount).toBe(rowCount);
+        expect(result.steps.map(step => step.name)).toEqual([
+            'load', 'scroll', 'search', 'clear search', 'sort', 'clear sort', 'edit', 'undo'
+        ]);
+        expect(result.element.getWorkingData()).toHaveLength(rowCount);
+        expect(result.element.canUndo()).toBe(false);
+        expect(result.element.canRedo()).toBe(true);
+        if (process.env.BENCHMARK_ROWS) {
+            console.table(result.steps);
+        }
+    }, BENCHMARK_TIMEOUT_MS);
+
+    it('generates the rows from the mockConfig', async () => {
+        const { element } = await runBenchmark({ rowCount: 120, scrollSteps: 1, mockConfig: { seed: 5 } });
+
+        const expected = generateMockTableData({ seed: 5, rowCount: 120 }).rows;
+        expect(element.getOriginalData().map(row => row.Name)).toEqual(expected.map(row => row.Name));
+    }, BENCHMARK_TIMEOUT_MS);
+});
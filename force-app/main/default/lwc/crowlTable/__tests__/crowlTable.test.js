@@ -0,0 +1,1069 @@
+import fs from 'fs';
+import path from 'path';
+import { createElement } from 'lwc';
+import CrowlTable from 'c/crowlTable';
+import getTableData from '@salesforce/apex/CrowlTableController.getTableData';
+import getObjectTableData from '@salesforce/apex/CrowlTableController.getObjectTableData';
+import saveRows from '@salesforce/apex/CrowlTableController.saveRows';
+import getCurrentRows from '@salesforce/apex/CrowlTableController.getCurrentRows';
+import { generateMockTableData, mockServerUpdate, DEFAULT_SEED } from '../mockDataGenerator';
+
+jest.mock('@salesforce/apex/CrowlTableController.getTableData', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/CrowlTableController.getObjectTableData', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/CrowlTableController.saveRows', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/CrowlTableController.getCurrentRows', () => ({ default: jest.fn() }), { virtual: true });
+
+const FIXTURE_SEED = 7;
+const FIXTURE_ROWS = 12;
+// Rendering the 200 preview rows takes a few seconds in jsdom
+const MOCK_DATA_TIMEOUT_MS = 30000;
+
+// Same seed, same rows: expectations below are derived from the fixture
+function createFixture(rowCount = FIXTURE_ROWS) {
+    return generateMockTableData({ rowCount, seed: FIXTURE_SEED });
+}
+
+// The mocked getCurrentRows returns these rows, with changes: rowId => fields saved by someone else
+function setServerRows(rows, changes = {}) {
+    getCurrentRows.mockImplementation(({ recordIds }) => Promise.resolve(JSON.stringify(
+        rows
+            .filter(row => recordIds.includes(row.Id))
+            .map(row => ({ ...row, ...changes[row.Id] }))
+    )));
+}
+
+// Loads from the mocked Apex getTableData unless props say otherwise
+function createTable(props = {}, data = createFixture()) {
+    getTableData.mockResolvedValue(JSON.stringify(data));
+    setServerRows(data.rows);
+    const element = createElement('c-crowl-table', { is: CrowlTable });
+    element.useApex = true;
+    // Keeps saved views from one test out of the next
+    element.viewStorage = { loadViews: () => Promise.resolve([]), saveViews: () => Promise.resolve() };
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function createLoadedTable(props) {
+    const fixture = createFixture();
+    const element = createTable(props, fixture);
+    await flushPromises();
+    return { element, fixture };
+}
+
+function query(element, selector) {
+    return element.shadowRoot.querySelector(selector);
+}
+
+function queryAll(element, selector) {
+    return Array.from(element.shadowRoot.querySelectorAll(selector));
+}
+
+function findButton(element, label) {
+    return queryAll(element, 'button').find(button => button.textContent.trim() === label);
+}
+
+async function selectRows(element, rowIds) {
+    rowIds.forEach(rowId => {
+        const checkbox = query(element, `input[type="checkbox"][data-row-id="${rowId}"]`);
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new CustomEvent('change'));
+    });
+    await flushPromises();
+}
+
+async function clickButton(element, label) {
+    findButton(element, label).click();
+    await flushPromises();
+}
+
+async function editCell(element, rowId, fieldApi, value) {
+    const input = query(element, `.cell-input[data-row-id="${rowId}"][data-field-api="${fieldApi}"]`);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+}
+
+async function applyHeaderEdit(element, fieldApi, value) {
+    query(element, `th[data-field-api="${fieldApi}"]`).dispatchEvent(new CustomEvent('dblclick'));
+    await flushPromises();
+    const input = query(element, `[data-header-input="${fieldApi}"]`);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('input'));
+    query(element, `button[data-field-api="${fieldApi}"][title="Apply to rows"]`).click();
+    await flushPromises();
+}
+
+// Opens the find-and-replace panel; options: { find, replace, matchCase, wholeCell, useRegex, fieldApis }
+async function findAndReplace(element, options) {
+    await clickButton(element, 'Find & Replace');
+    ['find', 'replace'].forEach(option => {
+        const input = query(element, `.find-replace-panel input[data-option="${option}"]`);
+        input.value = options[option] || '';
+        input.dispatchEvent(new CustomEvent('input'));
+    });
+    ['matchCase', 'wholeCell', 'useRegex'].forEach(option => {
+        const checkbox = query(element, `.find-replace-panel input[data-option="${option}"]`);
+        checkbox.checked = Boolean(options[option]);
+        checkbox.dispatchEvent(new CustomEvent('change'));
+    });
+    if (options.fieldApis) {
+        queryAll(element, '.find-replace-columns input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = options.fieldApis.includes(checkbox.dataset.fieldApi);
+            checkbox.dispatchEvent(new CustomEvent('change'));
+        });
+    }
+    await flushPromises();
+}
+
+describe('c-crowl-table', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    describe('loading data', () => {
+        it('renders seeded mock data when Apex is off', async () => {
+            const element = createTable({ useApex: false });
+            await flushPromises();
+
+            const expected = generateMockTableData({ seed: DEFAULT_SEED }).rows;
+            const rows = element.getWorkingData();
+            expect(getTableData).not.toHaveBeenCalled();
+            expect(rows.map(row => row.Name)).toEqual(expected.map(row => row.Name));
+            // Only the rows in view are rendered
+            const renderedCount = queryAll(element, 'tbody tr[data-item-key]').length;
+            expect(renderedCount).toBeGreaterThan(0);
+            expect(renderedCount).toBeLessThan(200);
+        }, MOCK_DATA_TIMEOUT_MS);
+
+        it('generates rows from mockConfig, given as JSON by App Builder', async () => {
+            const mockConfig = { preset: 'pathological', seed: 11, rowCount: 15 };
+            const element = createTable({ useApex: false, mockConfig: JSON.stringify(mockConfig) });
+            await flushPromises();
+
+            expect(element.getWorkingData().map(row => row.Stage__c))
+                .toEqual(generateMockTableData(mockConfig).rows.map(row => row.Stage__c));
+        });
+
+        it('shows an error for an invalid mockConfig', async () => {
+            const element = createTable({ useApex: false, mockConfig: { preset: 'huge' } });
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain('Error generating mock data: Unknown mock data preset: huge');
+        });
+
+        it('setTableData replaces the rows and computes formula columns', async () => {
+            const { element } = await createLoadedTable();
+            const data = createFixture(5);
+
+            element.setTableData(data);
+            await flushPromises();
+
+            const rows = element.getWorkingData();
+            expect(rows).toHaveLength(5);
+            expect(rows[0].Weighted_Amount__c).toBeCloseTo(data.rows[0].Amount__c * data.rows[0].Probability__c / 100);
+            expect(queryAll(element, 'tbody tr[data-item-key]').map(tr => tr.dataset.itemKey))
+                .toEqual(data.rows.map(row => row.Id));
+        });
+
+        it('setTableData ignores data without columns and rows', async () => {
+            const { element } = await createLoadedTable();
+
+            element.setTableData({ rows: [] });
+            element.setTableData(null);
+
+            expect(element.getWorkingData()).toHaveLength(FIXTURE_ROWS);
+        });
+
+        it('getWorkingData and getOriginalData return copies', async () => {
+            const { element } = await createLoadedTable();
+
+            element.getWorkingData()[0].Name = 'Changed outside';
+            element.getOriginalData()[0].Name = 'Changed outside';
+
+            expect(element.getWorkingData()[0].Name).not.toBe('Changed outside');
+            expect(element.getOriginalData()[0].Name).not.toBe('Changed outside');
+        });
+
+        it('loads the sample Apex data when useApex is set', async () => {
+            const element = createTable({ recordId: '001000000000001AAA' }, createFixture(3));
+            await flushPromises();
+
+            expect(getTableData).toHaveBeenCalledWith({ recordId: '001000000000001AAA' });
+            expect(element.getWorkingData()).toHaveLength(3);
+        });
+
+        it('queries the configured object through getObjectTableData', async () => {
+            getObjectTableData.mockResolvedValue(JSON.stringify(createFixture(2)));
+
+            const element = createTable({
+                sobjectApiName: 'Opportunity',
+                fieldApiNames: 'Name, Amount ,,StageName',
+                recordFilters: [{ field: 'IsClosed', operator: '=', value: false }],
+                rowLimit: '50'
+            });
+            await flushPromises();
+
+            expect(getObjectTableData).toHaveBeenCalledWith(expect.objectContaining({
+                objectApiName: 'Opportunity',
+                fieldApiNames: ['Name', 'Amount', 'StageName'],
+                filtersJson: '[{"field":"IsClosed","operator":"=","value":false}]',
+                rowLimit: 50
+            }));
+            expect(element.getWorkingData()).toHaveLength(2);
+        });
+
+        it('shows the Apex error message when loading fails', async () => {
+            getTableData.mockRejectedValueOnce({ body: { message: 'Insufficient access' } });
+
+            const element = createTable();
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain('Error loading table data: Insufficient access');
+        });
+    });
+
+    describe('picklist values', () => {
+        async function getStatusOptions(values) {
+            const element = createTable({}, {
+                columns: [{ field_api: 'Status__c', label: 'Status', 'data-type': 'picklist', values }],
+                rows: [{ Id: 'a00000000000001ABC', Status__c: null }]
+            });
+            await flushPromises();
+            await clickButton(element, 'Inline Edit Mode');
+            return queryAll(element, 'select[data-field-api="Status__c"] option')
+                .map(option => option.value)
+                .filter(value => value !== '');
+        }
+
+        it('parses quoted values, keeping spaces and commas inside the quotes', async () => {
+            expect(await getStatusOptions("'Open','In Progress', 'On Hold, Pending'"))
+                .toEqual(['Open', 'In Progress', 'On Hold, Pending']);
+        });
+
+        it('accepts value arrays and { label, value } arrays', async () => {
+            expect(await getStatusOptions(['Open', 'Closed'])).toEqual(['Open', 'Closed']);
+            expect(await getStatusOptions([{ label: 'Open Label', value: 'Open' }])).toEqual(['Open']);
+        });
+
+        it('gives no options for empty or unquoted values', async () => {
+            expect(await getStatusOptions('')).toEqual([]);
+            expect(await getStatusOptions('Open,Closed')).toEqual([]);
+        });
+    });
+
+    describe('header bulk edit', () => {
+        it('updates every visible row when nothing is selected, never hidden rows', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const hiddenId = fixture.rows[0].Id;
+            await selectRows(element, [hiddenId]);
+            await clickButton(element, 'Hide Selected');
+
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+
+            const rows = element.getWorkingData();
+            expect(rows.find(row => row.Id === hiddenId).Name).toBe(fixture.rows[0].Name);
+            expect(rows.filter(row => row.Id !== hiddenId).every(row => row.Name === 'Bulk')).toBe(true);
+        });
+
+        it('narrows the edit to the selected rows', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const selectedIds = [fixture.rows[1].Id, fixture.rows[4].Id];
+            await selectRows(element, selectedIds);
+
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+
+            const changedIds = element.getWorkingData().filter(row => row.Name === 'Bulk').map(row => row.Id);
+            expect(changedIds).toEqual(selectedIds);
+        });
+
+        it('skips rows the search filters out, even when selected', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const [matching, other] = fixture.rows;
+            await selectRows(element, [matching.Id, other.Id]);
+
+            jest.useFakeTimers();
+            const search = query(element, 'input[placeholder="Search all columns..."]');
+            search.value = matching.Contact_Email__c;
+            search.dispatchEvent(new CustomEvent('input'));
+            // Search input is debounced
+            jest.runOnlyPendingTimers();
+            jest.useRealTimers();
+            await flushPromises();
+
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+
+            const rows = element.getWorkingData();
+            expect(rows.find(row => row.Id === matching.Id).Name).toBe('Bulk');
+            expect(rows.find(row => row.Id === other.Id).Name).toBe(other.Name);
+        });
+
+        it('records the bulk edit as one undoable step', async () => {
+            const { element, fixture } = await createLoadedTable();
+
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+            expect(element.canUndo()).toBe(true);
+
+            element.undo();
+            expect(element.getWorkingData().map(row => row.Name)).toEqual(fixture.rows.map(row => row.Name));
+            expect(element.canUndo()).toBe(false);
+            expect(element.getEditedCellKeys()).toEqual([]);
+        });
+    });
+
+    describe('hiding rows', () => {
+        it('restores the checkbox state of hidden rows on unhide', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const [first, second, third] = fixture.rows.map(row => row.Id);
+
+            await selectRows(element, [first, second]);
+            await clickButton(element, 'Hide Selected');
+            expect(element.getSelectedRowIds()).toEqual([]);
+            expect(query(element, `tr[data-item-key="${first}"]`)).toBeNull();
+
+            await selectRows(element, [third]);
+            await clickButton(element, 'Hide Unselected');
+            expect(queryAll(element, 'tbody tr[data-item-key]').map(tr => tr.dataset.itemKey)).toEqual([third]);
+            expect(element.getSelectedRowIds()).toEqual([]);
+
+            // Rows hidden while selected come back selected; the rest come back unselected
+            await clickButton(element, 'Unhide All');
+            expect(element.getSelectedRowIds().sort()).toEqual([first, second].sort());
+            expect(queryAll(element, 'tbody tr[data-item-key]')).toHaveLength(FIXTURE_ROWS);
+        });
+
+        it('keeps hidden rows out of select all', async () => {
+            const { element, fixture } = await createLoadedTable();
+            await selectRows(element, [fixture.rows[0].Id]);
+            await clickButton(element, 'Hide Selected');
+
+            const selectAll = query(element, 'thead input[type="checkbox"]');
+            selectAll.checked = true;
+            selectAll.dispatchEvent(new CustomEvent('change'));
+
+            expect(element.getSelectedRowIds()).toHaveLength(FIXTURE_ROWS - 1);
+            expect(element.getSelectedRowIds()).not.toContain(fixture.rows[0].Id);
+        });
+    });
+
+    describe('editing and history', () => {
+        it('tracks edited cells, the change set and undo/redo', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const row = fixture.rows[0];
+            await clickButton(element, 'Inline Edit Mode');
+
+            await editCell(element, row.Id, 'Amount__c', '123.45');
+
+            expect(element.getEditedCellKeys()).toEqual([`${row.Id}_Amount__c`]);
+            expect(element.getChangeSet()).toEqual([
+                { rowId: row.Id, fieldApi: 'Amount__c', originalValue: row.Amount__c, newValue: 123.45 }
+            ]);
+            expect(element.canUndo()).toBe(true);
+            expect(element.canRedo()).toBe(false);
+
+            element.undo();
+            expect(element.getWorkingData()[0].Amount__c).toBe(row.Amount__c);
+            expect(element.getEditedCellKeys()).toEqual([]);
+            expect(element.canRedo()).toBe(true);
+
+            element.redo();
+            expect(element.getWorkingData()[0].Amount__c).toBe(123.45);
+            expect(element.canRedo()).toBe(false);
+        });
+
+        it('ignores a validation pattern that is not a valid regular expression', async () => {
+            const fixture = createFixture();
+            fixture.columns = fixture.columns.map(col => (col.field_api === 'Name'
+                ? { ...col, validation: { pattern: '([A-Z', maxLength: 5 } }
+                : col));
+            const element = createTable({}, fixture);
+            await flushPromises();
+            const row = fixture.rows[0];
+            await clickButton(element, 'Inline Edit Mode');
+
+            await editCell(element, row.Id, 'Name', 'Too long');
+
+            expect(element.getEditedCellKeys()).toEqual([`${row.Id}_Name`]);
+            // The other rules still apply
+            const errors = element.validate().filter(error => error.rowId === row.Id);
+            expect(errors.map(error => error.message)).toEqual(['Name cannot exceed 5 characters']);
+        });
+
+        it('fills down with Ctrl+D from a grid cell but not from the search input', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const [first, second] = fixture.rows;
+            const firstCell = query(element, `td[data-cell-key="${first.Id}_Name"]`);
+            const secondCell = query(element, `td[data-cell-key="${second.Id}_Name"]`);
+            firstCell.dispatchEvent(new MouseEvent('mousedown', { button: 0, bubbles: true }));
+            secondCell.dispatchEvent(new MouseEvent('mousedown', { button: 0, shiftKey: true, bubbles: true }));
+            const pressCtrlD = target => {
+                const keydown = new KeyboardEvent('keydown', { key: 'd', ctrlKey: true, bubbles: true, cancelable: true });
+                target.dispatchEvent(keydown);
+                return keydown.defaultPrevented;
+            };
+
+            expect(pressCtrlD(query(element, '[data-id="search-input"]'))).toBe(false);
+            expect(element.getEditedCellKeys()).toEqual([]);
+
+            expect(pressCtrlD(secondCell)).toBe(true);
+            expect(element.getWorkingData()[1].Name).toBe(first.Name);
+        });
+
+        it('getModifiedRows includes, excludes or flags invalid rows', async () => {
+            const { element, fixture } = await createLoadedTable({
+                customValidators: { Amount__c: value => (value < 0 ? 'Amount cannot be negative' : null) }
+            });
+            const [valid, invalid] = fixture.rows;
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, valid.Id, 'Amount__c', '10');
+            await editCell(element, invalid.Id, 'Amount__c', '-5');
+
+            expect(element.getModifiedRows().map(row => row.Id).sort()).toEqual([valid.Id, invalid.Id].sort());
+            expect(element.getModifiedRows({ invalidRows: 'exclude' }).map(row => row.Id)).toEqual([valid.Id]);
+
+            const flagged = element.getModifiedRows({ invalidRows: 'flag' }).find(row => row.Id === invalid.Id);
+            expect(flagged._isValid).toBe(false);
+            expect(flagged._errors).toEqual({ Amount__c: 'Amount cannot be negative' });
+        });
+
+        it('validate returns every error and marks the cells', async () => {
+            const { element, fixture } = await createLoadedTable({
+                customValidators: { Name: (value, row) => (row.Id === fixture.rows[2].Id ? 'Rename this row' : null) }
+            });
+
+            const errors = element.validate();
+            await flushPromises();
+
+            expect(errors).toEqual([expect.objectContaining({
+                rowId: fixture.rows[2].Id,
+                fieldApi: 'Name',
+                label: 'Name',
+                message: 'Rename this row'
+            })]);
+            expect(query(element, `td[data-cell-key="${fixture.rows[2].Id}_Name"]`).classList).toContain('slds-has-error');
+        });
+
+        it('resetToOriginal drops edits, hidden rows and history', async () => {
+            const { element, fixture } = await createLoadedTable();
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+            await selectRows(element, [fixture.rows[0].Id]);
+            await clickButton(element, 'Hide Selected');
+
+            element.resetToOriginal();
+            await flushPromises();
+
+            expect(element.getWorkingData().map(row => row.Name)).toEqual(fixture.rows.map(row => row.Name));
+            expect(element.getEditedCellKeys()).toEqual([]);
+            expect(element.canUndo()).toBe(false);
+            expect(queryAll(element, 'tbody tr[data-item-key]')).toHaveLength(FIXTURE_ROWS);
+        });
+    });
+
+    describe('filters, sort and layout', () => {
+        it('setFilters keeps valid filters only and filters the rows', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const status = fixture.rows[0].Status__c;
+
+            element.setFilters({
+                Status__c: { operator: 'in', values: [status] },
+                Not_A_Field__c: { operator: 'contains', value: 'x' }
+            });
+            await flushPromises();
+
+            expect(Object.keys(element.getFilters())).toEqual(['Status__c']);
+            const expectedIds = fixture.rows.filter(row => row.Status__c === status).map(row => row.Id);
+            expect(queryAll(element, 'tbody tr[data-item-key]').map(tr => tr.dataset.itemKey)).toEqual(expectedIds);
+        });
+
+        it('setSortKeys drops unknown columns and sorts the rows', async () => {
+            const { element, fixture } = await createLoadedTable();
+
+            element.setSortKeys([
+                { fieldApi: 'Not_A_Field__c', direction: 'asc' },
+                { fieldApi: 'Amount__c', direction: 'desc' }
+            ]);
+            await flushPromises();
+
+            expect(element.getSortKeys()).toEqual([{ fieldApi: 'Amount__c', direction: 'desc' }]);
+            const expectedIds = [...fixture.rows].sort((a, b) => b.Amount__c - a.Amount__c).map(row => row.Id);
+            expect(queryAll(element, 'tbody tr[data-item-key]').map(tr => tr.dataset.itemKey)).toEqual(expectedIds);
+        });
+
+        it('setColumnLayout orders, hides and freezes columns', async () => {
+            const { element } = await createLoadedTable();
+
+            element.setColumnLayout({ order: ['Status__c', 'Name'], hidden: ['Amount__c'], frozenCount: 2 });
+            await flushPromises();
+
+            const layout = element.getColumnLayout();
+            expect(layout.order.slice(0, 2)).toEqual(['Status__c', 'Name']);
+            expect(layout.hidden).toEqual(['Amount__c']);
+            expect(layout.frozenCount).toBe(2);
+            const headers = queryAll(element, 'th[data-field-api]').map(th => th.dataset.fieldApi);
+            expect(headers.slice(0, 2)).toEqual(['Status__c', 'Name']);
+            expect(headers).not.toContain('Amount__c');
+        });
+
+        it('showTotals renders the totals row with the configured totalFunctions', async () => {
+            const { element, fixture } = await createLoadedTable({
+                showTotals: true,
+                totalFunctions: { Probability__c: 'max' }
+            });
+
+            expect(element.showTotals).toBe(true);
+            const select = query(element, '.totals-select[data-field-api="Probability__c"]');
+            expect(select.value).toBe('max');
+            const max = Math.max(...fixture.rows.map(row => row.Probability__c));
+            expect(select.parentElement.querySelector('.totals-value').textContent).toContain(String(max));
+
+            // Totals are cached between renders but follow edits
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, fixture.rows[0].Id, 'Probability__c', String(max + 1));
+            expect(query(element, '.totals-select[data-field-api="Probability__c"]').parentElement
+                .querySelector('.totals-value').textContent).toContain(String(max + 1));
+        });
+    });
+
+    describe('formula columns', () => {
+        // Adds a formula column to the fixture; rows are changed by updateRow(row, index)
+        function createFormulaFixture(column, updateRow = () => {}) {
+            const fixture = createFixture();
+            fixture.columns = [...fixture.columns, { object_api: 'Sample_Object__c', values: null, ...column }];
+            fixture.rows.forEach(updateRow);
+            return fixture;
+        }
+
+        function weightedAmount(row) {
+            return row.Amount__c * row.Probability__c / 100;
+        }
+
+        it('recomputes the computed cell when a source cell is edited', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const row = fixture.rows.find(candidate => typeof candidate.Probability__c === 'number');
+            const workingRow = () => element.getWorkingData().find(candidate => candidate.Id === row.Id);
+            const cell = () => query(element, `td[data-cell-key="${row.Id}_Weighted_Amount__c"]`);
+            const before = cell().textContent;
+            expect(workingRow().Weighted_Amount__c).toBeCloseTo(weightedAmount(row));
+            await clickButton(element, 'Inline Edit Mode');
+
+            await editCell(element, row.Id, 'Amount__c', '1000');
+
+            expect(workingRow().Weighted_Amount__c).toBeCloseTo(weightedAmount({ ...row, Amount__c: 1000 }));
+            expect(cell().textContent).not.toBe(before);
+            // Only the source cell counts as an edit
+            expect(element.getEditedCellKeys()).toEqual([`${row.Id}_Amount__c`]);
+
+            element.undo();
+            await flushPromises();
+            expect(workingRow().Weighted_Amount__c).toBeCloseTo(weightedAmount(row));
+            expect(cell().textContent).toBe(before);
+        });
+
+        it('recomputes every row after a header edit', async () => {
+            const { element } = await createLoadedTable();
+
+            await applyHeaderEdit(element, 'Amount__c', '200');
+
+            element.getWorkingData().forEach(row => {
+                expect(row.Amount__c).toBe(200);
+                const expected = typeof row.Probability__c === 'number' ? weightedAmount(row) : null;
+                expect(row.Weighted_Amount__c).toBe(expected);
+            });
+        });
+
+        it('leaves the cell blank where the formula cannot be evaluated', async () => {
+            const fixture = createFormulaFixture(
+                { field_api: 'Per_Point__c', label: 'Per Point', 'data-type': 'currency', formula: 'Amount__c / Probability__c' },
+                (row, index) => {
+                    row.Amount__c = 100;
+                    row.Probability__c = index === 0 ? 0 : 20;
+                }
+            );
+            const element = createTable({}, fixture);
+            await flushPromises();
+
+            const rows = element.getWorkingData();
+            expect(rows[0].Per_Point__c).toBeNull();
+            expect(rows.slice(1).every(row => row.Per_Point__c === 5)).toBe(true);
+            expect(element.shadowRoot.textContent).not.toContain('Division by zero');
+        });
+
+        it('sorts and searches on computed values', async () => {
+            const fixture = createFormulaFixture(
+                { field_api: 'Deal_Size__c', label: 'Deal Size', 'data-type': 'text', formula: 'IF(Amount__c >= 500, "Bigdeal", "Smalldeal")' },
+                (row, index) => {
+                    row.Amount__c = index * 100;
+                    row.Probability__c = (index * 37) % 100;
+                }
+            );
+            const element = createTable({}, fixture);
+            await flushPromises();
+            const rowIds = () => queryAll(element, 'tbody tr[data-item-key]').map(tr => tr.dataset.itemKey);
+
+            element.setSortKeys([{ fieldApi: 'Weighted_Amount__c', direction: 'desc' }]);
+            await flushPromises();
+            const byWeight = [...fixture.rows].sort((a, b) => weightedAmount(b) - weightedAmount(a));
+            expect(rowIds()).toEqual(byWeight.map(row => row.Id));
+
+            jest.useFakeTimers();
+            const input = query(element, '[data-id="search-input"]');
+            input.value = 'bigdeal';
+            input.dispatchEvent(new CustomEvent('input'));
+            jest.runAllTimers();
+            jest.useRealTimers();
+            await flushPromises();
+            const bigDeals = byWeight.filter(row => row.Amount__c >= 500);
+            expect(bigDeals.length).toBeGreaterThan(0);
+            expect(rowIds()).toEqual(bigDeals.map(row => row.Id));
+        });
+    });
+
+    describe('saved views', () => {
+        it('applies the default view from the configured storage', async () => {
+            const loadViews = jest.fn().mockResolvedValue([
+                { name: 'By amount', state: { sortKeys: [{ fieldApi: 'Amount__c', direction: 'asc' }] } }
+            ]);
+            const element = createTable({
+                viewStorage: { loadViews, saveViews: jest.fn() },
+                viewKey: 'fixture-table',
+                defaultViewName: 'By amount'
+            });
+            await flushPromises();
+
+            expect(loadViews).toHaveBeenCalledWith('fixture-table');
+            expect(element.getSortKeys()).toEqual([{ fieldApi: 'Amount__c', direction: 'asc' }]);
+        });
+    });
+
+    describe('save', () => {
+        it('enableSave shows a Save button that saves the edits', async () => {
+            const { element, fixture } = await createLoadedTable({ enableSave: true });
+            saveRows.mockResolvedValue(JSON.stringify([{ rowId: fixture.rows[0].Id, success: true, errors: [] }]));
+            const handler = jest.fn();
+            element.addEventListener('savecomplete', handler);
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, fixture.rows[0].Id, 'Amount__c', '10');
+
+            query(element, 'button.slds-button_brand.slds-m-left_small').click();
+            await flushPromises();
+
+            expect(saveRows).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail.savedRowIds).toEqual([fixture.rows[0].Id]);
+        });
+
+        it('saves through Apex and reports per-row results', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const [saved, failed] = fixture.rows;
+            saveRows.mockResolvedValue(JSON.stringify([
+                { rowId: saved.Id, success: true, errors: [] },
+                { rowId: failed.Id, success: false, errors: ['Record locked'] }
+            ]));
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, saved.Id, 'Amount__c', '10');
+            await editCell(element, failed.Id, 'Amount__c', '20');
+            const handler = jest.fn();
+            element.addEventListener('savecomplete', handler);
+
+            const result = await element.save();
+
+            expect(JSON.parse(saveRows.mock.calls[0][0].rowsJson)).toEqual([
+                { Id: saved.Id, Amount__c: 10 },
+                { Id: failed.Id, Amount__c: 20 }
+            ]);
+            expect(result).toEqual({ savedRowIds: [saved.Id], failedRows: [{ rowId: failed.Id, message: 'Record locked' }] });
+            expect(handler.mock.calls[0][0].detail).toEqual(result);
+            expect(element.getEditedCellKeys()).toEqual([`${failed.Id}_Amount__c`]);
+            expect(element.getOriginalData()[0].Amount__c).toBe(10);
+        });
+
+        it('fails every row when the Apex call throws', async () => {
+            const { element, fixture } = await createLoadedTable();
+            saveRows.mockRejectedValue({ body: { message: 'Server down' } });
+            await applyHeaderEdit(element, 'Name', 'Bulk');
+
+            const result = await element.save();
+
+            expect(result.savedRowIds).toEqual([]);
+            expect(result.failedRows).toHaveLength(fixture.rows.length);
+            expect(result.failedRows[0].message).toBe('Server down');
+            await flushPromises();
+            expect(query(element, '.slds-alert_error h2').textContent).toBe('Error saving rows: Server down');
+
+            saveRows.mockResolvedValue(JSON.stringify(fixture.rows.map(row => ({ rowId: row.Id, success: true, errors: [] }))));
+            await element.save();
+            await flushPromises();
+            expect(query(element, '.slds-alert_error')).toBeNull();
+        });
+
+        it('keeps edits made while the save is in flight', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const row = fixture.rows[0];
+            let resolveSave;
+            saveRows.mockReturnValue(new Promise(resolve => {
+                resolveSave = resolve;
+            }));
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, row.Id, 'Amount__c', '10');
+            await editCell(element, row.Id, 'Name', 'Sent name');
+
+            const saving = element.save();
+            await flushPromises();
+            await editCell(element, row.Id, 'Amount__c', '20');
+            await editCell(element, row.Id, 'Description__c', 'Typed during save');
+            resolveSave(JSON.stringify([{ rowId: row.Id, success: true, errors: [] }]));
+            await saving;
+
+            const original = element.getOriginalData()[0];
+            expect(original.Amount__c).toBe(10);
+            expect(original.Name).toBe('Sent name');
+            expect(original.Description__c).toBe(row.Description__c);
+            expect(element.getEditedCellKeys().sort()).toEqual([`${row.Id}_Amount__c`, `${row.Id}_Description__c`].sort());
+            expect(element.getChangeSet()).toEqual(expect.arrayContaining([
+                { rowId: row.Id, fieldApi: 'Amount__c', originalValue: 10, newValue: 20 }
+            ]));
+        });
+    });
+
+    describe('find and replace', () => {
+        it('previews and replaces matches in the chosen columns of the selected rows', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const selected = [fixture.rows[1], fixture.rows[4]];
+            await selectRows(element, selected.map(row => row.Id));
+
+            await findAndReplace(element, { find: 'task item', replace: 'Job', fieldApis: ['Description__c'] });
+
+            expect(query(element, '.find-replace-summary').textContent).toBe('2 matches in 2 cells. 2 would change.');
+            expect(queryAll(element, 'td.cell-find-match').map(cell => cell.dataset.cellKey))
+                .toEqual(selected.map(row => `${row.Id}_Description__c`));
+            expect(queryAll(element, '.find-match-text').map(part => part.textContent)).toEqual(['Task item', 'Task item']);
+
+            await clickButton(element, 'Replace 2 cells');
+
+            const rows = element.getWorkingData();
+            selected.forEach((row, index) => {
+                expect(rows.find(working => working.Id === row.Id).Description__c)
+                    .toBe(selected[index].Description__c.replace('Task item', 'Job'));
+            });
+            expect(rows.filter(row => row.Description__c.startsWith('Job'))).toHaveLength(2);
+            expect(element.getEditedCellKeys()).toEqual(selected.map(row => `${row.Id}_Description__c`));
+
+            element.undo();
+            expect(element.getEditedCellKeys()).toEqual([]);
+        });
+
+        it('rejects picklist replacements that are not valid values', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const openIds = fixture.rows.filter(row => ['Open', 'On Hold'].includes(row.Status__c)).map(row => row.Id);
+
+            await findAndReplace(element, { find: 'open|on hold', replace: 'Reopened', wholeCell: true, useRegex: true });
+
+            expect(query(element, '.find-replace-summary').textContent).toContain(`${openIds.length} cannot be replaced.`);
+            expect(queryAll(element, 'td.cell-find-rejected').map(cell => cell.dataset.cellKey))
+                .toEqual(openIds.map(rowId => `${rowId}_Status__c`));
+            expect(findButton(element, 'Replace 0 cells').disabled).toBe(true);
+
+            const replace = query(element, '.find-replace-panel input[data-option="replace"]');
+            replace.value = 'Closed';
+            replace.dispatchEvent(new CustomEvent('input'));
+            await flushPromises();
+            await clickButton(element, `Replace ${openIds.length} cells`);
+
+            const statuses = element.getWorkingData().map(row => row.Status__c);
+            expect(statuses.filter(status => status === 'Open' || status === 'On Hold')).toEqual([]);
+            expect(statuses.filter(status => status === 'Closed')).toHaveLength(
+                fixture.rows.filter(row => ['Open', 'On Hold', 'Closed'].includes(row.Status__c)).length
+            );
+        });
+
+        it('honours match case, never touches hidden rows and reports an invalid pattern', async () => {
+            const { element, fixture } = await createLoadedTable();
+            await selectRows(element, [fixture.rows[0].Id]);
+            await clickButton(element, 'Hide Selected');
+
+            await findAndReplace(element, { find: 'task item', replace: 'Job', matchCase: true, fieldApis: ['Description__c'] });
+            expect(query(element, '.find-replace-summary').textContent).toBe('No matches');
+
+            const matchCase = query(element, '.find-replace-panel input[data-option="matchCase"]');
+            matchCase.checked = false;
+            matchCase.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+            await clickButton(element, `Replace ${FIXTURE_ROWS - 1} cells`);
+            expect(element.getWorkingData()[0].Description__c).toBe(fixture.rows[0].Description__c);
+
+            const useRegex = query(element, '.find-replace-panel input[data-option="useRegex"]');
+            useRegex.checked = true;
+            useRegex.dispatchEvent(new CustomEvent('change'));
+            const find = query(element, '.find-replace-panel input[data-option="find"]');
+            find.value = '(unclosed';
+            find.dispatchEvent(new CustomEvent('input'));
+            await flushPromises();
+            expect(query(element, '.find-replace-error').textContent).toContain('Invalid regular expression');
+        });
+    });
+
+    describe('conditional formatting', () => {
+        const RULES = [
+            { column: 'Status__c', operator: 'equals', value: 'Closed', appliesTo: 'row', style: { background: 'info' } },
+            { column: 'Due_Date__c', operator: 'lessThan', value: 'TODAY', style: { textColor: 'error', icon: 'warning' } },
+            { column: 'Amount__c', operator: 'greaterOrEqual', value: 0, style: { dataBar: 'brand' } }
+        ];
+
+        function rowElement(element, rowId) {
+            return query(element, `tr[data-item-key="${rowId}"]`);
+        }
+
+        function cellElement(element, rowId, fieldApi) {
+            return query(element, `td[data-cell-key="${rowId}_${fieldApi}"]`);
+        }
+
+        it('styles matching rows and cells with the rule tokens', async () => {
+            const { element, fixture } = await createLoadedTable({ formattingRules: JSON.stringify(RULES) });
+
+            fixture.rows.forEach(row => {
+                expect(rowElement(element, row.Id).classList.contains('cf-row-bg-info')).toBe(row.Status__c === 'Closed');
+            });
+            // Fixture due dates are all in the past
+            const due = cellElement(element, fixture.rows[0].Id, 'Due_Date__c');
+            expect(due.classList.contains('cf-text-error')).toBe(true);
+            expect(due.querySelector('use').getAttribute('xlink:href')).toContain('#warning');
+
+            const largest = Math.max(...fixture.rows.map(row => row.Amount__c));
+            const widest = fixture.rows.find(row => row.Amount__c === largest);
+            const amount = cellElement(element, widest.Id, 'Amount__c');
+            expect(amount.classList.contains('cf-data-bar')).toBe(true);
+            expect(amount.getAttribute('style')).toContain('--cf-bar-width: 100%');
+        });
+
+        it('lets a cell rule override a row rule on the same cell', async () => {
+            const rules = [
+                { column: 'Status__c', operator: 'equals', value: 'Closed', appliesTo: 'row', style: { background: 'error' } },
+                { column: 'Amount__c', operator: 'greaterOrEqual', value: 0, style: { background: 'success' } }
+            ];
+            const { element, fixture } = await createLoadedTable({ formattingRules: rules });
+            const row = fixture.rows.find(candidate => candidate.Status__c === 'Closed' && candidate.Amount__c >= 0);
+
+            expect(rowElement(element, row.Id).classList.contains('cf-row-bg-error')).toBe(true);
+            expect(cellElement(element, row.Id, 'Amount__c').classList.contains('cf-bg-success')).toBe(true);
+            // Row and cell selectors have the same specificity, so the cell rules must come later
+            const css = fs.readFileSync(path.join(__dirname, '..', 'crowlTable.css'), 'utf8');
+            expect(css.lastIndexOf('tr.cf-row-')).toBeLessThan(css.indexOf('td.cf-'));
+        });
+
+        it('re-evaluates the rules when a cell is edited', async () => {
+            const { element, fixture } = await createLoadedTable({ formattingRules: RULES });
+            const row = fixture.rows.find(candidate => candidate.Status__c !== 'Closed');
+            await clickButton(element, 'Inline Edit Mode');
+
+            await editCell(element, row.Id, 'Status__c', 'Closed');
+            expect(rowElement(element, row.Id).classList.contains('cf-row-bg-info')).toBe(true);
+
+            element.undo();
+            await flushPromises();
+            expect(rowElement(element, row.Id).classList.contains('cf-row-bg-info')).toBe(false);
+        });
+    });
+
+    describe('conflicts', () => {
+        const LATER_STAMP = '2026-01-01T00:00:00.000Z';
+
+        it('stops the save and opens the merge dialog on a conflicting edit', async () => {
+            const { element, fixture } = await createLoadedTable({ enableSave: true });
+            const row = fixture.rows[0];
+            setServerRows(fixture.rows, { [row.Id]: { Amount__c: 777, SystemModstamp: LATER_STAMP } });
+            const handler = jest.fn();
+            element.addEventListener('savecomplete', handler);
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, row.Id, 'Amount__c', '10');
+
+            const result = await element.save();
+            await flushPromises();
+
+            expect(result).toEqual({ savedRowIds: [], failedRows: [], conflictRowIds: [row.Id] });
+            expect(saveRows).not.toHaveBeenCalled();
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail).toEqual(result);
+            expect(query(element, '.merge-summary').textContent).toBe('1 conflict, 0 cells changed on the server, 0 cells changed here.');
+            expect(query(element, `tr[data-cell-key="${row.Id}_Amount__c"]`).textContent).toContain('Conflict');
+        });
+
+        it('merges changes made only on the server before saving', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const row = fixture.rows[0];
+            const status = row.Status__c === 'Closed' ? 'Open' : 'Closed';
+            setServerRows(fixture.rows, { [row.Id]: { Status__c: status, SystemModstamp: LATER_STAMP } });
+            saveRows.mockResolvedValue(JSON.stringify([{ rowId: row.Id, success: true, errors: [] }]));
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, row.Id, 'Amount__c', '10');
+
+            const result = await element.save();
+
+            expect(result.savedRowIds).toEqual([row.Id]);
+            expect(JSON.parse(saveRows.mock.calls[0][0].rowsJson)).toEqual([{ Id: row.Id, Amount__c: 10 }]);
+            const saved = element.getOriginalData()[0];
+            expect(saved.Status__c).toBe(status);
+            expect(saved.Amount__c).toBe(10);
+            expect(saved.SystemModstamp).toBe(LATER_STAMP);
+        });
+
+        it('applies mine, theirs or an edited value per cell', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const [first, second, third] = fixture.rows;
+            setServerRows(fixture.rows, {
+                [first.Id]: { Amount__c: 111 },
+                [second.Id]: { Amount__c: 222 },
+                [third.Id]: { Amount__c: 333 }
+            });
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, first.Id, 'Amount__c', '1');
+            await editCell(element, second.Id, 'Amount__c', '2');
+            await editCell(element, third.Id, 'Amount__c', '3');
+
+            const summary = await element.checkForConflicts();
+            await flushPromises();
+            expect(summary.conflictRowIds).toEqual([first.Id, second.Id, third.Id]);
+
+            query(element, `button[data-cell-key="${second.Id}_Amount__c"][data-choice="theirs"]`).click();
+            query(element, `button[data-cell-key="${third.Id}_Amount__c"][data-choice="edit"]`).click();
+            await flushPromises();
+            const input = query(element, `input[data-cell-key="${third.Id}_Amount__c"]`);
+            input.value = '$3,500';
+            input.dispatchEvent(new CustomEvent('input'));
+            await clickButton(element, 'Apply');
+
+            expect(query(element, '.merge-summary')).toBeNull();
+            expect(element.getWorkingData().slice(0, 3).map(row => row.Amount__c)).toEqual([1, 222, 3500]);
+            // The server values are the new baseline, so taking theirs leaves nothing to save
+            expect(element.getOriginalData().slice(0, 3).map(row => row.Amount__c)).toEqual([111, 222, 333]);
+            expect(element.getEditedCellKeys().sort()).toEqual([`${first.Id}_Amount__c`, `${third.Id}_Amount__c`].sort());
+
+            element.undo();
+            expect(element.getWorkingData().slice(0, 3).map(row => row.Amount__c)).toEqual([1, 2, 3]);
+        });
+
+        it('checks mock data against the local server stub', async () => {
+            const element = createTable({ useApex: false, mockConfig: { rowCount: 5 } });
+            await flushPromises();
+            const [row] = element.getWorkingData();
+            await clickButton(element, 'Inline Edit Mode');
+            await editCell(element, row.Id, 'Amount__c', '10');
+            mockServerUpdate(row.Id, { Name: 'Renamed elsewhere' });
+
+            jest.useFakeTimers();
+            const check = element.checkForConflicts();
+            jest.runAllTimers();
+            jest.useRealTimers();
+            const summary = await check;
+
+            expect(getCurrentRows).not.toHaveBeenCalled();
+            expect(summary).toEqual({ conflicts: 0, serverChanges: 1, localChanges: 1, deletedRowIds: [], conflictRowIds: [] });
+        });
+    });
+
+    describe('exportData', () => {
+        it('orders every scope like the grid, with lookups sorted by name', async () => {
+            const hrefs = [];
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function capture() {
+                hrefs.push(this.href);
+            });
+            // Account names in the reverse order of their Ids
+            const fixture = createFixture(3);
+            const names = fixture.rows.map(row => row.Account__r.Name).reverse();
+            fixture.rows.forEach((row, index) => {
+                row.Account__r = { ...row.Account__r, Name: names[index] };
+            });
+            const element = createTable({}, fixture);
+            await flushPromises();
+            element.setSortKeys([{ fieldApi: 'Account__c', direction: 'asc' }]);
+            await flushPromises();
+
+            element.exportData({ scope: 'visible' });
+            element.exportData({ scope: 'all' });
+            const [visible, all] = hrefs.map(href => decodeURIComponent(href.slice(href.indexOf(',') + 1)));
+
+            expect(all).toBe(visible);
+            click.mockRestore();
+        });
+
+        it('downloads the visible rows', async () => {
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+            const { element } = await createLoadedTable();
+
+            const result = element.exportData({ format: 'csv', fileName: 'fixture' });
+
+            expect(result).toEqual({ fileName: 'fixture.csv', rowCount: FIXTURE_ROWS });
+            expect(click).toHaveBeenCalled();
+            click.mockRestore();
+        });
+    });
+
+    describe('events', () => {
+        it('fires datachanged for each edited cell', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const handler = jest.fn();
+            element.addEventListener('datachanged', handler);
+            await clickButton(element, 'Inline Edit Mode');
+
+            await editCell(element, fixture.rows[0].Id, 'Amount__c', '42');
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail).toEqual({
+                rowId: fixture.rows[0].Id,
+                fieldApi: 'Amount__c',
+                oldValue: fixture.rows[0].Amount__c,
+                newValue: 42
+            });
+        });
+
+        it('fires datapasted with the pasted block', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const handler = jest.fn();
+            element.addEventListener('datapasted', handler);
+            const [first, second] = fixture.rows;
+
+            const cell = query(element, `td[data-cell-key="${first.Id}_Name"]`);
+            cell.dispatchEvent(new MouseEvent('mousedown', { button: 0, bubbles: true }));
+            const paste = new CustomEvent('paste', { bubbles: true, composed: true, cancelable: true });
+            paste.clipboardData = { getData: () => 'Pasted One\nPasted Two' };
+            cell.dispatchEvent(paste);
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail.changes).toEqual([
+                { rowId: first.Id, fieldApi: 'Name', oldValue: first.Name, newValue: 'Pasted One' },
+                { rowId: second.Id, fieldApi: 'Name', oldValue: second.Name, newValue: 'Pasted Two' }
+            ]);
+        });
+
+        it('fires rowsselected with the selected ids', async () => {
+            const { element, fixture } = await createLoadedTable();
+            const handler = jest.fn();
+            element.addEventListener('rowsselected', handler);
+
+            await selectRows(element, [fixture.rows[3].Id]);
+
+            expect(handler.mock.calls[0][0].detail).toEqual({ selectedIds: [fixture.rows[3].Id] });
+        });
+
+        it('fires columnlayoutchange when a column is resized from the keyboard', async () => {
+            const { element } = await createLoadedTable();
+            const handler = jest.fn();
+            element.addEventListener('columnlayoutchange', handler);
+
+            const handle = query(element, '.column-resize-handle[data-field-api="Name"]');
+            handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            const { layout } = handler.mock.calls[0][0].detail;
+            expect(layout.widths.Name).toBe(element.getColumnLayout().widths.Name);
+            expect(layout.widths.Name).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+import { buildExportTable, toCsv } from '../exportUtils';
+import { parseCsv, autoMapHeaders, buildImportPreview } from '../importUtils';
+
+const COLUMNS = [
+    { field_api: 'Name', label: 'Name', dataType: 'text' },
+    { field_api: 'Amount__c', label: 'Amount', dataType: 'currency' }
+];
+
+describe('exportUtils', () => {
+    it('keeps text that looks like a formula literal in CSV', () => {
+        const rows = [
+            { Id: '1', Name: '=HYPERLINK("http://x")', Amount__c: -5 },
+            { Id: '2', Name: '+1', Amount__c: 10 },
+            { Id: '3', Name: '-2', Amount__c: null },
+            { Id: '4', Name: '@SUM(A1)', Amount__c: 0 },
+            { Id: '5', Name: 'Plain', Amount__c: 1.5 }
+        ];
+
+        const lines = toCsv(buildExportTable(rows, COLUMNS)).slice(1).split('\r\n');
+
+        expect(lines).toEqual([
+            'Name,Amount',
+            '"\'=HYPERLINK(""http://x"")",-5',
+            "'+1,10",
+            "'-2,",
+            "'@SUM(A1),0",
+            'Plain,1.5'
+        ]);
+    });
+
+    it('imports its own CSV export without changes', () => {
+        const columns = [
+            { field_api: 'Id', label: 'Id', dataType: 'text' },
+            ...COLUMNS,
+            { field_api: 'Phone', label: 'Phone', dataType: 'phone' },
+            { field_api: 'Is_Active__c', label: 'Active', dataType: 'boolean' }
+        ];
+        const rows = [
+            { Id: 'a01000000000001AAA', Name: '=SUM(A1)', Amount__c: -5, Phone: '+1 555 0100', Is_Active__c: true },
+            { Id: 'a01000000000002AAA', Name: "'@handle", Amount__c: 1.5, Phone: '-', Is_Active__c: false },
+            { Id: 'a01000000000003AAA', Name: "it's", Amount__c: null, Phone: null, Is_Active__c: false }
+        ];
+
+        const csv = parseCsv(toCsv(buildExportTable(rows, columns)));
+        const preview = buildImportPreview(csv, {
+            ...autoMapHeaders(csv.headers, columns),
+            workingDataMap: new Map(rows.map(row => [row.Id, row])),
+            columnMetadataMap: new Map(columns.map(col => [col.field_api, col]))
+        });
+
+        expect(preview.matchedRowCount).toBe(3);
+        expect(preview.rejectedValues).toEqual([]);
+        expect(preview.changes).toEqual([]);
+    });
+});
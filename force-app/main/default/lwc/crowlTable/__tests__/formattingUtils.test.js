@@ -0,0 +1,68 @@
+import { normalizeFormattingRules, matchesRule, getDataBarRanges, formatRow } from '../formattingUtils';
+
+const COLUMNS = new Map([
+    ['Amount__c', { field_api: 'Amount__c', dataType: 'currency' }],
+    ['Due__c', { field_api: 'Due__c', dataType: 'date' }],
+    ['Stage__c', { field_api: 'Stage__c', dataType: 'picklist' }],
+    ['Tags__c', { field_api: 'Tags__c', dataType: 'multipicklist' }],
+    ['Done__c', { field_api: 'Done__c', dataType: 'boolean' }]
+]);
+const CONTEXT = { today: '2025-03-10', referenceLabels: new Map(), dataBarRanges: new Map() };
+
+function rule(definition) {
+    return normalizeFormattingRules([{ style: { background: 'error' }, ...definition }], COLUMNS)[0];
+}
+
+describe('formattingUtils', () => {
+    it('drops rules with an unknown column, operator, value or style', () => {
+        const rules = normalizeFormattingRules([
+            { column: 'Missing__c', operator: 'equals', value: 1, style: { background: 'error' } },
+            { column: 'Amount__c', operator: 'near', value: 1, style: { background: 'error' } },
+            { column: 'Amount__c', operator: 'greaterThan', value: 'lots', style: { background: 'error' } },
+            { column: 'Amount__c', operator: 'greaterThan', value: 1, style: { background: 'purple' } },
+            { column: 'Stage__c', operator: 'equals', value: 'Won', style: { dataBar: 'brand' } },
+            { column: 'Amount__c', operator: 'between', value: [1, '5'], style: { dataBar: 'brand' } }
+        ], COLUMNS);
+
+        expect(rules).toHaveLength(1);
+        expect(rules[0]).toMatchObject({ fieldApi: 'Amount__c', operand: [1, 5], appliesTo: 'cell' });
+        expect(normalizeFormattingRules('not json', COLUMNS)).toEqual([]);
+    });
+
+    it('compares numbers, dates relative to today, text and multi-select values', () => {
+        expect(matchesRule(5000, rule({ column: 'Amount__c', operator: 'greaterThan', value: '1000' }), CONTEXT)).toBe(true);
+        expect(matchesRule(null, rule({ column: 'Amount__c', operator: 'greaterThan', value: 0 }), CONTEXT)).toBe(false);
+        expect(matchesRule(null, rule({ column: 'Amount__c', operator: 'isBlank' }), CONTEXT)).toBe(true);
+
+        const overdue = rule({ column: 'Due__c', operator: 'lessThan', value: 'TODAY' });
+        expect(matchesRule('2025-03-09', overdue, CONTEXT)).toBe(true);
+        expect(matchesRule('2025-03-10', overdue, CONTEXT)).toBe(false);
+        const dueSoon = rule({ column: 'Due__c', operator: 'between', value: ['TODAY', 'TODAY+7'] });
+        expect(matchesRule('2025-03-17', dueSoon, CONTEXT)).toBe(true);
+        expect(matchesRule('2025-03-18', dueSoon, CONTEXT)).toBe(false);
+
+        expect(matchesRule('Closed Won', rule({ column: 'Stage__c', operator: 'in', value: ['closed won', 'Closed Lost'] }), CONTEXT)).toBe(true);
+        expect(matchesRule('a;b', rule({ column: 'Tags__c', operator: 'equals', value: 'B' }), CONTEXT)).toBe(true);
+        expect(matchesRule('a;b', rule({ column: 'Tags__c', operator: 'notEquals', value: 'b' }), CONTEXT)).toBe(false);
+        expect(matchesRule(false, rule({ column: 'Done__c', operator: 'equals', value: 'false' }), CONTEXT)).toBe(true);
+    });
+
+    it('lets the first matching rule win and cell rules win over row rules', () => {
+        const rules = normalizeFormattingRules([
+            { column: 'Stage__c', operator: 'equals', value: 'Lost', appliesTo: 'row', style: { background: 'error', textColor: 'error' } },
+            { column: 'Amount__c', operator: 'greaterThan', value: 100, style: { background: 'success', icon: 'up' } },
+            { column: 'Amount__c', operator: 'greaterThan', value: 0, style: { background: 'warning', dataBar: 'brand' } }
+        ], COLUMNS);
+        const context = { ...CONTEXT, dataBarRanges: getDataBarRanges(rules, [{ Amount__c: 400 }, { Amount__c: -100 }]) };
+
+        const result = formatRow({ Stage__c: 'Lost', Amount__c: 150 }, rules, context);
+
+        expect(result.rowClass).toBe('cf-row-bg-error cf-row-text-error');
+        expect(result.cells.get('Amount__c')).toEqual({
+            className: 'cf-bg-success cf-data-bar cf-bar-brand',
+            barWidth: 50,
+            icon: 'up'
+        });
+        expect(result.cells.has('Stage__c')).toBe(false);
+    });
+});
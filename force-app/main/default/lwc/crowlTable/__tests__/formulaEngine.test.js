@@ -0,0 +1,132 @@
+import { compileFormula, evaluateFormula, getEvaluationOrder } from '../formulaEngine';
+
+const COLUMNS = [
+    { field_api: 'Name', dataType: 'text' },
+    { field_api: 'Amount__c', dataType: 'currency' },
+    { field_api: 'Probability__c', dataType: 'percent' },
+    { field_api: 'Start_Date__c', dataType: 'date' },
+    { field_api: 'Due_Date__c', dataType: 'date' },
+    { field_api: 'Is_Active__c', dataType: 'boolean' }
+];
+const COLUMN_METADATA = new Map(COLUMNS.map(col => [col.field_api, col]));
+
+const NUMBER_RESULT = { field_api: 'Result__c', dataType: 'number' };
+const TEXT_RESULT = { field_api: 'Result__c', dataType: 'text' };
+const DATE_RESULT = { field_api: 'Result__c', dataType: 'date' };
+const BOOLEAN_RESULT = { field_api: 'Result__c', dataType: 'boolean' };
+
+const ROW = {
+    Name: 'Acme',
+    Amount__c: 200,
+    Probability__c: 25,
+    Start_Date__c: '2024-03-01',
+    Due_Date__c: '2024-03-31',
+    Is_Active__c: true
+};
+
+function run(formula, resultColumn = NUMBER_RESULT, row = ROW) {
+    return evaluateFormula(compileFormula(formula), row, COLUMN_METADATA, resultColumn);
+}
+
+function parseError(formula) {
+    try {
+        compileFormula(formula);
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+describe('formulaEngine', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('lists the fields a formula refers to', () => {
+        expect(compileFormula('Amount__c * Probability__c / 100 + Amount__c').references)
+            .toEqual(['Amount__c', 'Probability__c']);
+        expect(compileFormula('IF(TRUE, 1, NULL)').references).toEqual([]);
+    });
+
+    it('applies operator precedence, powers and unary minus', () => {
+        expect(run('1 + 2 * 3')).toBe(7);
+        expect(run('(1 + 2) * 3')).toBe(9);
+        expect(run('2 ^ 3 ^ 2')).toBe(512);
+        expect(run('-2 ^ 2')).toBe(-4);
+        expect(run('Amount__c * Probability__c / 100')).toBe(50);
+        expect(run('0.1 * 3')).toBe(0.3);
+    });
+
+    it('only evaluates the IF branch, AND and OR arguments it needs', () => {
+        expect(run('IF(Amount__c > 0, 1, 1 / 0)')).toBe(1);
+        expect(run('IF(Amount__c < 0, 1 / 0, 2)')).toBe(2);
+        expect(run('IF(Amount__c < 0, 1)')).toBeNull();
+        expect(run('AND(FALSE, 1 / 0 > 0)', BOOLEAN_RESULT)).toBe(false);
+        expect(run('OR(TRUE, 1 / 0 > 0)', BOOLEAN_RESULT)).toBe(true);
+        expect(run('FALSE && 1 / 0 > 0', BOOLEAN_RESULT)).toBe(false);
+        expect(run('TRUE || 1 / 0 > 0', BOOLEAN_RESULT)).toBe(true);
+        expect(() => run('IF(TRUE)')).toThrow('IF expects 2 or 3 arguments');
+    });
+
+    it('concatenates text, numbers, blanks and dates with &', () => {
+        expect(run('Name & " - " & Amount__c', TEXT_RESULT)).toBe('Acme - 200');
+        expect(run('Name & Amount__c', TEXT_RESULT, { ...ROW, Amount__c: null })).toBe('Acme');
+        expect(run('"Due " & Due_Date__c', TEXT_RESULT)).toBe('Due 2024-03-31');
+        expect(run('1 & 2', NUMBER_RESULT)).toBe(12);
+    });
+
+    it('adds days to dates and subtracts dates into days', () => {
+        expect(run('Start_Date__c + 30', DATE_RESULT)).toBe('2024-03-31');
+        expect(run('Due_Date__c - 31', DATE_RESULT)).toBe('2024-02-29');
+        expect(run('Due_Date__c - Start_Date__c')).toBe(30);
+        expect(run('Due_Date__c - Start_Date__c', NUMBER_RESULT, { ...ROW, Due_Date__c: null })).toBeNull();
+        expect(run('YEAR(Start_Date__c) * 100 + MONTH(Start_Date__c)')).toBe(202403);
+    });
+
+    it('clamps ADDMONTHS to the last day of shorter months', () => {
+        expect(run('ADDMONTHS(DATE(2024, 1, 31), 1)', DATE_RESULT)).toBe('2024-02-29');
+        expect(run('ADDMONTHS(DATE(2023, 1, 31), 1)', DATE_RESULT)).toBe('2023-02-28');
+        expect(run('ADDMONTHS(DATE(2024, 3, 31), -1)', DATE_RESULT)).toBe('2024-02-29');
+        expect(run('ADDMONTHS(DATE(2024, 11, 30), 3)', DATE_RESULT)).toBe('2025-02-28');
+    });
+
+    it('reads TODAY from the local date', () => {
+        jest.useFakeTimers().setSystemTime(new Date(2026, 2, 15, 23, 30));
+
+        expect(run('TODAY()', DATE_RESULT)).toBe('2026-03-15');
+        expect(run('TODAY() - Start_Date__c', NUMBER_RESULT, { ...ROW, Start_Date__c: '2026-03-05' })).toBe(10);
+    });
+
+    it('reports where a formula fails to parse', () => {
+        expect(parseError('1 + * 2')).toBe('Unexpected "*" at position 5');
+        expect(parseError('(1 + 2')).toBe('Expected ")" but found end of formula at position 7');
+        expect(parseError('1 +')).toBe('Unexpected end of formula at position 4');
+        expect(parseError('"abc')).toBe('Unclosed string at position 1');
+        expect(parseError('1 # 2')).toBe('Unexpected "#" at position 3');
+        expect(parseError('1 2')).toBe('Unexpected "2" at position 3');
+        expect(parseError('FOO(1)')).toBe('Unknown function FOO');
+    });
+
+    it('throws on division by zero', () => {
+        expect(() => run('Amount__c / 0')).toThrow('Division by zero');
+        expect(() => run('MOD(Amount__c, Probability__c - 25)')).toThrow('Division by zero');
+        expect(run('Amount__c / Probability__c', NUMBER_RESULT, { ...ROW, Probability__c: null })).toBeNull();
+    });
+
+    it('orders formula columns after the formula columns they refer to', () => {
+        const referencesByField = new Map([
+            ['Total__c', ['Net__c', 'Tax__c']],
+            ['Tax__c', ['Net__c']],
+            ['Net__c', ['Amount__c']]
+        ]);
+
+        expect(getEvaluationOrder(referencesByField)).toEqual(['Net__c', 'Tax__c', 'Total__c']);
+    });
+
+    it('rejects formulas that refer to each other in a cycle', () => {
+        expect(() => getEvaluationOrder(new Map([['A', ['B']], ['B', ['A']]])))
+            .toThrow('Circular formula reference: A -> B -> A');
+        expect(() => getEvaluationOrder(new Map([['A', ['Amount__c', 'A']]])))
+            .toThrow('Circular formula reference: A -> A');
+    });
+});
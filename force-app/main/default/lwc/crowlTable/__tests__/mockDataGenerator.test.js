@@ -0,0 +1,138 @@
+import {
+    createRandom,
+    generateMockTableData,
+    generateRows,
+    mockSaveRows,
+    resolveMockConfig,
+    DEFAULT_SEED,
+    MOCK_PRESETS,
+    PATHOLOGICAL_PRESET
+} from '../mockDataGenerator';
+
+const SCHEMA = [
+    { field_api: 'Name', label: 'Name', 'data-type': 'text' },
+    { field_api: 'Score__c', label: 'Score', 'data-type': 'number', min: 1, max: 5, decimals: 0 },
+    { field_api: 'Stage__c', label: 'Stage', 'data-type': 'picklist', values: ['New', 'Won', 'Lost'] },
+    { field_api: 'Due__c', label: 'Due', 'data-type': 'date' },
+    { field_api: 'Done__c', label: 'Done', 'data-type': 'boolean' },
+    { field_api: 'Account__c', label: 'Account', 'data-type': 'reference', referenceTo: 'Account', relationshipName: 'Account__r' },
+    { field_api: 'Double__c', label: 'Double', 'data-type': 'number', formula: 'Score__c * 2' }
+];
+
+describe('mockDataGenerator', () => {
+    it('createRandom repeats its sequence for the same seed', () => {
+        const first = createRandom(42);
+        const second = createRandom(42);
+        const values = Array.from({ length: 100 }, () => first());
+
+        expect(values).toEqual(Array.from({ length: 100 }, () => second()));
+        expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(new Set(values).size).toBe(100);
+    });
+
+    it('generates the same rows for the same seed', () => {
+        expect(generateMockTableData({ rowCount: 50, seed: 3 })).toEqual(generateMockTableData({ rowCount: 50, seed: 3 }));
+        expect(generateRows(50)).toEqual(generateRows(50, DEFAULT_SEED));
+    });
+
+    it('generates different values for different seeds, with the same Ids', () => {
+        const first = generateRows(20, 1);
+        const second = generateRows(20, 2);
+
+        expect(first.map(row => row.Id)).toEqual(second.map(row => row.Id));
+        expect(first.map(row => row.Amount__c)).not.toEqual(second.map(row => row.Amount__c));
+    });
+
+    it('keeps the rows of a shorter run as a prefix of a longer one', () => {
+        expect(generateRows(30, 9).slice(0, 10)).toEqual(generateRows(10, 9));
+    });
+
+    it('generates a typical value of each column type from a schema', () => {
+        const { columns, rows } = generateMockTableData({ rowCount: 40, seed: 5, columns: SCHEMA });
+
+        expect(columns.map(column => column.field_api)).toEqual(SCHEMA.map(column => column.field_api));
+        // Generator-only keys are not part of the column metadata
+        expect(columns[1].min).toBeUndefined();
+        expect(rows).toHaveLength(40);
+        rows.forEach(row => {
+            expect(Number.isInteger(row.Score__c) && row.Score__c >= 1 && row.Score__c <= 5).toBe(true);
+            expect(['New', 'Won', 'Lost']).toContain(row.Stage__c);
+            expect(row.Due__c).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+            expect(typeof row.Done__c).toBe('boolean');
+            expect(row.Account__r.Id).toBe(row.Account__c);
+            // Formula columns are computed by the table
+            expect(row).not.toHaveProperty('Double__c');
+        });
+        expect(generateMockTableData({ rowCount: 40, seed: 5, columns: SCHEMA })).toEqual({ columns, rows });
+    });
+
+    it('blanks values and swaps in edge cases at the configured ratios', () => {
+        const blank = generateMockTableData({ rowCount: 10, columns: SCHEMA, nullRatio: 1 }).rows;
+        blank.forEach(row => {
+            expect([row.Name, row.Score__c, row.Stage__c, row.Due__c, row.Account__c, row.Account__r]).toEqual([null, null, null, null, null, null]);
+            // Checkboxes are never blank
+            expect(typeof row.Done__c).toBe('boolean');
+        });
+
+        const edgy = generateMockTableData({
+            rowCount: 30,
+            columns: SCHEMA.map(column => ({ ...column, edgeCaseRatio: 1 }))
+        }).rows;
+        edgy.forEach(row => {
+            // An inactive value, or the longest active one
+            expect(['Retired Value', 'Lost']).toContain(row.Stage__c);
+            expect(row.Account__r).toBeNull();
+        });
+        expect(edgy.some(row => row.Name.length > 1000 || /[^\x00-\x7f]/.test(row.Name))).toBe(true);
+    });
+
+    it('applies ratios to the sample columns without shifting their values', () => {
+        const plain = generateRows(20, 4);
+        const mixed = generateMockTableData({ rowCount: 20, seed: 4, nullRatio: 0.5 }).rows;
+
+        expect(mixed.some(row => row.Amount__c === null)).toBe(true);
+        mixed.forEach((row, index) => {
+            if (row.Amount__c !== null) {
+                expect(row.Amount__c).toBe(plain[index].Amount__c);
+            }
+        });
+        expect(generateMockTableData({ rowCount: 30, seed: 4, nullRatio: 0.5 }).rows.slice(0, 20)).toEqual(mixed);
+    });
+
+    it('resolves presets and lets the config override them', () => {
+        expect(resolveMockConfig()).toEqual({
+            preset: 'default', seed: DEFAULT_SEED, rowCount: 200, nullRatio: 0, edgeCaseRatio: 0, columns: null
+        });
+
+        const pathological = resolveMockConfig({ preset: PATHOLOGICAL_PRESET, seed: 7 });
+        expect(pathological.rowCount).toBe(10000);
+        expect(pathological.seed).toBe(7);
+        expect(pathological.columns).toHaveLength(MOCK_PRESETS[PATHOLOGICAL_PRESET].columns.length);
+
+        const { rows } = generateMockTableData({ preset: PATHOLOGICAL_PRESET, rowCount: 300 });
+        expect(rows).toHaveLength(300);
+        expect(rows.some(row => row.Amount__c === null)).toBe(true);
+    });
+
+    it('rejects invalid configs', () => {
+        expect(() => resolveMockConfig({ preset: 'huge' })).toThrow('Unknown mock data preset: huge');
+        expect(() => resolveMockConfig({ rowCount: -1 })).toThrow('rowCount');
+        expect(() => resolveMockConfig({ seed: 'abc' })).toThrow('seed');
+        expect(() => resolveMockConfig({ nullRatio: 2 })).toThrow('nullRatio');
+        expect(() => resolveMockConfig({ columns: [{ label: 'No field' }] })).toThrow('field_api');
+    });
+
+    it('mockSaveRows fails cancelled rows like the sample validation rule', async () => {
+        jest.useFakeTimers();
+        const response = mockSaveRows(JSON.stringify([
+            { Id: 'a00000000000001ABC', Status__c: 'Open' },
+            { Id: 'a00000000000002ABC', Status__c: 'Cancelled' }
+        ]));
+        jest.runAllTimers();
+        jest.useRealTimers();
+
+        const results = JSON.parse(await response);
+        expect(results.map(result => result.success)).toEqual([true, false]);
+        expect(results[1].errors[0]).toContain('cannot be cancelled');
+    });
+});
@@ -0,0 +1,55 @@
+import { buildMatcher, splitMatches, findReplacements } from '../replaceUtils';
+
+const COLUMNS = [
+    { field_api: 'Name', dataType: 'text' },
+    { field_api: 'Stage__c', dataType: 'picklist', picklistValues: [{ label: 'New', value: 'New' }, { label: 'Won', value: 'Won' }] },
+    { field_api: 'Amount__c', dataType: 'currency' },
+    { field_api: 'Double__c', dataType: 'number', isFormula: true }
+];
+
+describe('replaceUtils', () => {
+    it('builds plain, whole cell and regex patterns', () => {
+        expect(splitMatches('a.b A.B', buildMatcher({ find: 'a.b' }))).toEqual([
+            { text: 'a.b', isMatch: true },
+            { text: ' ', isMatch: false },
+            { text: 'A.B', isMatch: true }
+        ]);
+        expect(splitMatches('a.b A.B', buildMatcher({ find: 'a.b', matchCase: true }))).toHaveLength(2);
+        expect(splitMatches('ab', buildMatcher({ find: 'a', wholeCell: true }))).toEqual([{ text: 'ab', isMatch: false }]);
+        expect(buildMatcher({ find: '(\\d+)-x', useRegex: true }).test('12-x')).toBe(true);
+        expect(() => buildMatcher({ find: '' })).toThrow('Enter the text to find');
+        expect(() => buildMatcher({ find: '[', useRegex: true })).toThrow('Invalid regular expression');
+    });
+
+    it('inserts plain replacement text as typed and expands $ patterns only in regex mode', () => {
+        const rows = [{ Id: '1', Name: 'price list' }];
+
+        const plain = findReplacements(rows, COLUMNS, { find: 'price', replace: '$$ cost $&' });
+        expect(plain.cells[0].newText).toBe('$$ cost $& list');
+
+        const regex = findReplacements(rows, COLUMNS, { find: '(\\w+) list', replace: '$1 sheet, $$5', useRegex: true });
+        expect(regex.cells[0].newText).toBe('price sheet, $5');
+    });
+
+    it('converts replacements to the column type and rejects invalid values', () => {
+        const rows = [
+            { Id: '1', Name: 'New deal', Stage__c: 'New', Amount__c: 1200, Double__c: 1200 },
+            { Id: '2', Name: 'Old deal', Stage__c: 'Won', Amount__c: 12, Double__c: 12 }
+        ];
+
+        const stage = findReplacements(rows, COLUMNS, { find: 'New', replace: 'Won', wholeCell: true });
+        expect(stage.matchCount).toBe(1);
+        expect(stage.changes).toEqual([{ rowId: '1', fieldApi: 'Stage__c', oldValue: 'New', newValue: 'Won' }]);
+
+        const amount = findReplacements(rows, COLUMNS, { find: '12', replace: '34' });
+        // Formula columns are not searched
+        expect(amount.cells.map(cell => cell.fieldApi)).toEqual(['Amount__c', 'Amount__c']);
+        expect(amount.changes.map(change => change.newValue)).toEqual([3400, 34]);
+
+        const invalid = findReplacements(rows, COLUMNS, { find: 'won', replace: 'Lost', useRegex: true });
+        expect(invalid.changes).toEqual([]);
+        expect(invalid.rejections).toEqual([
+            { rowId: '2', fieldApi: 'Stage__c', newText: 'Lost', reason: expect.any(String) }
+        ]);
+    });
+});
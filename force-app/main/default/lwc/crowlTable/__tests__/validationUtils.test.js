@@ -0,0 +1,25 @@
+import { convertInputValue, validateCell } from '../validationUtils';
+
+const AMOUNT = { field_api: 'Amount__c', label: 'Amount', dataType: 'currency' };
+
+describe('validationUtils', () => {
+    it('converts only whole numbers and keeps other typed text for validation', () => {
+        expect(convertInputValue(AMOUNT, ' 12.5 ')).toBe(12.5);
+        expect(convertInputValue(AMOUNT, '-3e2')).toBe(-300);
+        expect(convertInputValue(AMOUNT, '')).toBeNull();
+        expect(convertInputValue(AMOUNT, '12abc')).toBe('12abc');
+        expect(convertInputValue(AMOUNT, '1,234')).toBe('1,234');
+
+        expect(validateCell(convertInputValue(AMOUNT, '12abc'), AMOUNT, {})).toBe('Amount must be a number');
+    });
+
+    it('reports a custom validator that throws as a validation error', () => {
+        const customValidators = {
+            Amount__c: () => {
+                throw new Error('rates not loaded');
+            }
+        };
+
+        expect(validateCell(5, AMOUNT, {}, customValidators)).toBe('Validation failed: rates not loaded');
+    });
+});
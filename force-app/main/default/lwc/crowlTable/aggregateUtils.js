@@ -0,0 +1,101 @@
+/**
+ * Aggregate utilities for CrowlTable component
+ * Computes the totals row: sum, average, min and max for number columns,
+ * count and distinct count for picklist and boolean columns
+ */
+
+import { getTypeFamily, NUMBER_FAMILY, PICKLIST_FAMILY, BOOLEAN_FAMILY } from './fieldTypes';
+
+export const AGGREGATE_SUM = 'sum';
+export const AGGREGATE_AVG = 'avg';
+export const AGGREGATE_MIN = 'min';
+export const AGGREGATE_MAX = 'max';
+export const AGGREGATE_COUNT = 'count';
+export const AGGREGATE_DISTINCT = 'distinct';
+
+export const AGGREGATE_LABELS = {
+    [AGGREGATE_SUM]: 'Sum',
+    [AGGREGATE_AVG]: 'Average',
+    [AGGREGATE_MIN]: 'Min',
+    [AGGREGATE_MAX]: 'Max',
+    [AGGREGATE_COUNT]: 'Count',
+    [AGGREGATE_DISTINCT]: 'Distinct'
+};
+
+const NUMBER_AGGREGATES = [AGGREGATE_SUM, AGGREGATE_AVG, AGGREGATE_MIN, AGGREGATE_MAX];
+const CATEGORY_AGGREGATES = [AGGREGATE_COUNT, AGGREGATE_DISTINCT];
+
+/**
+ * Aggregates a column supports; the first is its default
+ * @param {Object} column - Column metadata
+ * @returns {Array<string>} - AGGREGATE_* values (empty when the column has no total)
+ */
+export function getAggregateOptions(column) {
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY:
+            return NUMBER_AGGREGATES;
+        case PICKLIST_FAMILY:
+        case BOOLEAN_FAMILY:
+            return CATEGORY_AGGREGATES;
+        default:
+            return [];
+    }
+}
+
+function createAccumulator() {
+    return { count: 0, sum: 0, min: null, max: null, distinct: new Set() };
+}
+
+/**
+ * Computes every aggregate of the given columns in one pass over the rows.
+ * Blank cells are skipped, so averages and counts cover filled cells only;
+ * a boolean counts when it is checked.
+ * @param {Array} rows - Rows to total
+ * @param {Array} columns - Column metadata of the columns to total
+ * @returns {Map} - fieldApi => { sum, avg, min, max, count, distinct }
+ *   (number aggregates are null when the column has no values)
+ */
+export function computeAggregates(rows, columns) {
+    const targets = columns
+        .filter(col => getAggregateOptions(col).length > 0)
+        .map(col => ({
+            fieldApi: col.field_api,
+            isNumber: getTypeFamily(col.dataType) === NUMBER_FAMILY,
+            isBoolean: getTypeFamily(col.dataType) === BOOLEAN_FAMILY,
+            acc: createAccumulator()
+        }));
+
+    rows.forEach(row => {
+        targets.forEach(({ fieldApi, isNumber, isBoolean, acc }) => {
+            const value = row[fieldApi];
+            if (value === null || value === undefined || value === '') return;
+
+            if (isNumber) {
+                // Invalid input is kept in the row as text until fixed
+                if (typeof value !== 'number' || Number.isNaN(value)) return;
+                acc.count++;
+                acc.sum += value;
+                acc.min = acc.min === null ? value : Math.min(acc.min, value);
+                acc.max = acc.max === null ? value : Math.max(acc.max, value);
+            } else {
+                if (!isBoolean || value === true) {
+                    acc.count++;
+                }
+                acc.distinct.add(value);
+            }
+        });
+    });
+
+    const results = new Map();
+    targets.forEach(({ fieldApi, isNumber, acc }) => {
+        results.set(fieldApi, {
+            [AGGREGATE_SUM]: isNumber && acc.count > 0 ? acc.sum : null,
+            [AGGREGATE_AVG]: isNumber && acc.count > 0 ? acc.sum / acc.count : null,
+            [AGGREGATE_MIN]: acc.min,
+            [AGGREGATE_MAX]: acc.max,
+            [AGGREGATE_COUNT]: acc.count,
+            [AGGREGATE_DISTINCT]: acc.distinct.size
+        });
+    });
+    return results;
+}
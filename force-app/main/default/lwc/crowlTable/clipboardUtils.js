@@ -0,0 +1,298 @@
+/**
+ * Clipboard utilities for CrowlTable component
+ * TSV serialization compatible with Excel and Google Sheets, and
+ * conversion of pasted text to each column's dataType
+ */
+
+import {
+    getTypeFamily,
+    joinMultiValue,
+    fromDateTimeInputValue,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    PICKLIST_FAMILY,
+    MULTIPICKLIST_FAMILY,
+    BOOLEAN_FAMILY
+} from './fieldTypes';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', '✗'];
+
+/**
+ * Quotes a field when it contains a tab, newline or quote (Excel rules)
+ * @param {string} text - Field text
+ * @returns {string} - TSV-safe field
+ */
+function quoteField(text) {
+    if (/[\t\n\r"]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Formats a cell value for the clipboard
+ * @param {*} value - Cell value
+ * @param {string} dataType - Column data type
+ * @returns {string} - Plain text value
+ */
+export function formatClipboardValue(value, dataType) {
+    if (value === null || value === undefined) return '';
+    if (dataType === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+/**
+ * Serializes a matrix of strings to TSV
+ * @param {Array<Array<string>>} matrix - Rows of cell text
+ * @returns {string} - TSV text
+ */
+export function toTsv(matrix) {
+    return matrix.map(row => row.map(quoteField).join('\t')).join('\n');
+}
+
+/**
+ * Parses delimited text (TSV from spreadsheets, CSV files) into a matrix
+ * of strings. Handles quoted fields with embedded delimiters, newlines and
+ * doubled quotes, and drops the trailing newline spreadsheets append.
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} - Rows of cell text
+ */
+export function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Parses TSV clipboard text into a matrix of strings
+ * @param {string} text - Clipboard text
+ * @returns {Array<Array<string>>} - Rows of cell text
+ */
+export function parseTsv(text) {
+    return parseDelimited(text, '\t');
+}
+
+/**
+ * Normalizes a pasted date to YYYY-MM-DD. Accepts ISO dates and
+ * M/D/YYYY; anything else is returned unchanged for validation to flag.
+ * @param {string} text - Pasted text
+ * @returns {string} - ISO date or the original text
+ */
+function toIsoDate(text) {
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+        const [, month, day, year] = match;
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    return text;
+}
+
+/**
+ * Normalizes a pasted datetime to ISO 8601 UTC. Accepts full ISO
+ * datetimes, 'YYYY-MM-DD HH:mm' and 'M/D/YYYY h:mm [AM|PM]' in local time;
+ * anything else is returned unchanged for validation to flag.
+ * @param {string} text - Pasted text
+ * @returns {string} - ISO datetime or the original text
+ */
+function toIsoDateTime(text) {
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? text : date.toISOString();
+    }
+
+    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+    if (match) {
+        const [, month, day, year, rawHours, minutes, seconds, meridiem] = match;
+        let hours = Number(rawHours);
+        if (meridiem) {
+            hours = hours % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        }
+        return fromDateTimeInputValue(
+            `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T` +
+            `${String(hours).padStart(2, '0')}:${minutes}:${seconds || '00'}`
+        );
+    }
+    return fromDateTimeInputValue(text);
+}
+
+const separatorCache = new Map();
+
+/**
+ * Decimal and group separators of a locale
+ * @param {string} [locale] - BCP 47 locale; the browser's when omitted
+ * @returns {Object} - { decimal, group }
+ */
+function getNumberSeparators(locale) {
+    const cacheKey = locale || '';
+    if (!separatorCache.has(cacheKey)) {
+        const separators = { decimal: '.', group: ',' };
+        new Intl.NumberFormat(locale).formatToParts(1234567.5).forEach(part => {
+            if (part.type === 'decimal' || part.type === 'group') {
+                separators[part.type] = part.value;
+            }
+        });
+        separatorCache.set(cacheKey, separators);
+    }
+    return separatorCache.get(cacheKey);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Currency symbols and codes, percent signs and spaces around a number
+const NUMBER_DECORATION = /^[\p{Sc}\p{L}%\s]+|[\p{Sc}\p{L}%\s]+$/gu;
+
+/**
+ * Parses pasted number text. Accepts the plain form the table copies
+ * (1234.5) and the locale's grouped form (1,234.5 or 1.234,5), with
+ * currency symbols, percent signs and accounting parentheses for
+ * negatives. Text written exactly as the table copies a number reads as
+ * that number. Other text both forms read differently (0.100 in a
+ * locale with a decimal comma) is ambiguous and returned unchanged for
+ * validation to flag, as is anything else that is not a number.
+ * @param {string} text - Trimmed text
+ * @param {string} [locale] - Locale for the separators
+ * @returns {number|string} - Number or the original text
+ */
+function toNumber(text, locale) {
+    let body = text.replace(NUMBER_DECORATION, '');
+    let negative = false;
+    const parenthesized = body.match(/^\((.*)\)$/);
+    if (parenthesized) {
+        negative = true;
+        body = parenthesized[1];
+    } else if (/^[-\u2212+]/.test(body)) {
+        negative = body[0] !== '+';
+        body = body.slice(1);
+    }
+    body = body.replace(NUMBER_DECORATION, '');
+
+    const { decimal, group } = getNumberSeparators(locale);
+    const groupPattern = /\s/.test(group) ? '\\s' : escapeRegExp(group);
+    const decimalPattern = escapeRegExp(decimal);
+    const localePattern = new RegExp(
+        `^(?:(?:\\d{1,3}(?:${groupPattern}\\d{3})+|\\d+)(?:${decimalPattern}\\d*)?|${decimalPattern}\\d+)$`
+    );
+
+    const readings = new Set();
+    if (/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(body)) {
+        const plain = Number(body);
+        // Exactly what the table copies (String(1.234)) is always the plain number
+        if (String(plain) === body) {
+            return negative ? -plain : plain;
+        }
+        readings.add(plain);
+    }
+    if (localePattern.test(body)) {
+        readings.add(Number(body.replace(new RegExp(groupPattern, 'g'), '').replace(decimal, '.')));
+    }
+    if (readings.size !== 1) return text;
+
+    const [value] = readings;
+    return negative ? -value : value;
+}
+
+/**
+ * Finds the picklist value matching pasted text by value or label
+ * @param {Object} column - Column metadata
+ * @param {string} text - Trimmed text
+ * @returns {string} - Picklist value, or the text when nothing matches
+ */
+function matchPicklistValue(column, text) {
+    const lower = text.toLowerCase();
+    const match = (column.picklistValues || []).find(
+        opt => opt.value.toLowerCase() === lower || opt.label.toLowerCase() === lower
+    );
+    return match ? match.value : text;
+}
+
+/**
+ * Converts pasted text to a value of the column's dataType. Values that
+ * cannot be converted are kept as text so validation can flag them.
+ * @param {Object} column - Column metadata
+ * @param {string} text - Pasted cell text
+ * @param {string} [locale] - Locale for number separators; the browser's
+ *   when omitted, matching how the cells display numbers
+ * @returns {*} - Typed value
+ */
+export function parseClipboardValue(column, text, locale) {
+    const trimmed = (text || '').trim();
+
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY:
+            return trimmed === '' ? null : toNumber(trimmed, locale);
+        case BOOLEAN_FAMILY: {
+            const lower = trimmed.toLowerCase();
+            if (TRUE_VALUES.includes(lower)) return true;
+            if (FALSE_VALUES.includes(lower)) return false;
+            return trimmed;
+        }
+        case DATE_FAMILY:
+            return trimmed === '' ? null : toIsoDate(trimmed);
+        case DATETIME_FAMILY:
+            return trimmed === '' ? null : toIsoDateTime(trimmed);
+        case PICKLIST_FAMILY:
+            return trimmed === '' ? null : matchPicklistValue(column, trimmed);
+        case MULTIPICKLIST_FAMILY: {
+            // Spreadsheets often hold the values comma-separated. Keep the
+            // picklist definition order, like the multi-select editor does.
+            const order = (column.picklistValues || []).map(opt => opt.value);
+            const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+            const values = trimmed.split(/[;,]/).map(part => part.trim()).filter(Boolean)
+                .map(part => matchPicklistValue(column, part));
+            return joinMultiValue(values.sort((a, b) => rank(a) - rank(b)));
+        }
+        default:
+            return text;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Column layout utilities for CrowlTable component
+ * Normalizes the user's column order, hidden columns, widths and frozen
+ * column count against the columns the table currently has
+ */
+
+export const MIN_COLUMN_WIDTH = 60;
+export const DEFAULT_COLUMN_WIDTH = 160;
+export const DEFAULT_FROZEN_COUNT = 1;
+
+/**
+ * Builds a complete layout for the given columns. Unknown field names are
+ * dropped, columns missing from the order are appended in metadata order,
+ * and at least one column is always left visible.
+ * @param {Object} layout - { order, hidden, widths, frozenCount } (any part may be missing)
+ * @param {Array} columns - Column metadata in metadata order
+ * @returns {Object} - { order: Array<string>, hidden: Array<string>, widths: Object, frozenCount: number }
+ */
+export function normalizeColumnLayout(layout, columns) {
+    const source = layout || {};
+    const known = new Set(columns.map(col => col.field_api));
+
+    const order = [];
+    (Array.isArray(source.order) ? source.order : []).forEach(fieldApi => {
+        if (known.has(fieldApi) && !order.includes(fieldApi)) {
+            order.push(fieldApi);
+        }
+    });
+    columns.forEach(col => {
+        if (!order.includes(col.field_api)) {
+            order.push(col.field_api);
+        }
+    });
+
+    let hidden = (Array.isArray(source.hidden) ? source.hidden : []).filter(fieldApi => known.has(fieldApi));
+    if (order.length > 0 && order.every(fieldApi => hidden.includes(fieldApi))) {
+        hidden = hidden.filter(fieldApi => fieldApi !== order[0]);
+    }
+
+    const widths = {};
+    Object.keys(source.widths || {}).forEach(fieldApi => {
+        const width = Number(source.widths[fieldApi]);
+        if (known.has(fieldApi) && Number.isFinite(width)) {
+            widths[fieldApi] = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+        }
+    });
+
+    const frozenCount = Number.isInteger(source.frozenCount) ? source.frozenCount : DEFAULT_FROZEN_COUNT;
+
+    return {
+        order,
+        hidden: Array.from(new Set(hidden)),
+        widths,
+        frozenCount: Math.min(Math.max(frozenCount, 0), order.length)
+    };
+}
+
+/**
+ * Moves a column next to another one
+ * @param {Array<string>} order - Field API names in display order
+ * @param {string} fieldApi - Column to move
+ * @param {string} targetFieldApi - Column to drop it beside
+ * @param {boolean} placeAfter - Drop after the target instead of before it
+ * @returns {Array<string>} - New order (the input is not changed)
+ */
+export function moveColumn(order, fieldApi, targetFieldApi, placeAfter) {
+    if (fieldApi === targetFieldApi || !order.includes(fieldApi) || !order.includes(targetFieldApi)) {
+        return order;
+    }
+    const next = order.filter(candidate => candidate !== fieldApi);
+    const targetIndex = next.indexOf(targetFieldApi);
+    next.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, fieldApi);
+    return next;
+}
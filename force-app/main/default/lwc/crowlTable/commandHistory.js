@@ -0,0 +1,100 @@
+/**
+ * Command history for CrowlTable component
+ * Records edits as undoable steps for multi-level undo/redo
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Builds a single cell change entry for a command
+ * @param {string} rowId - Row Id
+ * @param {string} fieldApi - Field API name
+ * @param {*} oldValue - Value before the change
+ * @param {*} newValue - Value after the change
+ * @returns {Object} - Change entry
+ */
+export function createChange(rowId, fieldApi, oldValue, newValue) {
+    return { rowId, fieldApi, oldValue, newValue };
+}
+
+/**
+ * Undo/redo stacks of commands. A command is { label, changes: [] }
+ * and represents one user action (a cell edit, a bulk header apply, ...)
+ */
+export class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of undoable steps kept
+     */
+    constructor(limit = DEFAULT_HISTORY_LIMIT) {
+        this._limit = limit;
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    /**
+     * Records a new command; clears the redo stack
+     * @param {Object} command - { label, changes }
+     */
+    push(command) {
+        if (!command || !command.changes || command.changes.length === 0) return;
+
+        this._undoStack.push(command);
+        if (this._undoStack.length > this._limit) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
+
+    /**
+     * Moves the latest command to the redo stack
+     * @returns {Object|null} - Command to revert, or null if nothing to undo
+     */
+    undo() {
+        const command = this._undoStack.pop();
+        if (!command) return null;
+        this._redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Moves the latest undone command back to the undo stack
+     * @returns {Object|null} - Command to re-apply, or null if nothing to redo
+     */
+    redo() {
+        const command = this._redoStack.pop();
+        if (!command) return null;
+        this._undoStack.push(command);
+        return command;
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Label of the step that undo() would revert
+     * @returns {string|null}
+     */
+    peekUndoLabel() {
+        const command = this._undoStack[this._undoStack.length - 1];
+        return command ? command.label : null;
+    }
+
+    /**
+     * Label of the step that redo() would re-apply
+     * @returns {string|null}
+     */
+    peekRedoLabel() {
+        const command = this._redoStack[this._redoStack.length - 1];
+        return command ? command.label : null;
+    }
+
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Conflict detection utilities for CrowlTable component
+ * Compares three versions of each edited row - as loaded, as edited in the
+ * grid and as it is on the server now - and builds the merge that applies
+ * the user's choice for each cell
+ */
+
+import { valuesEqual } from './reviewUtils';
+
+export const CELL_UNCHANGED = 'unchanged';
+export const CELL_SERVER_CHANGED = 'server';
+export const CELL_LOCAL_CHANGED = 'local';
+export const CELL_CONFLICT = 'conflict';
+
+export const KEEP_MINE = 'mine';
+export const TAKE_THEIRS = 'theirs';
+export const EDIT_VALUE = 'edit';
+
+// Salesforce updates these on every save of a record
+export const VERSION_FIELDS = ['SystemModstamp', 'LastModifiedDate'];
+
+function hasField(row, fieldApi) {
+    return Object.prototype.hasOwnProperty.call(row, fieldApi);
+}
+
+/**
+ * Classifies one cell. Both sides changing to the same value is not a
+ * conflict; the cell counts as unchanged.
+ * @param {*} baseValue - Value when the row was loaded
+ * @param {*} localValue - Value in the grid
+ * @param {*} serverValue - Value on the server now
+ * @returns {string} - One of the CELL_* constants
+ */
+export function getCellStatus(baseValue, localValue, serverValue) {
+    const localChanged = !valuesEqual(localValue, baseValue);
+    const serverChanged = !valuesEqual(serverValue, baseValue);
+
+    if (localChanged && serverChanged) {
+        return valuesEqual(localValue, serverValue) ? CELL_UNCHANGED : CELL_CONFLICT;
+    }
+    if (serverChanged) return CELL_SERVER_CHANGED;
+    return localChanged ? CELL_LOCAL_CHANGED : CELL_UNCHANGED;
+}
+
+/**
+ * Tells whether the record was saved since it was loaded, from its
+ * version stamps. Rows without stamps count as changed.
+ * @param {Object} baseRow - Row as loaded
+ * @param {Object} serverRow - Row as it is on the server now
+ * @returns {boolean} - True when the stamps differ or are missing
+ */
+export function isChangedOnServer(baseRow, serverRow) {
+    const field = VERSION_FIELDS.find(name => baseRow[name] && serverRow[name]);
+    return field ? baseRow[field] !== serverRow[field] : true;
+}
+
+/**
+ * Compares edited rows with their current server copies. Fields the
+ * server did not return (e.g. no longer readable) are compared as if the
+ * server still had the loaded value.
+ * @param {Array<string>} rowIds - Rows to compare
+ * @param {Map} originalDataMap - rowId => row as loaded
+ * @param {Map} workingDataMap - rowId => row in the grid
+ * @param {Array} serverRows - Current server rows; missing rows were deleted or can no longer be read
+ * @param {Array} columns - Columns to compare (formula columns are skipped)
+ * @returns {Array} - [{ rowId, isDeleted, isChangedOnServer, serverRow,
+ *   cells: [{ fieldApi, status, baseValue, localValue, serverValue, hasServerValue }] }]
+ */
+export function detectConflicts(rowIds, originalDataMap, workingDataMap, serverRows, columns) {
+    const serverRowsById = new Map(serverRows.map(row => [row.Id, row]));
+    const dataColumns = columns.filter(column => !column.isFormula);
+
+    return rowIds
+        .filter(rowId => originalDataMap.has(rowId) && workingDataMap.has(rowId))
+        .map(rowId => {
+            const baseRow = originalDataMap.get(rowId);
+            const localRow = workingDataMap.get(rowId);
+            const serverRow = serverRowsById.get(rowId) || null;
+            if (!serverRow) {
+                return { rowId, isDeleted: true, isChangedOnServer: true, serverRow: null, cells: [] };
+            }
+
+            const cells = dataColumns.map(column => {
+                const fieldApi = column.field_api;
+                const hasServerValue = hasField(serverRow, fieldApi);
+                const baseValue = baseRow[fieldApi];
+                const localValue = localRow[fieldApi];
+                const serverValue = hasServerValue ? serverRow[fieldApi] : baseValue;
+                return {
+                    fieldApi,
+                    status: getCellStatus(baseValue, localValue, serverValue),
+                    baseValue,
+                    localValue,
+                    serverValue,
+                    hasServerValue
+                };
+            });
+            return { rowId, isDeleted: false, isChangedOnServer: isChangedOnServer(baseRow, serverRow), serverRow, cells };
+        });
+}
+
+/**
+ * Counts the cells of a report by status
+ * @param {Array} report - From detectConflicts
+ * @returns {Object} - { conflicts, serverChanges, localChanges, deletedRowIds, conflictRowIds }
+ */
+export function summarizeConflicts(report) {
+    const summary = { conflicts: 0, serverChanges: 0, localChanges: 0, deletedRowIds: [], conflictRowIds: [] };
+
+    report.forEach(row => {
+        if (row.isDeleted) {
+            summary.deletedRowIds.push(row.rowId);
+        }
+        let rowHasConflict = false;
+        row.cells.forEach(cell => {
+            if (cell.status === CELL_CONFLICT) {
+                summary.conflicts++;
+                rowHasConflict = true;
+            } else if (cell.status === CELL_SERVER_CHANGED) {
+                summary.serverChanges++;
+            } else if (cell.status === CELL_LOCAL_CHANGED) {
+                summary.localChanges++;
+            }
+        });
+        if (rowHasConflict) {
+            summary.conflictRowIds.push(row.rowId);
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Choice used for a cell the user has not resolved: changes made only on
+ * the server are taken, everything else keeps the grid value
+ * @param {string} status - CELL_* constant
+ * @returns {string} - KEEP_MINE or TAKE_THEIRS
+ */
+export function getDefaultResolution(status) {
+    return status === CELL_SERVER_CHANGED ? TAKE_THEIRS : KEEP_MINE;
+}
+
+/**
+ * Builds the merge for a report. The server copy becomes each row's new
+ * baseline, so afterwards a cell counts as edited only where the grid
+ * differs from the server. Deleted rows are left alone.
+ * @param {Array} report - From detectConflicts
+ * @param {Object} resolutions - 'rowId_fieldApi' => { choice, value }; value is used with EDIT_VALUE
+ * @returns {Object} - { baselines: Map of rowId => fields to set on the loaded row,
+ *   changes: [{ rowId, fieldApi, oldValue, newValue }] for the grid }
+ */
+export function buildMerge(report, resolutions = {}) {
+    const baselines = new Map();
+    const changes = [];
+
+    report.filter(row => !row.isDeleted).forEach(row => {
+        const baseline = {};
+        VERSION_FIELDS.forEach(field => {
+            if (hasField(row.serverRow, field)) {
+                baseline[field] = row.serverRow[field];
+            }
+        });
+
+        row.cells.forEach(cell => {
+            if (cell.hasServerValue) {
+                baseline[cell.fieldApi] = cell.serverValue;
+            }
+            const resolution = resolutions[`${row.rowId}_${cell.fieldApi}`] || { choice: getDefaultResolution(cell.status) };
+            let newValue = cell.localValue;
+            if (resolution.choice === TAKE_THEIRS) {
+                newValue = cell.serverValue;
+            } else if (resolution.choice === EDIT_VALUE) {
+                newValue = resolution.value;
+            }
+            if (!valuesEqual(newValue, cell.localValue)) {
+                changes.push({ rowId: row.rowId, fieldApi: cell.fieldApi, oldValue: cell.localValue, newValue });
+            }
+        });
+
+        baselines.set(row.rowId, baseline);
+    });
+
+    return { baselines, changes };
+}
@@ -1,19 +1,156 @@
 import { LightningElement, api, track } from 'lwc';
-import { generateMockTableData } from './mockDataGenerator';
-
-// Uncomment these imports when deploying to org with Apex
-// import { wire } from 'lwc';
-// import getTableData from '@salesforce/apex/CrowlTableController.getTableData';
+import CURRENCY_CODE from '@salesforce/i18n/currency';
+import getTableData from '@salesforce/apex/CrowlTableController.getTableData';
+import getObjectTableData from '@salesforce/apex/CrowlTableController.getObjectTableData';
+import saveRows from '@salesforce/apex/CrowlTableController.saveRows';
+import getCurrentRows from '@salesforce/apex/CrowlTableController.getCurrentRows';
+import searchLookupRecords from '@salesforce/apex/CrowlTableController.searchLookupRecords';
+import getSavedViews from '@salesforce/apex/CrowlTableController.getSavedViews';
+import saveSavedViews from '@salesforce/apex/CrowlTableController.saveViews';
+import USER_ID from '@salesforce/user/Id';
+import {
+    generateMockTableData,
+    mockSaveRows,
+    mockSearchLookupRecords,
+    mockGetCurrentRows,
+    resetMockServer
+} from './mockDataGenerator';
+import { CommandHistory, createChange } from './commandHistory';
+import { sortRows, cycleSortKeys, normalizeSortKeys, SORT_ASC } from './sortUtils';
+import {
+    TEXT_OPERATORS,
+    createEmptyFilter,
+    normalizeFilter,
+    applyColumnFilters,
+    describeFilter
+} from './filterUtils';
+import { convertInputValue, validateCell, validateRow, compileValidationRules } from './validationUtils';
+import { formatClipboardValue, toTsv, parseTsv, parseClipboardValue } from './clipboardUtils';
+import {
+    EXPORT_FORMATS,
+    EXPORT_SCOPES,
+    buildExportTable,
+    toCsv,
+    toXlsx,
+    downloadFile
+} from './exportUtils';
+import { parseCsv, autoMapHeaders, buildImportPreview } from './importUtils';
+import { valuesEqual, collectChanges, groupChanges, GROUP_BY_ROW, GROUP_BY_COLUMN } from './reviewUtils';
+import { buildFillValues } from './fillUtils';
+import { findReplacements, isReplaceableColumn } from './replaceUtils';
+import { normalizeFormattingRules, getDataBarRanges, formatRow, FORMAT_ICONS } from './formattingUtils';
+import {
+    detectConflicts,
+    summarizeConflicts,
+    buildMerge,
+    getDefaultResolution,
+    CELL_UNCHANGED,
+    CELL_SERVER_CHANGED,
+    CELL_LOCAL_CHANGED,
+    CELL_CONFLICT,
+    KEEP_MINE,
+    TAKE_THEIRS,
+    EDIT_VALUE,
+    VERSION_FIELDS
+} from './conflictUtils';
+import { compileFormula, evaluateFormula, getEvaluationOrder } from './formulaEngine';
+import {
+    computeAggregates,
+    getAggregateOptions,
+    AGGREGATE_LABELS,
+    AGGREGATE_COUNT,
+    AGGREGATE_DISTINCT
+} from './aggregateUtils';
+import { groupRows, isGroupable } from './groupUtils';
+import {
+    normalizeColumnLayout,
+    moveColumn,
+    MIN_COLUMN_WIDTH,
+    DEFAULT_COLUMN_WIDTH
+} from './columnLayoutUtils';
+import {
+    VIEW_STORAGE_LOCAL,
+    VIEW_STORAGE_APEX,
+    createLocalViewStorage,
+    createApexViewStorage,
+    upsertView,
+    removeView
+} from './viewStorage';
+import { RowHeightCache, findVisibleRange } from './virtualWindow';
+import {
+    getTypeFamily,
+    splitMultiValue,
+    toDateTimeInputValue,
+    toLocalDateString,
+    getLinkHref,
+    resolveReferenceLabel,
+    RECORD_ID_PATTERN,
+    NUMBER_FAMILY,
+    TEXT_FAMILY
+} from './fieldTypes';
 
 const SEARCH_DEBOUNCE_MS = 300;
-const VIRTUAL_SCROLL_THRESHOLD = 500;
-const VIRTUAL_SCROLL_BUFFER = 20;
-const ROW_HEIGHT = 32; // Approximate row height in pixels
+const VIRTUAL_SCROLL_THRESHOLD = 100; // Display rows above which only the rows in view are rendered
+const VIRTUAL_SCROLL_BUFFER = 20; // Rows rendered above and below the viewport
+const IMPORT_PREVIEW_LIMIT = 200; // Max changes/rejections listed in the import preview
+const REPLACE_PREVIEW_LIMIT = 100; // Max matching cells listed in the find-and-replace panel
+const SORT_CLICK_DELAY_MS = 250; // Lets a header double-click (bulk edit) cancel the sort click
+const LOOKUP_SEARCH_DEBOUNCE_MS = 300;
+const LOOKUP_MIN_SEARCH_LENGTH = 2;
+const LOOKUP_RESULT_LIMIT = 10;
+const HEADER_LOOKUP_PREFIX = 'header:'; // Lookup target of the header bulk-edit input
+// Rows the totals row adds up
+const TOTALS_SCOPE_VISIBLE = 'visible';
+const TOTALS_SCOPE_SELECTED = 'selected';
+const CHECKBOX_COLUMN_WIDTH = 48; // Frozen columns are offset by the row checkbox column
+const COLUMN_RESIZE_STEP = 10; // Pixels per arrow key on a resize handle
+
+// Merge dialog label and badge for each cell status
+const CELL_STATUS_VIEWS = {
+    [CELL_SERVER_CHANGED]: { label: 'Changed on server', badgeClass: 'slds-badge slds-theme_warning' },
+    [CELL_LOCAL_CHANGED]: { label: 'Changed here', badgeClass: 'slds-badge slds-theme_success' },
+    [CELL_CONFLICT]: { label: 'Conflict', badgeClass: 'slds-badge slds-theme_error' }
+};
+
+// How a single-cell edit was started: F2/Enter/double-click keep the arrow
+// keys in the editor, typing over the cell makes them commit and move
+const EDIT_MODE = 'edit';
+const ENTRY_MODE = 'entry';
+
+// Input element type for each text-family dataType
+const TEXT_INPUT_TYPES = {
+    email: 'email',
+    phone: 'tel',
+    url: 'url'
+};
 
 export default class CrowlTable extends LightningElement {
     // Public API properties
     @api recordId;
     @api useApex = false; // Set to true to load data from Apex
+    @api sobjectApiName; // With useApex: object to query through getObjectTableData
+    @api fieldApiNames; // Comma-separated field API names (ignored when fieldSetName is set)
+    @api fieldSetName;
+    @api parentFieldApiName; // Lookup field matched against recordId
+    @api recordFilters; // [{ field, operator, value }] or their JSON; checked and bound by the Apex controller
+    @api rowLimit;
+    @api enableSave = false; // Shows the Save button and the Apex save workflow
+    @api customValidators; // key: fieldApi, value: fn(value, row, column) or array of fns returning an error message
+    @api totalFunctions; // key: fieldApi, value: 'sum' | 'avg' | 'min' | 'max' | 'count' | 'distinct'
+    @api viewStorage = VIEW_STORAGE_LOCAL; // 'local', 'apex', or an object with loadViews/saveViews
+    @api viewKey; // Scopes saved views to this table; defaults to the object and fields it shows
+    @api defaultViewName; // Saved view applied when the table loads
+    @api formattingRules; // [{ column, operator, value, appliesTo, style }] or their JSON (see formattingUtils)
+    @api mockConfig; // Without useApex: { preset, seed, rowCount, nullRatio, edgeCaseRatio, columns } or its JSON
+
+    // Shows the totals row; the toolbar toggle changes it afterwards
+    @api
+    get showTotals() {
+        return this.isTotalsRowVisible;
+    }
+    set showTotals(value) {
+        this.isTotalsRowVisible = Boolean(value);
+    }
 
     // Tracked state
     @track columns = [];
@@ -25,6 +162,8 @@ export default class CrowlTable extends LightningElement {
     @track hiddenRowCheckboxStates = new Map();
     @track editedCells = new Map(); // key: 'rowId_fieldApi', value: true
     @track columnMetadataMap = new Map(); // key: fieldApi, value: column metadata
+    @track cellErrors = new Map(); // key: 'rowId_fieldApi', value: validation error message
+    @track rowSaveErrors = new Map(); // key: rowId, value: server error message from the last save
 
     // Component state
     @track isInlineEditMode = false;
@@ -34,61 +173,89 @@ export default class CrowlTable extends LightningElement {
     @track headerEditValue = null;
     @track hiddenRowCount = 0;
     @track error = null;
+    @track undoAvailable = false;
+    @track redoAvailable = false;
+    @track isSaving = false;
+    @track cellRange = null; // { anchorRowId, anchorFieldApi, focusRowId, focusFieldApi }
+    @track activeCell = null; // { rowId, fieldApi } - the grid's single tab stop
+    @track editingCellKey = null; // Cell with an open editor outside inline edit mode
+    @track fillDragRowIndex = null; // Last gridRows index covered by a fill-handle drag
+    @track isExportMenuOpen = false;
+    @track exportOptions = { format: 'csv', scope: 'visible', includeOriginalValues: false };
+    @track isReviewPanelOpen = false;
+    @track reviewGroupBy = GROUP_BY_ROW;
+    @track importState = null; // { fileName, csv, idIndex, mapping, step, preview, errorMessage }
+    @track mergeState = null; // { report, resolutions: { cellKey: { choice, text } }, isBeforeSave }
+    @track isCheckingConflicts = false;
+    @track findReplaceState = null; // { find, replace, matchCase, wholeCell, useRegex, fieldApis } while the panel is open
+    @track lookupState = null; // { target, fieldApi, rowId, term, results, activeIndex, isSearching, errorMessage }
+    @track sortKeys = []; // [{ fieldApi, direction }] in priority order
+    @track isTotalsRowVisible = false;
+    @track totalsScope = TOTALS_SCOPE_VISIBLE;
+    @track totalFunctionOverrides = {}; // key: fieldApi, value: aggregate picked in the totals row
+    @track groupByField = null;
+    @track collapsedGroupKeys = new Set();
+    @track columnLayout = normalizeColumnLayout(null, []); // { order, hidden, widths, frozenCount }
+    @track isColumnChooserOpen = false;
+    @track columnDropTarget = null; // { fieldApi, placeAfter } while a header is dragged over another
+    @track savedViews = []; // [{ name, state }]
+    @track activeViewName = null;
+    @track viewNameDraft = null; // Name typed in the Save As popover; null while it is closed
+    @track viewErrorMessage = null;
+    @track columnFilters = {}; // key: fieldApi, value: normalized filter
+    @track activeFilterColumn = null;
+    @track filterDraft = null;
 
-    // Virtual scrolling state
-    @track virtualScrollEnabled = false;
-    @track scrollTop = 0;
+    // Virtual scrolling state: the rendered slice of the display rows and
+    // the height of the rows above and below it
     @track visibleStartIndex = 0;
-    @track visibleEndIndex = 50;
+    @track visibleEndIndex = VIRTUAL_SCROLL_THRESHOLD;
+    @track virtualPaddingTop = 0;
+    @track virtualPaddingBottom = 0;
 
     // Private properties
     _searchDebounceTimer;
-    _focusedCellKey = null;
+    _sortClickTimer;
+    _lookupDebounceTimer;
+    _lookupRequestId = 0; // Drops responses to searches that were superseded
+    _editEntryMode = EDIT_MODE;
+    _pendingFocus = null; // { cellKey, editor, seedText } applied after the next render
+    _isRangeDragging = false;
+    _isFillDragging = false;
+    _draggedColumn = null; // Field API of the header being dragged
+    _resizeState = null; // { fieldApi, startX, startWidth } during a column resize drag
+    _suppressHeaderClick = false; // Drops the click that ends a resize drag
+    _areViewsLoaded = false;
+    _isDefaultViewApplied = false;
+    _formulas = []; // [{ column, compiled }] in evaluation order
     _workingDataMap = new Map(); // For O(1) row lookups
-
-    // Wire Apex data - uncomment when deploying to org
-    // @wire(getTableData, { recordId: '$recordId' })
-    // wiredTableData({ error, data }) {
-    //     if (this.useApex) {
-    //         if (data) {
-    //             try {
-    //                 const parsedData = JSON.parse(data);
-    //                 const convertedData = {
-    //                     columns: parsedData.columns.map(col => ({
-    //                         object_api: col.object_api,
-    //                         field_api: col.field_api,
-    //                         label: col.label,
-    //                         'data-type': col.dataType,
-    //                         values: col.picklistValues
-    //                     })),
-    //                     rows: parsedData.rows
-    //                 };
-    //                 this.processTableData(convertedData);
-    //             } catch (e) {
-    //                 this.error = 'Error parsing table data: ' + e.message;
-    //                 this.isLoading = false;
-    //             }
-    //         } else if (error) {
-    //             this.error = error.body ? error.body.message : error.message;
-    //             this.isLoading = false;
-    //         }
-    //     }
-    // }
+    _originalDataMap = new Map(); // Baseline rows for edited-state comparison
+    _referenceLabels = new Map(); // Record Id => name, for lookup cells
+    _history = new CommandHistory();
+    _rowHeights = new RowHeightCache(); // Measured heights of rendered display rows
+    _baseCellCache = new Map(); // key: rowId, value: Map of fieldApi => value-derived cell properties
+    _memo = new Map(); // key: memoized getter, value: { dependencies, value }
 
     // Lifecycle hooks
     connectedCallback() {
-        // Always use mock data for local preview testing
-        this.initializeMockData();
+        this.loadSavedViews();
+
+        // Mock data keeps local preview working without an org
+        if (this.useApex) {
+            this.loadApexData();
+        } else {
+            this.initializeMockData();
+        }
     }
 
     renderedCallback() {
-        // Setup virtual scroll listener if needed
         if (this.virtualScrollEnabled) {
-            const container = this.template.querySelector('.table-container');
-            if (container && !container._scrollListenerAdded) {
-                container.addEventListener('scroll', this.handleTableScroll.bind(this));
-                container._scrollListenerAdded = true;
-            }
+            this.measureRenderedRows();
+            this.syncVirtualWindow();
+        }
+
+        if (this._pendingFocus) {
+            this.applyPendingFocus();
         }
     }
 
@@ -98,8 +265,16 @@ export default class CrowlTable extends LightningElement {
         return JSON.parse(JSON.stringify(this.workingData));
     }
 
+    /**
+     * Returns copies of every row with at least one edited cell.
+     * options.invalidRows controls rows that fail validation:
+     *   'include' (default) - returned as-is
+     *   'exclude'           - left out
+     *   'flag'              - returned with _isValid and _errors (fieldApi => message)
+     */
     @api
-    getModifiedRows() {
+    getModifiedRows(options = {}) {
+        const invalidRows = options.invalidRows || 'include';
         const modifiedRows = [];
         const editedRowIds = new Set();
 
@@ -110,14 +285,52 @@ export default class CrowlTable extends LightningElement {
 
         editedRowIds.forEach(rowId => {
             const row = this._workingDataMap.get(rowId);
-            if (row) {
-                modifiedRows.push(JSON.parse(JSON.stringify(row)));
+            if (!row) return;
+
+            const rowCopy = JSON.parse(JSON.stringify(row));
+            if (invalidRows !== 'include') {
+                const errors = validateRow(row, this.columns, this.customValidators);
+                const isValid = Object.keys(errors).length === 0;
+                if (!isValid && invalidRows === 'exclude') return;
+                if (invalidRows === 'flag') {
+                    rowCopy._isValid = isValid;
+                    rowCopy._errors = errors;
+                }
             }
+            modifiedRows.push(rowCopy);
         });
 
         return modifiedRows;
     }
 
+    /**
+     * Validates every row against column rules and customValidators,
+     * refreshes the inline error state and returns all errors.
+     * @returns {Array} - [{ rowId, fieldApi, label, value, message }]
+     */
+    @api
+    validate() {
+        const errors = [];
+        const nextCellErrors = new Map();
+
+        this.workingData.forEach(row => {
+            const rowErrors = validateRow(row, this.columns, this.customValidators);
+            Object.keys(rowErrors).forEach(fieldApi => {
+                nextCellErrors.set(`${row.Id}_${fieldApi}`, rowErrors[fieldApi]);
+                errors.push({
+                    rowId: row.Id,
+                    fieldApi,
+                    label: this.columnMetadataMap.get(fieldApi).label,
+                    value: row[fieldApi],
+                    message: rowErrors[fieldApi]
+                });
+            });
+        });
+
+        this.cellErrors = nextCellErrors;
+        return errors;
+    }
+
     @api
     getOriginalData() {
         return JSON.parse(JSON.stringify(this.originalData));
@@ -134,13 +347,216 @@ export default class CrowlTable extends LightningElement {
     resetToOriginal() {
         this.workingData = JSON.parse(JSON.stringify(this.originalData));
         this.buildWorkingDataMap();
+        this._baseCellCache.clear();
         this.visibleRowIds = new Set(this.workingData.map(row => row.Id));
         this.hiddenRowIds.clear();
         this.selectedRowIds.clear();
         this.hiddenRowCheckboxStates.clear();
         this.editedCells.clear();
+        this.cellErrors = new Map();
+        this.rowSaveErrors = new Map();
+        this.isReviewPanelOpen = false;
+        this.mergeState = null;
         this.hiddenRowCount = 0;
         this.searchTerm = '';
+        this.columnFilters = {};
+        this.closeFilterMenu();
+        this._history.clear();
+        this.refreshHistoryState();
+    }
+
+    @api
+    undo() {
+        const command = this._history.undo();
+        if (command) {
+            this.applyChangeSet(command.changes, true);
+        }
+        this.refreshHistoryState();
+    }
+
+    @api
+    redo() {
+        const command = this._history.redo();
+        if (command) {
+            this.applyChangeSet(command.changes, false);
+        }
+        this.refreshHistoryState();
+    }
+
+    @api
+    canUndo() {
+        return this._history.canUndo();
+    }
+
+    @api
+    canRedo() {
+        return this._history.canRedo();
+    }
+
+    @api
+    getFilters() {
+        return JSON.parse(JSON.stringify(this.columnFilters));
+    }
+
+    @api
+    setFilters(filters) {
+        const nextFilters = {};
+        Object.keys(filters || {}).forEach(fieldApi => {
+            const normalized = normalizeFilter(this.columnMetadataMap.get(fieldApi), filters[fieldApi]);
+            if (normalized) {
+                nextFilters[fieldApi] = normalized;
+            }
+        });
+
+        this.columnFilters = nextFilters;
+        this.closeFilterMenu();
+        this.resetVirtualScrollWindow();
+    }
+
+    /**
+     * Column order, hidden columns, widths (px) and the number of frozen
+     * leading columns
+     * @returns {Object} - { order, hidden, widths, frozenCount }
+     */
+    @api
+    getColumnLayout() {
+        return JSON.parse(JSON.stringify(this.columnLayout));
+    }
+
+    @api
+    setColumnLayout(layout) {
+        this.columnLayout = normalizeColumnLayout(layout, this.columns);
+    }
+
+    @api
+    getSortKeys() {
+        return JSON.parse(JSON.stringify(this.sortKeys));
+    }
+
+    @api
+    setSortKeys(sortKeys) {
+        this.sortKeys = normalizeSortKeys(sortKeys, this.columnMetadataMap);
+    }
+
+    /**
+     * Sends the edited fields of every modified row to Apex. Rows that save
+     * become the new originalData baseline; rows that fail (or do not pass
+     * client validation) keep their edits and show the error on the row.
+     * The rows are first compared with the server: changes made there since
+     * load are merged in, and conflicting edits stop the save and open the
+     * merge dialog; savecomplete then carries the conflictRowIds.
+     * @returns {Promise<Object>} - { savedRowIds, failedRows: [{ rowId, message }] },
+     *   plus conflictRowIds when conflicts stopped the save
+     */
+    @api
+    async save() {
+        if (this.isSaving) return null;
+
+        this.error = null;
+        const { payload, invalidRowIds } = this.buildSavePayload();
+        const failedRows = invalidRowIds.map(rowId => ({
+            rowId,
+            message: 'Fix the highlighted validation errors before saving'
+        }));
+        let savedRowIds = [];
+
+        if (payload.length > 0) {
+            this.isSaving = true;
+            try {
+                const report = await this.fetchConflictReport(payload.map(row => row.Id));
+                const { conflictRowIds } = summarizeConflicts(report);
+                if (conflictRowIds.length > 0) {
+                    this.reconcileSaveResults([], failedRows);
+                    this.openMergeDialog(report, true);
+                    const detail = { savedRowIds: [], failedRows, conflictRowIds };
+                    this.fireSaveCompleteEvent(detail);
+                    return detail;
+                }
+                this.applyMerge(report, {});
+
+                const response = await this.callSaveRows(JSON.stringify(payload));
+                JSON.parse(response).forEach(result => {
+                    if (result.success) {
+                        savedRowIds.push(result.rowId);
+                    } else {
+                        failedRows.push({
+                            rowId: result.rowId,
+                            message: (result.errors || []).join('; ') || 'Save failed'
+                        });
+                    }
+                });
+            } catch (e) {
+                const message = e.body ? e.body.message : e.message;
+                this.error = 'Error saving rows: ' + message;
+                payload.forEach(row => failedRows.push({ rowId: row.Id, message }));
+                savedRowIds = [];
+            } finally {
+                this.isSaving = false;
+            }
+        }
+
+        const savedIds = new Set(savedRowIds);
+        this.reconcileSaveResults(payload.filter(row => savedIds.has(row.Id)), failedRows);
+        const detail = { savedRowIds, failedRows };
+        this.fireSaveCompleteEvent(detail);
+        return detail;
+    }
+
+    /**
+     * Re-reads the modified rows from the server and opens the merge dialog
+     * with the status of each of their cells
+     * @returns {Promise<Object>} - { conflicts, serverChanges, localChanges, deletedRowIds, conflictRowIds },
+     *   or null when the rows could not be read
+     */
+    @api
+    async checkForConflicts() {
+        if (this.isCheckingConflicts || this.isSaving) return null;
+
+        this.isCheckingConflicts = true;
+        try {
+            const report = await this.fetchConflictReport(this.getEditedRowIds());
+            this.openMergeDialog(report, false);
+            return summarizeConflicts(report);
+        } catch (e) {
+            this.error = 'Error checking for conflicts: ' + (e.body ? e.body.message : e.message);
+            return null;
+        } finally {
+            this.isCheckingConflicts = false;
+        }
+    }
+
+    /**
+     * Exports rows to a downloaded file.
+     * @param {Object} options - { format: 'csv' | 'xlsx', scope: 'visible' | 'selected' | 'modified' | 'all',
+     *                             includeOriginalValues: boolean, fileName }
+     * @returns {Object} - { fileName, rowCount }
+     */
+    @api
+    exportData(options = {}) {
+        const format = options.format === 'xlsx' ? 'xlsx' : 'csv';
+        const rows = this.getRowsForScope(options.scope || 'visible');
+        const table = buildExportTable(rows, this.gridColumns, {
+            includeOriginalValues: Boolean(options.includeOriginalValues),
+            originalDataMap: new Map(this.originalData.map(row => [row.Id, row])),
+            editedCells: this.editedCells
+        });
+
+        const baseName = options.fileName || `crowl-table-${new Date().toISOString().slice(0, 10)}`;
+        const fileName = `${baseName}.${format}`;
+        downloadFile(fileName, format === 'xlsx' ? toXlsx(table) : toCsv(table));
+
+        return { fileName, rowCount: rows.length };
+    }
+
+    /**
+     * Every edited cell with its original and current value
+     * @returns {Array} - [{ rowId, fieldApi, originalValue, newValue }]
+     */
+    @api
+    getChangeSet() {
+        return JSON.parse(JSON.stringify(
+            collectChanges(this.editedCells, this._workingDataMap, this._originalDataMap)
+        ));
     }
 
     @api
@@ -155,34 +571,86 @@ export default class CrowlTable extends LightningElement {
 
     // Initialize with mock data from generator module
     initializeMockData() {
-        // Generate 200 rows of mock data with all data types
-        const mockData = generateMockTableData(200);
+        let mockData;
+        try {
+            mockData = generateMockTableData(this.getMockConfig());
+        } catch (e) {
+            this.error = 'Error generating mock data: ' + e.message;
+            return;
+        }
+        // The conflict check stub reads the rows back from here
+        resetMockServer(mockData.rows);
         this.processTableData(mockData);
     }
 
+    // App Builder passes mockConfig as a JSON string
+    getMockConfig() {
+        if (!this.mockConfig) return {};
+        return typeof this.mockConfig === 'string' ? JSON.parse(this.mockConfig) : this.mockConfig;
+    }
+
+    // Sent to Apex as JSON; App Builder already passes it as a JSON string
+    getRecordFiltersJson() {
+        if (!this.recordFilters) return null;
+        return typeof this.recordFilters === 'string' ? this.recordFilters : JSON.stringify(this.recordFilters);
+    }
+
+    /**
+     * Loads rows and column metadata from Apex: getObjectTableData when an
+     * object is configured, otherwise the sample getTableData.
+     */
+    async loadApexData() {
+        this.isLoading = true;
+
+        try {
+            let response;
+            if (this.sobjectApiName) {
+                response = await getObjectTableData({
+                    objectApiName: this.sobjectApiName,
+                    fieldApiNames: this.fieldApiNames
+                        ? this.fieldApiNames.split(',').map(field => field.trim()).filter(field => field)
+                        : [],
+                    fieldSetName: this.fieldSetName,
+                    parentFieldApiName: this.parentFieldApiName,
+                    recordId: this.recordId,
+                    filtersJson: this.getRecordFiltersJson(),
+                    rowLimit: this.rowLimit ? Number(this.rowLimit) : null
+                });
+            } else {
+                response = await getTableData({ recordId: this.recordId });
+            }
+            this.processTableData(JSON.parse(response));
+        } catch (e) {
+            this.error = 'Error loading table data: ' + (e.body ? e.body.message : e.message);
+            this.isLoading = false;
+        }
+    }
+
     processTableData(data) {
         this.isLoading = true;
 
         try {
             // Process columns
-            this.columns = data.columns.map(col => ({
-                ...col,
-                dataType: col['data-type'],
-                picklistValues: this.parsePicklistValues(col.values)
-            }));
+            this.columns = data.columns.map(col => this.normalizeColumnMetadata(col));
 
             // Build column metadata map
             this.columnMetadataMap.clear();
             this.columns.forEach(col => {
                 this.columnMetadataMap.set(col.field_api, col);
             });
+            this.compileFormulas();
+            this.columnLayout = normalizeColumnLayout(this.columnLayout, this.columns);
 
             // Deep copy data
             this.originalData = JSON.parse(JSON.stringify(data.rows));
             this.workingData = JSON.parse(JSON.stringify(data.rows));
+            this.originalData.forEach(row => this.computeFormulas(row));
+            this.workingData.forEach(row => this.computeFormulas(row));
 
-            // Build lookup map for performance
+            // Build lookup maps for performance
             this.buildWorkingDataMap();
+            this.buildOriginalDataMap();
+            this.buildReferenceLabels();
 
             // Initialize visible rows (all rows visible initially)
             this.visibleRowIds = new Set(this.workingData.map(row => row.Id));
@@ -190,22 +658,195 @@ export default class CrowlTable extends LightningElement {
             this.selectedRowIds.clear();
             this.hiddenRowCheckboxStates.clear();
             this.editedCells.clear();
+            this.cellErrors = new Map();
+            this.rowSaveErrors = new Map();
+            this.mergeState = null;
+            this.cellRange = null;
+            this.activeCell = null;
+            this.editingCellKey = null;
+            if (this.groupByField && !this.columnMetadataMap.has(this.groupByField)) {
+                this.groupByField = null;
+            }
+            this.collapsedGroupKeys = new Set();
             this.hiddenRowCount = 0;
+            this._history.clear();
+            this.refreshHistoryState();
 
-            // Enable virtual scrolling for large datasets
-            this.virtualScrollEnabled = this.workingData.length > VIRTUAL_SCROLL_THRESHOLD;
-            if (this.virtualScrollEnabled) {
-                this.visibleStartIndex = 0;
-                this.visibleEndIndex = Math.min(50 + VIRTUAL_SCROLL_BUFFER, this.workingData.length);
-            }
+            // Row heights and cell view models belong to the previous data
+            this._rowHeights.clear();
+            this._baseCellCache.clear();
 
             this.isLoading = false;
+            this.applyDefaultView();
         } catch (e) {
             this.error = e.message;
             this.isLoading = false;
         }
     }
 
+    // Saved views
+    getViewStorage() {
+        if (this.viewStorage && typeof this.viewStorage === 'object') {
+            return this.viewStorage;
+        }
+        return this.viewStorage === VIEW_STORAGE_APEX
+            ? createApexViewStorage({ getSavedViews, saveViews: saveSavedViews })
+            : createLocalViewStorage(window.localStorage, USER_ID);
+    }
+
+    get viewStorageKey() {
+        return this.viewKey ||
+            [this.sobjectApiName || 'sample', this.fieldSetName || this.fieldApiNames || '', this.parentFieldApiName || '']
+                .join('|');
+    }
+
+    async loadSavedViews() {
+        try {
+            this.savedViews = await this.getViewStorage().loadViews(this.viewStorageKey);
+        } catch (e) {
+            this.viewErrorMessage = 'Saved views could not be loaded: ' + (e.body ? e.body.message : e.message);
+        }
+        this._areViewsLoaded = true;
+        this.applyDefaultView();
+    }
+
+    /**
+     * Writes the full list of views to storage; the list in the component
+     * only changes once the write succeeds
+     * @returns {Promise<boolean>} - Whether the views were saved
+     */
+    async storeViews(views) {
+        try {
+            await this.getViewStorage().saveViews(this.viewStorageKey, views);
+            this.savedViews = views;
+            this.viewErrorMessage = null;
+            return true;
+        } catch (e) {
+            this.viewErrorMessage = 'Views could not be saved: ' + (e.body ? e.body.message : e.message);
+            return false;
+        }
+    }
+
+    // The default view needs both the saved views and the columns, which load in parallel
+    applyDefaultView() {
+        if (this._isDefaultViewApplied || !this._areViewsLoaded || this.columns.length === 0) return;
+
+        this._isDefaultViewApplied = true;
+        const view = this.savedViews.find(candidate => candidate.name === this.defaultViewName);
+        if (view) {
+            this.applyView(view);
+        }
+    }
+
+    captureViewState() {
+        return {
+            searchTerm: this.searchTerm,
+            hiddenRowIds: Array.from(this.hiddenRowIds),
+            sortKeys: this.getSortKeys(),
+            filters: this.getFilters(),
+            columnLayout: this.getColumnLayout(),
+            groupByField: this.groupByField
+        };
+    }
+
+    /**
+     * Restores a saved view. Columns and rows that no longer exist are
+     * skipped; the selection is kept apart from rows the view hides.
+     */
+    applyView(view) {
+        const { state } = view;
+        this.searchTerm = typeof state.searchTerm === 'string' ? state.searchTerm : '';
+        this.applyHiddenRows(state.hiddenRowIds);
+        this.setSortKeys(state.sortKeys);
+        this.setFilters(state.filters);
+        this.setColumnLayout(state.columnLayout);
+        const groupColumn = this.columnMetadataMap.get(state.groupByField);
+        this.groupByField = groupColumn && isGroupable(groupColumn) ? state.groupByField : null;
+        this.collapsedGroupKeys = new Set();
+        this.activeViewName = view.name;
+        this.resetVirtualScrollWindow();
+    }
+
+    applyHiddenRows(rowIds) {
+        const hidden = new Set((Array.isArray(rowIds) ? rowIds : []).filter(rowId => this._workingDataMap.has(rowId)));
+
+        // Rows the view shows again lose their remembered checkbox state
+        Array.from(this.hiddenRowCheckboxStates.keys()).forEach(rowId => {
+            if (!hidden.has(rowId)) {
+                this.hiddenRowCheckboxStates.delete(rowId);
+            }
+        });
+        this.hiddenRowIds = hidden;
+        this.visibleRowIds = new Set(this.workingData.map(row => row.Id).filter(rowId => !hidden.has(rowId)));
+        this.selectedRowIds = new Set(Array.from(this.selectedRowIds).filter(rowId => !hidden.has(rowId)));
+        this.hiddenRowCount = hidden.size;
+    }
+
+    /**
+     * Accepts both column metadata shapes: the 'data-type'/values keys of the
+     * original spec and the dataType/picklistValues keys serialized by
+     * CrowlTableController.ColumnMetadata.
+     */
+    normalizeColumnMetadata(col) {
+        const dataType = col.dataType || col['data-type'] || 'text';
+        const rawValues = col.picklistValues !== undefined && col.picklistValues !== null
+            ? col.picklistValues
+            : col.values;
+
+        return {
+            ...col,
+            'data-type': dataType,
+            dataType: dataType,
+            picklistValues: this.parsePicklistValues(rawValues),
+            validation: compileValidationRules(col.validation),
+            isFormula: Boolean(col.formula)
+        };
+    }
+
+    /**
+     * Parses the formula columns and orders them so formulas that use
+     * other formula columns are computed last
+     */
+    compileFormulas() {
+        const compiledByField = new Map();
+        const referencesByField = new Map();
+
+        this.columns.filter(col => col.isFormula).forEach(col => {
+            let compiled;
+            try {
+                compiled = compileFormula(col.formula);
+            } catch (e) {
+                throw new Error(`Formula for ${col.label} is invalid: ${e.message}`);
+            }
+            const unknown = compiled.references.find(fieldApi => !this.columnMetadataMap.has(fieldApi));
+            if (unknown) {
+                throw new Error(`Formula for ${col.label} refers to unknown column ${unknown}`);
+            }
+            compiledByField.set(col.field_api, compiled);
+            referencesByField.set(col.field_api, compiled.references);
+        });
+
+        this._formulas = getEvaluationOrder(referencesByField).map(fieldApi => ({
+            column: this.columnMetadataMap.get(fieldApi),
+            compiled: compiledByField.get(fieldApi)
+        }));
+    }
+
+    /**
+     * Recomputes the formula columns of a row in place. A formula that
+     * cannot be evaluated for the row (e.g. division by zero) leaves the
+     * cell blank.
+     */
+    computeFormulas(row) {
+        this._formulas.forEach(({ column, compiled }) => {
+            try {
+                row[column.field_api] = evaluateFormula(compiled, row, this.columnMetadataMap, column);
+            } catch (e) {
+                row[column.field_api] = null;
+            }
+        });
+    }
+
     buildWorkingDataMap() {
         this._workingDataMap.clear();
         this.workingData.forEach(row => {
@@ -213,9 +854,43 @@ export default class CrowlTable extends LightningElement {
         });
     }
 
+    buildOriginalDataMap() {
+        this._originalDataMap.clear();
+        this.originalData.forEach(row => {
+            this._originalDataMap.set(row.Id, row);
+        });
+    }
+
+    /**
+     * Collects related record names from the rows. Lookup columns carry
+     * them as { Name } under the relationship name, e.g. row.Account__r.Name.
+     */
+    buildReferenceLabels() {
+        this._referenceLabels.clear();
+        const referenceColumns = this.columns.filter(col => col.dataType === 'reference' && col.relationshipName);
+        this.originalData.forEach(row => {
+            referenceColumns.forEach(col => {
+                const related = row[col.relationshipName];
+                const recordId = row[col.field_api];
+                if (recordId && related && related.Name) {
+                    this._referenceLabels.set(recordId, related.Name);
+                }
+            });
+        });
+    }
+
     parsePicklistValues(valuesString) {
         if (!valuesString) return [];
 
+        // Already parsed: ['a', 'b'] or [{ label, value }]
+        if (Array.isArray(valuesString)) {
+            return valuesString.map(v => {
+                const value = typeof v === 'object' ? v.value : String(v);
+                const label = typeof v === 'object' && v.label ? v.label : value;
+                return { label, value };
+            });
+        }
+
         // Parse "'value1','value2'" format
         const matches = valuesString.match(/'([^']+)'/g);
         if (!matches) return [];
@@ -226,214 +901,2121 @@ export default class CrowlTable extends LightningElement {
         }));
     }
 
+    /**
+     * Returns the value computed for the same dependencies last time. Row
+     * lists are read many times per render and on every scroll, but only
+     * change when one of their inputs is reassigned.
+     * @param {string} name - Cache slot
+     * @param {Array} dependencies - Compared by identity with the previous call
+     * @param {Function} compute - Builds the value
+     */
+    memoize(name, dependencies, compute) {
+        const cached = this._memo.get(name);
+        if (cached && dependencies.every((dependency, index) => dependency === cached.dependencies[index])) {
+            return cached.value;
+        }
+        const value = compute();
+        this._memo.set(name, { dependencies, value });
+        return value;
+    }
+
     // Computed properties
     get filteredRows() {
-        let rows = this.workingData.filter(row => this.visibleRowIds.has(row.Id));
-
-        // Apply search filter
-        if (this.searchTerm) {
-            const searchLower = this.searchTerm.toLowerCase();
-            rows = rows.filter(row => {
-                return this.columns.some(col => {
-                    const value = row[col.field_api];
-                    if (value === null || value === undefined) return false;
-                    return String(value).toLowerCase().includes(searchLower);
+        const rows = this.getMatchingRows();
+        return this.memoize('filteredRows', [rows, this.sortKeys, this.columns], () => {
+            // Apply multi-column sort
+            if (this.sortKeys.length > 0) {
+                return sortRows(rows, this.sortKeys, this.columnMetadataMap, this._referenceLabels);
+            }
+            return rows;
+        });
+    }
+
+    /**
+     * Rows that pass hiding, search and column filters, in data order
+     * (filteredRows without the sort)
+     */
+    getMatchingRows() {
+        const columns = this.gridColumns;
+        const dependencies = [this.workingData, this.visibleRowIds, this.searchTerm, this.columnFilters, columns];
+        return this.memoize('matchingRows', dependencies, () => {
+            let rows = this.workingData.filter(row => this.visibleRowIds.has(row.Id));
+
+            // Apply search filter
+            if (this.searchTerm) {
+                const searchLower = this.searchTerm.toLowerCase();
+                rows = rows.filter(row => {
+                    return columns.some(col => this.valueMatchesSearch(row[col.field_api], col, searchLower));
                 });
-            });
-        }
+            }
 
-        return rows;
+            // Apply per-column filters
+            return applyColumnFilters(rows, this.columnFilters, this.columnMetadataMap, this._referenceLabels);
+        });
+    }
+
+    /**
+     * Search matches the stored value or what the cell shows, so "$1,250",
+     * "12.5%" or a local datetime find the row as well as the raw value
+     */
+    valueMatchesSearch(value, col, searchLower) {
+        if (value === null || value === undefined) return false;
+        if (String(value).toLowerCase().includes(searchLower)) return true;
+        if (getTypeFamily(col.dataType) === TEXT_FAMILY) return false;
+        return String(this.formatDisplayValue(value, col.dataType)).toLowerCase().includes(searchLower);
+    }
+
+    /**
+     * Editor and renderer flags for a column's dataType, shared by the
+     * cells and the header bulk-edit inputs
+     */
+    getTypeFlags(dataType) {
+        const family = getTypeFamily(dataType);
+        const isTextarea = dataType === 'textarea';
+        return {
+            isText: family === TEXT_FAMILY && !isTextarea,
+            isTextarea: isTextarea,
+            textInputType: TEXT_INPUT_TYPES[dataType] || 'text',
+            isNumber: family === NUMBER_FAMILY,
+            isPicklist: dataType === 'picklist',
+            isMultiPicklist: dataType === 'multipicklist',
+            isDate: dataType === 'date',
+            isDateTime: dataType === 'datetime',
+            isBoolean: dataType === 'boolean',
+            isReference: dataType === 'reference'
+        };
+    }
+
+    /**
+     * Template state of a lookup (typeahead) input
+     * @param {string} target - Cell key, or HEADER_LOOKUP_PREFIX + fieldApi
+     * @param {*} value - Current record Id
+     * @returns {Object} - Combobox properties for the template
+     */
+    getLookupView(target, value) {
+        const state = this.lookupState && this.lookupState.target === target ? this.lookupState : null;
+        const isOpen = state !== null && state.term.trim().length >= LOOKUP_MIN_SEARCH_LENGTH;
+        const activeOption = isOpen && state.activeIndex >= 0 ? state.results[state.activeIndex] : null;
+        const hasValue = value !== null && value !== undefined && value !== '';
+        return {
+            lookupInputValue: state ? state.term : (hasValue ? resolveReferenceLabel(value, this._referenceLabels) : ''),
+            isLookupOpen: isOpen,
+            lookupExpanded: isOpen ? 'true' : 'false',
+            lookupComboboxClass: 'slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click' +
+                (isOpen ? ' slds-is-open' : ''),
+            lookupListboxId: `lookup-listbox-${target}`,
+            lookupActiveOptionId: activeOption ? `lookup-option-${activeOption.id}` : null,
+            showLookupClear: hasValue && !state
+        };
+    }
+
+    get lookupOptions() {
+        if (!this.lookupState) return [];
+        return this.lookupState.results.map((result, index) => {
+            const isActive = index === this.lookupState.activeIndex;
+            return {
+                ...result,
+                optionId: `lookup-option-${result.id}`,
+                ariaSelected: isActive ? 'true' : 'false',
+                optionClass: 'slds-media slds-listbox__option slds-listbox__option_entity' +
+                    (isActive ? ' slds-has-focus' : '')
+            };
+        });
+    }
+
+    get lookupStatusMessage() {
+        const state = this.lookupState;
+        if (!state) return null;
+        if (state.errorMessage) return state.errorMessage;
+        if (state.isSearching) return 'Searching…';
+        if (state.results.length === 0) return `No matches for "${state.term.trim()}"`;
+        return null;
     }
 
     get displayRows() {
-        let rows = this.filteredRows;
+        const layout = this.getGridLayout();
+        const range = this.getRangeBounds(layout.rows);
+        const itemOffset = this.virtualScrollEnabled ? this.visibleStartIndex : 0;
+        const columns = this.gridColumns;
+        const view = {
+            range,
+            columns,
+            columnStyles: this.getColumnStyles(columns),
+            tabStopKey: this.getTabStopKey(layout.rows),
+            findMatchClasses: this.getFindMatchClasses(),
+            formatting: this.getFormattingView()
+        };
 
-        // Apply virtual scrolling if enabled
+        // Apply virtual scrolling if enabled; group headers take a row slot like data rows
+        let items = layout.items;
         if (this.virtualScrollEnabled) {
-            rows = rows.slice(this.visibleStartIndex, this.visibleEndIndex);
+            items = items.slice(this.visibleStartIndex, this.visibleEndIndex);
         }
 
-        // Map rows with additional display properties
-        return rows.map(row => ({
+        return items.map((item, index) => {
+            // Header row is aria-rowindex 1
+            const ariaRowIndex = itemOffset + index + 2;
+            return item.group
+                ? this.buildGroupHeaderRow(item.group, ariaRowIndex)
+                : this.buildDisplayRow(item.row, item.gridIndex, ariaRowIndex, view);
+        });
+    }
+
+    /**
+     * Row with the display properties of each cell
+     * @param {Object} row - Working row
+     * @param {number} gridIndex - Index into gridRows (range, fill and navigation)
+     * @param {number} ariaRowIndex - Position announced to screen readers
+     * @param {Object} view - { range: current range bounds or null, columns: gridColumns,
+     *   columnStyles: getColumnStyles result, tabStopKey: cell that takes Tab focus,
+     *   findMatchClasses: getFindMatchClasses result, formatting: getFormattingView result }
+     */
+    buildDisplayRow(row, gridIndex, ariaRowIndex, view) {
+        const { range, columns, columnStyles, tabStopKey, findMatchClasses, formatting } = view;
+        const rowFormat = formatting ? formatRow(row, formatting.rules, formatting.context) : null;
+        let rowClass = 'slds-hint-parent';
+        if (this.rowSaveErrors.has(row.Id)) {
+            rowClass += ' row-save-error';
+        }
+        if (rowFormat && rowFormat.rowClass) {
+            rowClass += ` ${rowFormat.rowClass}`;
+        }
+        return {
             ...row,
+            _isGroupHeader: false,
+            _ariaRowIndex: ariaRowIndex,
             _isSelected: this.selectedRowIds.has(row.Id),
             _rowCheckboxId: `row-checkbox-${row.Id}`,
-            _cells: this.columns.map(col => {
-                const cellValue = row[col.field_api];
-                const cellKey = `${row.Id}_${col.field_api}`;
-                // Pre-compute picklist options with selected state
-                const picklistOptions = col.picklistValues
-                    ? col.picklistValues.map(opt => ({
-                        ...opt,
-                        selected: opt.value === cellValue
-                    }))
-                    : [];
-
-                const isBoolean = col.dataType === 'boolean';
+            _saveError: this.rowSaveErrors.get(row.Id) || null,
+            _hasSaveError: this.rowSaveErrors.has(row.Id),
+            _rowClass: rowClass,
+            _cells: columns.map((col, colIndex) => {
+                const baseCell = this.getBaseCell(row, col);
+                const cellKey = baseCell.cellKey;
+                const showEditor = !col.isFormula && (this.isInlineEditMode || cellKey === this.editingCellKey);
+                const lookupView = baseCell.isReference ? this.getLookupView(cellKey, baseCell.value) : {};
+                const isEdited = this.editedCells.has(cellKey);
+                const errorMessage = this.cellErrors.get(cellKey) || null;
+                const columnStyle = columnStyles.get(col.field_api);
+                let cellClass = columnStyle.className;
+                if (isEdited) {
+                    cellClass += ' slds-is-edited';
+                }
+                if (errorMessage) {
+                    cellClass += ' slds-has-error';
+                }
+                const isInRange = range !== null &&
+                    gridIndex >= range.rowStart && gridIndex <= range.rowEnd &&
+                    colIndex >= range.colStart && colIndex <= range.colEnd;
+                if (col.isFormula) {
+                    cellClass += ' cell-computed';
+                }
+                if (isInRange) {
+                    cellClass += range.isSingleCell ? ' cell-range-anchor' : ' cell-in-range';
+                }
+                const isFillTarget = this.fillDragRowIndex !== null && range !== null &&
+                    gridIndex > range.rowEnd && gridIndex <= this.fillDragRowIndex &&
+                    colIndex >= range.colStart && colIndex <= range.colEnd;
+                if (isFillTarget) {
+                    cellClass += ' cell-fill-target';
+                }
+                if (findMatchClasses.has(cellKey)) {
+                    cellClass += ` ${findMatchClasses.get(cellKey)}`;
+                }
+                const cellFormat = rowFormat ? rowFormat.cells.get(col.field_api) : null;
+                let cellStyle = columnStyle.style;
+                if (cellFormat && cellFormat.className) {
+                    cellClass += ` ${cellFormat.className}`;
+                }
+                if (cellFormat && cellFormat.barWidth !== null) {
+                    cellStyle += ` --cf-bar-width: ${cellFormat.barWidth}%;`;
+                }
                 return {
-                    fieldApi: col.field_api,
-                    value: cellValue,
-                    displayValue: this.formatDisplayValue(cellValue, col.dataType),
-                    dataType: col.dataType,
-                    picklistOptions: picklistOptions,
-                    isEdited: this.editedCells.has(cellKey),
-                    cellKey: cellKey,
-                    cellBooleanId: `cell-bool-${cellKey}`,
-                    isText: col.dataType === 'text',
-                    isNumber: col.dataType === 'number',
-                    isPicklist: col.dataType === 'picklist',
-                    isDate: col.dataType === 'date',
-                    isBoolean: isBoolean,
-                    isNotBoolean: !isBoolean
+                    ...baseCell,
+                    isEdited: isEdited,
+                    hasError: errorMessage !== null,
+                    errorMessage: errorMessage,
+                    ariaInvalid: errorMessage ? 'true' : 'false',
+                    cellClass: cellClass,
+                    cellStyle: cellStyle,
+                    formatIcon: cellFormat && cellFormat.icon ? this.getFormatIconView(cellFormat.icon) : null,
+                    ariaSelected: isInRange ? 'true' : 'false',
+                    // Fill handle sits on the bottom-right cell of the range
+                    showFillHandle: range !== null && gridIndex === range.rowEnd && colIndex === range.colEnd,
+                    // Checkbox column is aria-colindex 1
+                    ariaColIndex: colIndex + 2,
+                    tabIndex: cellKey === tabStopKey ? '0' : '-1',
+                    showEditor: showEditor,
+                    showValue: !showEditor,
+                    ariaReadOnly: col.isFormula ? 'true' : null,
+                    ...lookupView
                 };
             })
-        }));
+        };
     }
 
-    get displayColumns() {
-        return this.columns.map(col => {
-            const isEditing = this.activeHeaderEditColumn === col.field_api;
-            return {
-                ...col,
-                isEditing: isEditing,
-                isNotEditing: !isEditing,
-                headerBooleanId: `header-bool-${col.field_api}`,
-                isText: col.dataType === 'text',
-                isNumber: col.dataType === 'number',
-                isPicklist: col.dataType === 'picklist',
-                isDate: col.dataType === 'date',
-                isBoolean: col.dataType === 'boolean'
-            };
-        });
-    }
+    /**
+     * Conditional formatting shared by the rows of one render. Rules are
+     * checked against the working values, so edits restyle their cells.
+     * @returns {Object|null} - { rules, context } for formatRow, or null without rules
+     */
+    getFormattingView() {
+        const rules = this.memoize('formattingRules', [this.formattingRules, this.columns], () =>
+            normalizeFormattingRules(this.formattingRules, this.columnMetadataMap)
+        );
+        if (rules.length === 0) return null;
 
-    get hasNoDisplayRows() {
-        return this.displayRows.length === 0;
+        const rows = this.filteredRows;
+        const dataBarRanges = this.memoize('dataBarRanges', [rules, rows], () => getDataBarRanges(rules, rows));
+        return {
+            rules,
+            context: {
+                today: toLocalDateString(new Date()),
+                referenceLabels: this._referenceLabels,
+                dataBarRanges
+            }
+        };
     }
 
-    get hasSelectedRows() {
-        return this.selectedRowIds.size > 0;
+    getFormatIconView(icon) {
+        return {
+            href: `/_slds/icons/utility-sprite/svg/symbols.svg#${FORMAT_ICONS[icon]}`,
+            className: `slds-icon slds-icon_xx-small cf-icon cf-icon-${icon}`
+        };
     }
 
-    get hasNoSelectedRows() {
-        return !this.hasSelectedRows;
-    }
+    /**
+     * Display properties of a cell that depend only on its value: formatting,
+     * links and picklist options. Cached per row; applyChangeSet drops the
+     * cache of the rows it changes.
+     */
+    getBaseCell(row, col) {
+        let rowCells = this._baseCellCache.get(row.Id);
+        if (!rowCells) {
+            rowCells = new Map();
+            this._baseCellCache.set(row.Id, rowCells);
+        }
 
-    get hasHiddenRows() {
-        return this.hiddenRowCount > 0;
-    }
+        let baseCell = rowCells.get(col.field_api);
+        if (!baseCell) {
+            const cellValue = row[col.field_api];
+            const cellKey = `${row.Id}_${col.field_api}`;
+            const typeFlags = this.getTypeFlags(col.dataType);
+            // Pre-compute picklist options with selected state
+            const selectedValues = typeFlags.isMultiPicklist ? splitMultiValue(cellValue) : [cellValue];
+            const picklistOptions = col.picklistValues
+                ? col.picklistValues.map(opt => ({
+                    ...opt,
+                    selected: selectedValues.includes(opt.value)
+                }))
+                : [];
 
-    get hasNoHiddenRows() {
-        return !this.hasHiddenRows;
+            baseCell = {
+                fieldApi: col.field_api,
+                value: cellValue,
+                displayValue: this.formatDisplayValue(cellValue, col.dataType),
+                dateTimeInputValue: typeFlags.isDateTime ? toDateTimeInputValue(cellValue) : '',
+                linkHref: getLinkHref(cellValue, col.dataType),
+                linkTarget: col.dataType === 'url' ? '_blank' : null,
+                valueClass: typeFlags.isTextarea ? 'cell-value cell-value_multiline' : 'cell-value',
+                dataType: col.dataType,
+                picklistOptions: picklistOptions,
+                cellKey: cellKey,
+                cellBooleanId: `cell-bool-${cellKey}`,
+                ...typeFlags
+            };
+            rowCells.set(col.field_api, baseCell);
+        }
+        return baseCell;
     }
 
-    get isNotLoading() {
-        return !this.isLoading;
-    }
+    buildGroupHeaderRow(group, ariaRowIndex) {
+        const isCollapsed = this.collapsedGroupKeys.has(group.key);
+        const selectedCount = group.rows.filter(row => this.selectedRowIds.has(row.Id)).length;
+        const subtotals = this.gridColumns
+            .filter(col => group.subtotals[col.field_api] !== undefined && group.subtotals[col.field_api] !== null)
+            .map(col => ({
+                fieldApi: col.field_api,
+                label: col.label,
+                displayValue: this.formatDisplayValue(group.subtotals[col.field_api], col.dataType)
+            }));
 
-    get isNotInlineEditMode() {
-        return !this.isInlineEditMode;
+        return {
+            Id: `group-${group.key}`,
+            _isGroupHeader: true,
+            _ariaRowIndex: ariaRowIndex,
+            groupKey: group.key,
+            label: group.label,
+            countLabel: `${group.rows.length} row${group.rows.length !== 1 ? 's' : ''}`,
+            subtotals: subtotals,
+            colSpan: this.gridColumns.length,
+            ariaExpanded: isCollapsed ? 'false' : 'true',
+            toggleIconHref: `/_slds/icons/utility-sprite/svg/symbols.svg#${isCollapsed ? 'chevronright' : 'chevrondown'}`,
+            toggleTitle: `${isCollapsed ? 'Expand' : 'Collapse'} ${group.label}`,
+            checkboxId: `group-checkbox-${group.key}`,
+            isSelected: group.rows.length > 0 && selectedCount === group.rows.length,
+            isIndeterminate: selectedCount > 0 && selectedCount < group.rows.length
+        };
     }
 
-    get hiddenRowsMessage() {
-        return `${this.hiddenRowCount} row${this.hiddenRowCount !== 1 ? 's' : ''} hidden`;
+    /**
+     * Rows that make up the grid, in display order: filteredRows, or with
+     * grouping the rows of expanded groups gathered under their group.
+     * Range selection, paste, fill and keyboard navigation index into this.
+     */
+    get gridRows() {
+        return this.getGridLayout().rows;
     }
 
-    get selectAllChecked() {
+    /**
+     * Display order of the grid
+     * @returns {Object} - { items: [{ group } | { row, gridIndex }], rows: gridRows }
+     */
+    getGridLayout() {
         const rows = this.filteredRows;
-        return rows.length > 0 && rows.every(row => this.selectedRowIds.has(row.Id));
-    }
+        const dependencies = [rows, this.groupByField, this.collapsedGroupKeys, this.sortKeys, this.columns];
+        return this.memoize('gridLayout', dependencies, () => {
+            const groupColumn = this.groupByField ? this.columnMetadataMap.get(this.groupByField) : null;
+            if (!groupColumn) {
+                return { items: rows.map((row, gridIndex) => ({ row, gridIndex })), rows };
+            }
 
-    get selectAllIndeterminate() {
-        const rows = this.filteredRows;
-        const selectedCount = rows.filter(row => this.selectedRowIds.has(row.Id)).length;
-        return selectedCount > 0 && selectedCount < rows.length;
+            // Sorting by the grouped column orders the groups too
+            const keepRowOrder = this.sortKeys.length > 0 && this.sortKeys[0].fieldApi === this.groupByField;
+            const groups = groupRows(rows, groupColumn, this.columns, { keepRowOrder });
+            const items = [];
+            const gridRows = [];
+            groups.forEach(group => {
+                items.push({ group });
+                if (this.collapsedGroupKeys.has(group.key)) return;
+                group.rows.forEach(row => {
+                    items.push({ row, gridIndex: gridRows.length });
+                    gridRows.push(row);
+                });
+            });
+            return { items, rows: gridRows };
+        });
     }
 
-    get inlineEditButtonLabel() {
-        return this.isInlineEditMode ? 'Exit Edit Mode' : 'Inline Edit Mode';
+    get virtualScrollEnabled() {
+        return this.getGridLayout().items.length > VIRTUAL_SCROLL_THRESHOLD;
     }
 
-    get inlineEditButtonVariant() {
-        return this.isInlineEditMode ? 'brand' : 'neutral';
-    }
+
+    /**
+     * Columns shown in the grid, in the user's column order
+     */
+    get gridColumns() {
+        return this.memoize('gridColumns', [this.columnLayout, this.columns], () => {
+            const hidden = new Set(this.columnLayout.hidden);
+            return this.columnLayout.order
+                .filter(fieldApi => !hidden.has(fieldApi) && this.columnMetadataMap.has(fieldApi))
+                .map(fieldApi => this.columnMetadataMap.get(fieldApi));
+        });
+    }
+
+    /**
+     * Width and sticky offset of each grid column. Frozen columns always get
+     * a width, since each one sticks at the summed widths of those before it.
+     * @param {Array} columns - gridColumns
+     * @returns {Map} - fieldApi => { style, className }
+     */
+    getColumnStyles(columns = this.gridColumns) {
+        const { widths, frozenCount } = this.columnLayout;
+        const styles = new Map();
+        let left = CHECKBOX_COLUMN_WIDTH;
+
+        columns.forEach((col, index) => {
+            const isFrozen = index < frozenCount;
+            const width = widths[col.field_api] || (isFrozen ? DEFAULT_COLUMN_WIDTH : null);
+            let style = width ? `width: ${width}px; --column-width: ${width}px;` : '';
+            let className = width ? 'sized-column' : '';
+            if (isFrozen) {
+                style += ` left: ${left}px;`;
+                className += index === frozenCount - 1 ? ' frozen-column frozen-column_last' : ' frozen-column';
+                left += width;
+            }
+            styles.set(col.field_api, { style, className });
+        });
+        return styles;
+    }
+
+    /**
+     * Key of the cell that takes Tab focus: the active cell when it is
+     * still shown, otherwise the first cell of the grid
+     */
+    getTabStopKey(rows = this.gridRows) {
+        const columns = this.gridColumns;
+        if (this.activeCell && this._workingDataMap.has(this.activeCell.rowId) &&
+            columns.some(col => col.field_api === this.activeCell.fieldApi)) {
+            return `${this.activeCell.rowId}_${this.activeCell.fieldApi}`;
+        }
+        if (rows.length === 0 || columns.length === 0) return null;
+        return `${rows[0].Id}_${columns[0].field_api}`;
+    }
+
+    get ariaRowCount() {
+        return this.getGridLayout().items.length + 1;
+    }
+
+    get ariaColCount() {
+        return this.gridColumns.length + 1;
+    }
+
+    get displayColumns() {
+        const isMultiSort = this.sortKeys.length > 1;
+        const columns = this.gridColumns;
+        const columnStyles = this.getColumnStyles(columns);
+        const dropTarget = this.columnDropTarget;
+        return columns.map(col => {
+            const isEditing = this.activeHeaderEditColumn === col.field_api;
+            const sortIndex = this.sortKeys.findIndex(key => key.fieldApi === col.field_api);
+            const sortKey = sortIndex >= 0 ? this.sortKeys[sortIndex] : null;
+            const isAscending = sortKey ? sortKey.direction === SORT_ASC : false;
+
+            const columnStyle = columnStyles.get(col.field_api);
+            let headerClass = `slds-is-sortable column-header ${columnStyle.className}`;
+            if (sortKey) {
+                headerClass += isAscending ? ' slds-is-sorted slds-is-sorted_asc' : ' slds-is-sorted slds-is-sorted_desc';
+            }
+            if (dropTarget && dropTarget.fieldApi === col.field_api) {
+                headerClass += dropTarget.placeAfter ? ' column-drop-after' : ' column-drop-before';
+            }
+
+            // aria-sort belongs on the primary sort column only
+            let ariaSort = 'none';
+            if (sortIndex === 0) {
+                ariaSort = isAscending ? 'ascending' : 'descending';
+            }
+
+            let sortAssistiveText = 'Click to sort, shift-click to add a sort column';
+            if (sortKey) {
+                sortAssistiveText = `Sorted ${isAscending ? 'ascending' : 'descending'}` +
+                    (isMultiSort ? `, sort level ${sortIndex + 1}` : '');
+            }
+
+            const isFilterOpen = this.activeFilterColumn === col.field_api;
+            const isFiltered = Boolean(this.columnFilters[col.field_api]);
+
+            return {
+                ...col,
+                isEditing: isEditing,
+                isNotEditing: !isEditing,
+                isFilterOpen: isFilterOpen,
+                filterExpanded: isFilterOpen ? 'true' : 'false',
+                filterButtonClass: isFiltered
+                    ? 'slds-button slds-button_icon slds-button_icon-brand slds-button_icon-x-small filter-button'
+                    : 'slds-button slds-button_icon slds-button_icon-bare slds-button_icon-x-small filter-button',
+                filterButtonTitle: isFiltered ? `Edit filter on ${col.label}` : `Filter ${col.label}`,
+                filterPopoverId: `filter-popover-${col.field_api}`,
+                headerClass: headerClass,
+                headerStyle: columnStyle.style,
+                resizeLabel: `Resize ${col.label}`,
+                width: this.columnLayout.widths[col.field_api] || null,
+                ariaSort: ariaSort,
+                isSorted: sortKey !== null,
+                sortIconHref: `/_slds/icons/utility-sprite/svg/symbols.svg#${isAscending ? 'arrowup' : 'arrowdown'}`,
+                showSortOrder: sortKey !== null && isMultiSort,
+                sortOrder: sortIndex + 1,
+                sortAssistiveText: sortAssistiveText,
+                headerBooleanId: `header-bool-${col.field_api}`,
+                headerEditHint: col.isFormula ? `Calculated: ${col.formula}` : 'Double-click to edit column',
+                ...this.getTypeFlags(col.dataType),
+                headerLookupTarget: `${HEADER_LOOKUP_PREFIX}${col.field_api}`,
+                ...(isEditing && col.dataType === 'reference'
+                    ? this.getLookupView(`${HEADER_LOOKUP_PREFIX}${col.field_api}`, this.headerEditValue)
+                    : {}),
+                // Filters: datetimes use the date range, multi-select picklists the value list,
+                // lookups the text filter on the related record's name
+                isTextFilter: getTypeFamily(col.dataType) === TEXT_FAMILY || col.dataType === 'reference',
+                isDateFilter: col.dataType === 'date' || col.dataType === 'datetime',
+                isPicklistFilter: col.dataType === 'picklist' || col.dataType === 'multipicklist'
+            };
+        });
+    }
+
+    get filterPills() {
+        return Object.keys(this.columnFilters)
+            .filter(fieldApi => this.columnMetadataMap.has(fieldApi))
+            .map(fieldApi => ({
+                fieldApi,
+                label: describeFilter(this.columnMetadataMap.get(fieldApi), this.columnFilters[fieldApi])
+            }));
+    }
+
+    get hasActiveFilters() {
+        return this.filterPills.length > 0;
+    }
+
+    get filterDraftColumn() {
+        return this.activeFilterColumn ? this.columnMetadataMap.get(this.activeFilterColumn) : null;
+    }
+
+    get filterTextOperatorOptions() {
+        const operator = this.filterDraft ? this.filterDraft.operator : null;
+        return TEXT_OPERATORS.map(opt => ({ ...opt, selected: opt.value === operator }));
+    }
+
+    get filterPicklistOptions() {
+        const col = this.filterDraftColumn;
+        if (!col || !this.filterDraft || !this.filterDraft.values) return [];
+        return col.picklistValues.map(opt => ({
+            ...opt,
+            checked: this.filterDraft.values.includes(opt.value),
+            checkboxId: `filter-opt-${col.field_api}-${opt.value}`
+        }));
+    }
+
+    get filterBooleanOptions() {
+        const current = this.filterDraft ? this.filterDraft.value : null;
+        return [
+            { label: 'Any', value: '', selected: typeof current !== 'boolean' },
+            { label: 'Checked', value: 'true', selected: current === true },
+            { label: 'Unchecked', value: 'false', selected: current === false }
+        ];
+    }
+
+    /**
+     * Resolves the cell range against the current row order and column order
+     * @param {Array} rows - Rows in display order (defaults to gridRows)
+     * @returns {Object|null} - { rowStart, rowEnd, colStart, colEnd, isSingleCell }
+     */
+    getRangeBounds(rows = this.gridRows) {
+        if (!this.cellRange) return null;
+
+        const { anchorRowId, anchorFieldApi, focusRowId, focusFieldApi } = this.cellRange;
+        const anchorRow = rows.findIndex(row => row.Id === anchorRowId);
+        const focusRow = rows.findIndex(row => row.Id === focusRowId);
+        const anchorCol = this.gridColumns.findIndex(col => col.field_api === anchorFieldApi);
+        const focusCol = this.gridColumns.findIndex(col => col.field_api === focusFieldApi);
+        if (anchorRow < 0 || focusRow < 0 || anchorCol < 0 || focusCol < 0) return null;
+
+        return {
+            rowStart: Math.min(anchorRow, focusRow),
+            rowEnd: Math.max(anchorRow, focusRow),
+            colStart: Math.min(anchorCol, focusCol),
+            colEnd: Math.max(anchorCol, focusCol),
+            isSingleCell: anchorRow === focusRow && anchorCol === focusCol
+        };
+    }
+
+    get hasNoDisplayRows() {
+        return this.getGridLayout().items.length === 0;
+    }
+
+    get hasSelectedRows() {
+        return this.selectedRowIds.size > 0;
+    }
+
+    get hasNoSelectedRows() {
+        return !this.hasSelectedRows;
+    }
+
+    get hasHiddenRows() {
+        return this.hiddenRowCount > 0;
+    }
+
+    get hasNoHiddenRows() {
+        return !this.hasHiddenRows;
+    }
+
+    get isNotLoading() {
+        return !this.isLoading;
+    }
+
+    get invalidCellCount() {
+        return this.cellErrors.size;
+    }
+
+    get hasInvalidCells() {
+        return this.cellErrors.size > 0;
+    }
+
+    get invalidCellsMessage() {
+        const count = this.cellErrors.size;
+        return `${count} invalid cell${count !== 1 ? 's' : ''}`;
+    }
+
+    get modifiedRowCount() {
+        const rowIds = new Set();
+        this.editedCells.forEach((value, key) => rowIds.add(key.split('_')[0]));
+        return rowIds.size;
+    }
+
+    get saveDisabled() {
+        return this.isSaving || this.editedCells.size === 0;
+    }
+
+    get saveButtonLabel() {
+        if (this.isSaving) return 'Saving...';
+        const count = this.modifiedRowCount;
+        return count > 0 ? `Save (${count})` : 'Save';
+    }
+
+    get checkConflictsDisabled() {
+        return this.isCheckingConflicts || this.isSaving || this.editedCells.size === 0;
+    }
+
+    get checkConflictsLabel() {
+        return this.isCheckingConflicts ? 'Checking...' : 'Check for Conflicts';
+    }
+
+    get exportFormatOptions() {
+        return EXPORT_FORMATS.map(opt => ({ ...opt, selected: opt.value === this.exportOptions.format }));
+    }
+
+    get exportScopeOptions() {
+        return EXPORT_SCOPES.map(opt => ({
+            ...opt,
+            label: `${opt.label} (${this.getRowsForScope(opt.value).length})`,
+            selected: opt.value === this.exportOptions.scope
+        }));
+    }
+
+    get exportMenuExpanded() {
+        return this.isExportMenuOpen ? 'true' : 'false';
+    }
+
+    get exportDisabled() {
+        return this.getRowsForScope(this.exportOptions.scope).length === 0;
+    }
+
+    get reviewButtonLabel() {
+        const count = this.editedCells.size;
+        return count > 0 ? `Review Changes (${count})` : 'Review Changes';
+    }
+
+    get reviewDisabled() {
+        return this.editedCells.size === 0;
+    }
+
+    get reviewGroupByRowVariant() {
+        return this.reviewGroupBy === GROUP_BY_ROW ? 'slds-button slds-button_brand' : 'slds-button slds-button_neutral';
+    }
+
+    get reviewGroupByColumnVariant() {
+        return this.reviewGroupBy === GROUP_BY_COLUMN ? 'slds-button slds-button_brand' : 'slds-button slds-button_neutral';
+    }
+
+    get reviewGroups() {
+        const changes = collectChanges(this.editedCells, this._workingDataMap, this._originalDataMap);
+        const groups = groupChanges(changes, this.reviewGroupBy, {
+            rowOrder: this.workingData.map(row => row.Id),
+            columns: this.columns
+        });
+        const isByRow = this.reviewGroupBy === GROUP_BY_ROW;
+
+        return groups.map(group => {
+            const title = isByRow
+                ? this.getRowDisplayName(group.key)
+                : this.columnMetadataMap.get(group.key).label;
+            return {
+                key: group.key,
+                title: title,
+                countLabel: `${group.changes.length} change${group.changes.length !== 1 ? 's' : ''}`,
+                canRevertRow: isByRow,
+                items: group.changes.map(change => {
+                    const col = this.columnMetadataMap.get(change.fieldApi);
+                    return {
+                        key: `${change.rowId}_${change.fieldApi}`,
+                        rowId: change.rowId,
+                        fieldApi: change.fieldApi,
+                        itemLabel: isByRow ? col.label : this.getRowDisplayName(change.rowId),
+                        originalDisplay: this.formatDisplayValue(change.originalValue, col.dataType) || '(blank)',
+                        newDisplay: this.formatDisplayValue(change.newValue, col.dataType) || '(blank)'
+                    };
+                })
+            };
+        });
+    }
+
+    get hasReviewGroups() {
+        return this.editedCells.size > 0;
+    }
+
+    getRowDisplayName(rowId) {
+        const row = this._workingDataMap.get(rowId);
+        return row && row.Name ? row.Name : rowId;
+    }
+
+    get isImportOpen() {
+        return this.importState !== null;
+    }
+
+    get isImportMappingStep() {
+        return this.importState !== null && this.importState.step === 'mapping';
+    }
+
+    get isImportPreviewStep() {
+        return this.importState !== null && this.importState.step === 'preview';
+    }
+
+    get importModalTitle() {
+        return this.importState ? `Import ${this.importState.fileName}` : '';
+    }
+
+    get importMappingRows() {
+        if (!this.importState) return [];
+        const { csv, mapping, idIndex } = this.importState;
+        const firstRecord = csv.records.length > 0 ? csv.records[0].values : [];
+
+        return csv.headers.map((header, index) => {
+            const isIdColumn = index === idIndex;
+            const fieldApi = mapping[index];
+            return {
+                index: String(index),
+                header: header,
+                sample: firstRecord[index] || '',
+                isIdColumn: isIdColumn,
+                isNotIdColumn: !isIdColumn,
+                isUnmatched: !isIdColumn && !fieldApi,
+                selectId: `import-map-${index}`,
+                options: [
+                    { label: '— Ignore —', value: '', selected: !fieldApi },
+                    ...this.columns.filter(col => !col.isFormula).map(col => ({
+                        label: col.label,
+                        value: col.field_api,
+                        selected: col.field_api === fieldApi
+                    }))
+                ]
+            };
+        });
+    }
+
+    get importIdOptions() {
+        if (!this.importState) return [];
+        const { csv, idIndex } = this.importState;
+        return [
+            { label: '— Select the Id column —', value: '-1', selected: idIndex < 0 },
+            ...csv.headers.map((header, index) => ({
+                label: header,
+                value: String(index),
+                selected: index === idIndex
+            }))
+        ];
+    }
+
+    get importPreviewDisabled() {
+        return !this.importState || this.importState.idIndex < 0 || this.importState.mapping.every(f => !f);
+    }
+
+    get importPreviewSummary() {
+        const preview = this.importState && this.importState.preview;
+        if (!preview) return '';
+        const changeCount = preview.changes.length;
+        return `${preview.matchedRowCount} of ${preview.totalRows} rows matched. ` +
+            `${changeCount} cell${changeCount !== 1 ? 's' : ''} would change.`;
+    }
+
+    get importPreviewChanges() {
+        const preview = this.importState && this.importState.preview;
+        if (!preview) return [];
+        return preview.changes.slice(0, IMPORT_PREVIEW_LIMIT).map(change => {
+            const col = this.columnMetadataMap.get(change.fieldApi);
+            const row = this._workingDataMap.get(change.rowId);
+            return {
+                key: `${change.rowId}_${change.fieldApi}`,
+                line: change.line,
+                rowName: row && row.Name ? row.Name : change.rowId,
+                columnLabel: col.label,
+                oldDisplay: this.formatDisplayValue(change.oldValue, col.dataType),
+                newDisplay: this.formatDisplayValue(change.newValue, col.dataType)
+            };
+        });
+    }
+
+    get importHasChanges() {
+        return this.importPreviewChanges.length > 0;
+    }
+
+    get importChangesTruncated() {
+        const preview = this.importState && this.importState.preview;
+        return Boolean(preview) && preview.changes.length > IMPORT_PREVIEW_LIMIT;
+    }
+
+    get importRejections() {
+        const preview = this.importState && this.importState.preview;
+        if (!preview) return [];
+        const rows = preview.rejectedRows.map(rejected => ({
+            key: `row-${rejected.line}`,
+            line: rejected.line,
+            target: rejected.rowId || '(no Id)',
+            reason: rejected.reason
+        }));
+        const values = preview.rejectedValues.map(rejected => {
+            const col = this.columnMetadataMap.get(rejected.fieldApi);
+            return {
+                key: `value-${rejected.line}-${rejected.fieldApi}`,
+                line: rejected.line,
+                target: `${col.label} "${rejected.text}"`,
+                reason: rejected.reason
+            };
+        });
+        return [...rows, ...values]
+            .sort((a, b) => a.line - b.line)
+            .slice(0, IMPORT_PREVIEW_LIMIT);
+    }
+
+    get importHasRejections() {
+        return this.importRejections.length > 0;
+    }
+
+    get importRejectionSummary() {
+        const preview = this.importState && this.importState.preview;
+        if (!preview) return '';
+        return `${preview.rejectedRows.length} row(s) and ${preview.rejectedValues.length} value(s) rejected`;
+    }
+
+    get importApplyDisabled() {
+        return !this.importState || !this.importState.preview || this.importState.preview.changes.length === 0;
+    }
+
+    get importApplyLabel() {
+        const preview = this.importState && this.importState.preview;
+        const count = preview ? preview.changes.length : 0;
+        return `Apply ${count} change${count !== 1 ? 's' : ''}`;
+    }
+
+    get isFindReplaceOpen() {
+        return this.findReplaceState !== null;
+    }
+
+    get findReplaceExpanded() {
+        return this.isFindReplaceOpen ? 'true' : 'false';
+    }
+
+    /**
+     * Matches of the open find-and-replace panel in the bulk edit rows
+     * @returns {Object} - findReplacements result, { errorMessage } for an
+     *   invalid pattern, or null when there is nothing to find
+     */
+    get findReplacePreview() {
+        const state = this.findReplaceState;
+        if (!state || !state.find) return null;
+        const dependencies = [state, this.filteredRows, this.selectedRowIds, this.gridColumns, this.customValidators];
+        return this.memoize('findReplacePreview', dependencies, () => {
+            const columns = this.gridColumns.filter(col => state.fieldApis.includes(col.field_api));
+            try {
+                return findReplacements(this.getBulkEditRows(), columns, {
+                    ...state,
+                    customValidators: this.customValidators
+                });
+            } catch (error) {
+                return { errorMessage: error.message };
+            }
+        });
+    }
+
+    /**
+     * Highlight class of each grid cell the find-and-replace panel matches
+     * @returns {Map} - cellKey => class name
+     */
+    getFindMatchClasses() {
+        const preview = this.findReplacePreview;
+        return this.memoize('findMatchClasses', [preview], () => {
+            const classes = new Map();
+            if (!preview || preview.errorMessage) return classes;
+            preview.cells.forEach(cell => classes.set(`${cell.rowId}_${cell.fieldApi}`, 'cell-find-match'));
+            preview.rejections.forEach(rejected => {
+                classes.set(`${rejected.rowId}_${rejected.fieldApi}`, 'cell-find-match cell-find-rejected');
+            });
+            return classes;
+        });
+    }
+
+    get findReplaceColumnItems() {
+        if (!this.findReplaceState) return [];
+        const chosen = new Set(this.findReplaceState.fieldApis);
+        return this.gridColumns.filter(isReplaceableColumn).map(col => ({
+            fieldApi: col.field_api,
+            label: col.label,
+            checkboxId: `find-column-${col.field_api}`,
+            isChecked: chosen.has(col.field_api)
+        }));
+    }
+
+    get findReplaceScopeLabel() {
+        const count = this.getBulkEditRows().length;
+        const kind = this.selectedRowIds.size > 0 ? 'selected' : 'visible';
+        return `Searching ${count} ${kind} row${count !== 1 ? 's' : ''}`;
+    }
+
+    get findReplaceErrorMessage() {
+        const preview = this.findReplacePreview;
+        return preview && preview.errorMessage ? preview.errorMessage : null;
+    }
+
+    get findReplaceSummary() {
+        const preview = this.findReplacePreview;
+        if (!preview || preview.errorMessage) return '';
+        const { matchCount, cells, changes, rejections } = preview;
+        if (matchCount === 0) return 'No matches';
+        let summary = `${matchCount} match${matchCount !== 1 ? 'es' : ''} in ${cells.length} ` +
+            `cell${cells.length !== 1 ? 's' : ''}. ${changes.length} would change.`;
+        if (rejections.length > 0) {
+            summary += ` ${rejections.length} cannot be replaced.`;
+        }
+        return summary;
+    }
+
+    get findReplacePreviewCells() {
+        const preview = this.findReplacePreview;
+        if (!preview || preview.errorMessage) return [];
+        const reasons = new Map(preview.rejections.map(rejected => [
+            `${rejected.rowId}_${rejected.fieldApi}`,
+            rejected.reason
+        ]));
+        return preview.cells.slice(0, REPLACE_PREVIEW_LIMIT).map(cell => {
+            const key = `${cell.rowId}_${cell.fieldApi}`;
+            const row = this._workingDataMap.get(cell.rowId);
+            return {
+                key,
+                rowName: row && row.Name ? row.Name : cell.rowId,
+                columnLabel: this.columnMetadataMap.get(cell.fieldApi).label,
+                parts: cell.parts.map((part, index) => ({
+                    text: part.text,
+                    key: index,
+                    className: part.isMatch ? 'find-match-text' : ''
+                })),
+                newText: cell.newText || '(blank)',
+                rejectionReason: reasons.get(key) || null
+            };
+        });
+    }
+
+    get findReplaceHasCells() {
+        return this.findReplacePreviewCells.length > 0;
+    }
+
+    get findReplaceTruncated() {
+        const preview = this.findReplacePreview;
+        return Boolean(preview && preview.cells) && preview.cells.length > REPLACE_PREVIEW_LIMIT;
+    }
+
+    get findReplaceApplyDisabled() {
+        const preview = this.findReplacePreview;
+        return !preview || !preview.changes || preview.changes.length === 0;
+    }
+
+    get findReplaceApplyLabel() {
+        const preview = this.findReplacePreview;
+        const count = preview && preview.changes ? preview.changes.length : 0;
+        return `Replace ${count} cell${count !== 1 ? 's' : ''}`;
+    }
+
+    get isMergeDialogOpen() {
+        return this.mergeState !== null;
+    }
+
+    get mergeSummary() {
+        if (!this.mergeState) return '';
+        const { conflicts, serverChanges, localChanges, deletedRowIds } = summarizeConflicts(this.mergeState.report);
+        if (conflicts + serverChanges + deletedRowIds.length === 0) {
+            return 'No one else has changed these rows since they were loaded.';
+        }
+        const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+        const parts = [
+            plural(conflicts, 'conflict'),
+            `${plural(serverChanges, 'cell')} changed on the server`,
+            `${plural(localChanges, 'cell')} changed here`
+        ];
+        if (deletedRowIds.length > 0) {
+            parts.push(`${plural(deletedRowIds.length, 'row')} deleted on the server`);
+        }
+        return `${parts.join(', ')}.`;
+    }
+
+    // Rows with something to merge, listing only their changed cells
+    get mergeRows() {
+        if (!this.mergeState) return [];
+        return this.mergeState.report
+            .filter(row => row.isDeleted || row.cells.some(cell => cell.status !== CELL_UNCHANGED))
+            .map(row => ({
+                key: row.rowId,
+                title: this.getRowDisplayName(row.rowId),
+                isDeleted: row.isDeleted,
+                cells: row.cells
+                    .filter(cell => cell.status !== CELL_UNCHANGED)
+                    .map(cell => this.getMergeCellView(row.rowId, cell))
+            }));
+    }
+
+    get hasMergeRows() {
+        return this.mergeRows.length > 0;
+    }
+
+    get mergeApplyLabel() {
+        return this.mergeState && this.mergeState.isBeforeSave ? 'Apply and Save' : 'Apply';
+    }
+
+    getMergeCellView(rowId, cell) {
+        const col = this.columnMetadataMap.get(cell.fieldApi);
+        const cellKey = `${rowId}_${cell.fieldApi}`;
+        const resolution = this.mergeState.resolutions[cellKey] || { choice: getDefaultResolution(cell.status) };
+        const statusView = CELL_STATUS_VIEWS[cell.status];
+        const display = value => this.formatDisplayValue(value, col.dataType) || '(blank)';
+        const variant = choice => (resolution.choice === choice
+            ? 'slds-button slds-button_brand'
+            : 'slds-button slds-button_neutral');
+
+        return {
+            key: cellKey,
+            columnLabel: col.label,
+            statusLabel: statusView.label,
+            statusBadgeClass: statusView.badgeClass,
+            baseDisplay: display(cell.baseValue),
+            localDisplay: display(cell.localValue),
+            serverDisplay: display(cell.serverValue),
+            mineVariant: variant(KEEP_MINE),
+            theirsVariant: variant(TAKE_THEIRS),
+            editVariant: variant(EDIT_VALUE),
+            isEditing: resolution.choice === EDIT_VALUE,
+            editText: resolution.text !== undefined ? resolution.text : formatClipboardValue(cell.localValue, col.dataType)
+        };
+    }
+
+    get hiddenRowsMessage() {
+        return `${this.hiddenRowCount} row${this.hiddenRowCount !== 1 ? 's' : ''} hidden`;
+    }
+
+    get selectAllChecked() {
+        const rows = this.filteredRows;
+        return rows.length > 0 && rows.every(row => this.selectedRowIds.has(row.Id));
+    }
+
+    get selectAllIndeterminate() {
+        const rows = this.filteredRows;
+        const selectedCount = rows.filter(row => this.selectedRowIds.has(row.Id)).length;
+        return selectedCount > 0 && selectedCount < rows.length;
+    }
+
+    get groupByOptions() {
+        return [
+            { label: 'No grouping', value: '', selected: !this.groupByField },
+            ...this.columns.filter(col => isGroupable(col)).map(col => ({
+                label: col.label,
+                value: col.field_api,
+                selected: col.field_api === this.groupByField
+            }))
+        ];
+    }
+
+    get viewOptions() {
+        return [
+            { value: '', label: 'Unsaved view', selected: !this.activeViewName },
+            ...this.savedViews.map(view => ({
+                value: view.name,
+                label: view.name === this.defaultViewName ? `${view.name} (default)` : view.name,
+                selected: view.name === this.activeViewName
+            }))
+        ];
+    }
+
+    get isViewNamePopoverOpen() {
+        return this.viewNameDraft !== null;
+    }
+
+    get viewNamePopoverExpanded() {
+        return this.isViewNamePopoverOpen ? 'true' : 'false';
+    }
+
+    get hasNoActiveView() {
+        return !this.activeViewName;
+    }
+
+    get viewNameConfirmDisabled() {
+        return !this.viewNameDraft || !this.viewNameDraft.trim();
+    }
+
+    // Saving under an existing name replaces that view
+    get viewNameConfirmLabel() {
+        const name = this.viewNameDraft ? this.viewNameDraft.trim() : '';
+        return this.savedViews.some(view => view.name === name) ? 'Replace' : 'Save';
+    }
+
+    get columnChooserButtonLabel() {
+        const hiddenCount = this.columnLayout.hidden.length;
+        return hiddenCount > 0 ? `Columns (${hiddenCount} hidden)` : 'Columns';
+    }
+
+    get columnChooserExpanded() {
+        return this.isColumnChooserOpen ? 'true' : 'false';
+    }
+
+    /**
+     * Every column in layout order, hidden ones included
+     */
+    get columnChooserItems() {
+        const { order, hidden } = this.columnLayout;
+        const visibleCount = order.length - hidden.length;
+        return order.map((fieldApi, index) => {
+            const col = this.columnMetadataMap.get(fieldApi);
+            const isVisible = !hidden.includes(fieldApi);
+            return {
+                fieldApi,
+                label: col.label,
+                checkboxId: `column-chooser-${fieldApi}`,
+                isVisible,
+                // The last visible column cannot be hidden
+                visibilityDisabled: isVisible && visibleCount === 1,
+                moveUpDisabled: index === 0,
+                moveDownDisabled: index === order.length - 1,
+                moveUpTitle: `Move ${col.label} left`,
+                moveDownTitle: `Move ${col.label} right`
+            };
+        });
+    }
+
+    get frozenColumnOptions() {
+        const count = this.gridColumns.length;
+        return Array.from({ length: count + 1 }, (_, value) => ({
+            value: String(value),
+            label: value === 0 ? 'None' : String(value),
+            selected: value === Math.min(this.columnLayout.frozenCount, count)
+        }));
+    }
+
+    get totalsButtonLabel() {
+        return this.isTotalsRowVisible ? 'Hide Totals' : 'Show Totals';
+    }
+
+    get isTotalsScopeSelected() {
+        return this.totalsScope === TOTALS_SCOPE_SELECTED;
+    }
+
+    get totalsScopeVisibleVariant() {
+        return this.isTotalsScopeSelected ? 'slds-button slds-button_neutral' : 'slds-button slds-button_brand';
+    }
+
+    get totalsScopeSelectedVariant() {
+        return this.isTotalsScopeSelected ? 'slds-button slds-button_brand' : 'slds-button slds-button_neutral';
+    }
+
+    get totalsScopeLabel() {
+        return this.isTotalsScopeSelected
+            ? `Totals of ${this.selectedRowIds.size} selected row${this.selectedRowIds.size !== 1 ? 's' : ''}`
+            : 'Totals of visible rows';
+    }
+
+    /**
+     * Cells of the totals row. Aggregation is one pass over the unsorted
+     * rows in scope, independent of the rendered virtual window.
+     */
+    // Recomputed only when the rows, columns or chosen totals change, not on every scroll render
+    get totalsCells() {
+        const rows = this.isTotalsScopeSelected
+            ? this.memoize('totalsSelectedRows', [this.workingData, this.selectedRowIds], () =>
+                this.workingData.filter(row => this.selectedRowIds.has(row.Id)))
+            : this.getMatchingRows();
+        const columns = this.gridColumns;
+        const dependencies = [
+            rows, columns, this.columnLayout, this.totalFunctionOverrides, this.totalFunctions, this.isTotalsScopeSelected
+        ];
+        return this.memoize('totals', dependencies, () => {
+            const columnStyles = this.getColumnStyles(columns);
+            const aggregates = computeAggregates(rows, columns);
+
+            return columns.map(col => {
+                const options = getAggregateOptions(col);
+                const selected = this.getTotalFunction(col, options);
+                const value = selected ? aggregates.get(col.field_api)[selected] : null;
+                // Counts are plain integers; other totals use the column's format
+                let displayValue = '';
+                if (value !== null) {
+                    displayValue = selected === AGGREGATE_COUNT || selected === AGGREGATE_DISTINCT
+                        ? value.toLocaleString()
+                        : this.formatDisplayValue(value, col.dataType);
+                }
+                return {
+                    fieldApi: col.field_api,
+                    cellClass: columnStyles.get(col.field_api).className,
+                    cellStyle: columnStyles.get(col.field_api).style,
+                    hasTotal: options.length > 0,
+                    selectLabel: `Total for ${col.label}`,
+                    options: options.map(aggregate => ({
+                        value: aggregate,
+                        label: AGGREGATE_LABELS[aggregate],
+                        selected: aggregate === selected
+                    })),
+                    displayValue: displayValue
+                };
+            });
+        });
+    }
+
+    getTotalFunction(col, options) {
+        const picked = this.totalFunctionOverrides[col.field_api] ||
+            (this.totalFunctions ? this.totalFunctions[col.field_api] : null);
+        return options.includes(picked) ? picked : options[0] || null;
+    }
+
+    get inlineEditButtonLabel() {
+        return this.isInlineEditMode ? 'Exit Edit Mode' : 'Inline Edit Mode';
+    }
+
+    get inlineEditButtonVariant() {
+        return this.isInlineEditMode ? 'brand' : 'neutral';
+    }
+
+    get undoDisabled() {
+        return !this.undoAvailable;
+    }
+
+    get redoDisabled() {
+        return !this.redoAvailable;
+    }
+
+    get undoButtonTitle() {
+        const label = this._history.peekUndoLabel();
+        return label ? `Undo ${label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+
+    get redoButtonTitle() {
+        const label = this._history.peekRedoLabel();
+        return label ? `Redo ${label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
 
     get showSearchClear() {
         return this.searchTerm && this.searchTerm.length > 0;
     }
 
-    get headerEditPicklistOptions() {
-        if (!this.activeHeaderEditColumn) return [];
-        const col = this.columnMetadataMap.get(this.activeHeaderEditColumn);
-        return col ? col.picklistValues : [];
+    get headerEditPicklistOptions() {
+        if (!this.activeHeaderEditColumn) return [];
+        const col = this.columnMetadataMap.get(this.activeHeaderEditColumn);
+        if (!col) return [];
+        const selected = Array.isArray(this.headerEditValue) ? this.headerEditValue : [this.headerEditValue];
+        return col.picklistValues.map(opt => ({ ...opt, selected: selected.includes(opt.value) }));
+    }
+
+    get totalRowCount() {
+        return this.workingData.length;
+    }
+
+    get visibleRowCount() {
+        return this.filteredRows.length;
+    }
+
+    // Spacer rows stand in for the rows outside the virtual window
+    get virtualTopSpacerStyle() {
+        return `height: ${this.virtualPaddingTop}px;`;
+    }
+
+    get virtualBottomSpacerStyle() {
+        return `height: ${this.virtualPaddingBottom}px;`;
+    }
+
+    // Format display values based on data type
+    formatDisplayValue(value, dataType) {
+        if (value === null || value === undefined) return '';
+
+        switch (dataType) {
+            case 'boolean':
+                return value ? '✓' : '✗';
+            case 'number':
+                return typeof value === 'number' ? value.toLocaleString() : value;
+            case 'currency':
+                return typeof value === 'number'
+                    ? value.toLocaleString(undefined, { style: 'currency', currency: CURRENCY_CODE || 'USD' })
+                    : value;
+            case 'percent':
+                return typeof value === 'number' ? `${value.toLocaleString()}%` : value;
+            case 'date': {
+                if (!value) return '';
+                const date = new Date(value);
+                return date.toLocaleDateString();
+            }
+            case 'datetime': {
+                const dateTime = new Date(value);
+                if (Number.isNaN(dateTime.getTime())) return String(value);
+                return dateTime.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+            }
+            case 'multipicklist':
+                return splitMultiValue(value).join('; ');
+            case 'reference':
+                return String(resolveReferenceLabel(value, this._referenceLabels));
+            default:
+                return String(value);
+        }
+    }
+
+    // Virtual scroll handler
+    handleTableScroll() {
+        if (this.virtualScrollEnabled) {
+            this.syncVirtualWindow();
+        }
+    }
+
+    /**
+     * Renders the display rows that cover the viewport. Runs after every
+     * render and scroll; state is only assigned when the window or the
+     * spacer heights change, so a settled window costs no extra render.
+     */
+    syncVirtualWindow() {
+        if (!this.virtualScrollEnabled) return;
+
+        const container = this.template.querySelector('.table-container');
+        const header = this.template.querySelector('thead');
+        // Rows start below the sticky header
+        const viewportTop = container ? container.scrollTop - (header ? header.offsetHeight : 0) : 0;
+        const viewportHeight = container && container.clientHeight > 0
+            ? container.clientHeight
+            : VIRTUAL_SCROLL_THRESHOLD * this._rowHeights.estimate;
+
+        const items = this.getGridLayout().items;
+        const offsets = this.getItemOffsets(items);
+        const { start, end } = findVisibleRange(offsets, viewportTop, viewportHeight, VIRTUAL_SCROLL_BUFFER);
+        const paddingTop = Math.round(offsets[start]);
+        const paddingBottom = Math.round(offsets[items.length] - offsets[end]);
+
+        if (start !== this.visibleStartIndex || end !== this.visibleEndIndex) {
+            this.visibleStartIndex = start;
+            this.visibleEndIndex = end;
+        }
+        if (paddingTop !== this.virtualPaddingTop || paddingBottom !== this.virtualPaddingBottom) {
+            this.virtualPaddingTop = paddingTop;
+            this.virtualPaddingBottom = paddingBottom;
+        }
+    }
+
+    /**
+     * Top offset of each display row; rebuilt only when the rows or a
+     * measured height change
+     */
+    getItemOffsets(items) {
+        return this.memoize('itemOffsets', [items, this._rowHeights.version], () => {
+            return this._rowHeights.buildOffsets(items.map(item => (item.group ? `group-${item.group.key}` : item.row.Id)));
+        });
+    }
+
+    measureRenderedRows() {
+        this.template.querySelectorAll('tr[data-item-key]').forEach(tr => {
+            this._rowHeights.set(tr.dataset.itemKey, tr.offsetHeight);
+        });
+    }
+
+    // Event Handlers - Controls
+    handleToggleInlineEdit() {
+        this.isInlineEditMode = !this.isInlineEditMode;
+        this.editingCellKey = null;
+        // Editors change the height of every row
+        this._rowHeights.clear();
+
+        // Cancel any active header edit when toggling inline edit
+        if (this.activeHeaderEditColumn) {
+            this.cancelHeaderEdit();
+        }
+    }
+
+    // Event Handlers - Export
+    handleToggleExportMenu() {
+        this.isExportMenuOpen = !this.isExportMenuOpen;
+    }
+
+    handleExportOptionChange(event) {
+        const option = event.currentTarget.dataset.option;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this.exportOptions = { ...this.exportOptions, [option]: value };
+    }
+
+    handleExportMenuKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.isExportMenuOpen = false;
+        }
+    }
+
+    handleExportCancel() {
+        this.isExportMenuOpen = false;
+    }
+
+    handleExport() {
+        this.exportData(this.exportOptions);
+        this.isExportMenuOpen = false;
+    }
+
+    /**
+     * Rows for an export scope, in display sort order
+     * @param {string} scope - 'visible' | 'selected' | 'modified' | 'all'
+     * @returns {Array} - Rows
+     */
+    getRowsForScope(scope) {
+        if (scope === 'visible') {
+            return this.filteredRows;
+        }
+
+        let rows = this.workingData;
+        if (scope === 'selected') {
+            rows = rows.filter(row => this.selectedRowIds.has(row.Id));
+        } else if (scope === 'modified') {
+            const modifiedRowIds = new Set();
+            this.editedCells.forEach((value, key) => modifiedRowIds.add(this.parseCellKey(key).rowId));
+            rows = rows.filter(row => modifiedRowIds.has(row.Id));
+        }
+        return sortRows(rows, this.sortKeys, this.columnMetadataMap, this._referenceLabels);
+    }
+
+    // Event Handlers - Change Review
+    handleToggleReviewPanel() {
+        this.isReviewPanelOpen = !this.isReviewPanelOpen;
+    }
+
+    handleCloseReviewPanel() {
+        this.isReviewPanelOpen = false;
+    }
+
+    // Event Handlers - Totals
+    handleToggleTotals() {
+        this.isTotalsRowVisible = !this.isTotalsRowVisible;
+    }
+
+    handleTotalsScopeChange(event) {
+        this.totalsScope = event.currentTarget.dataset.scope === TOTALS_SCOPE_SELECTED
+            ? TOTALS_SCOPE_SELECTED
+            : TOTALS_SCOPE_VISIBLE;
+    }
+
+    handleTotalFunctionChange(event) {
+        this.totalFunctionOverrides = {
+            ...this.totalFunctionOverrides,
+            [event.currentTarget.dataset.fieldApi]: event.target.value
+        };
+    }
+
+    handleReviewGroupByChange(event) {
+        this.reviewGroupBy = event.currentTarget.dataset.groupBy;
+    }
+
+    handleRevertCell(event) {
+        const { rowId, fieldApi } = event.currentTarget.dataset;
+        this.revertCells([{ rowId, fieldApi }], 'revert of 1 cell');
+    }
+
+    handleRevertRow(event) {
+        const rowId = event.currentTarget.dataset.rowId;
+        const cells = [];
+        this.editedCells.forEach((value, key) => {
+            const cell = this.parseCellKey(key);
+            if (cell.rowId === rowId) {
+                cells.push(cell);
+            }
+        });
+        this.revertCells(cells, `revert of ${this.getRowDisplayName(rowId)}`);
+    }
+
+    handleRevertAll() {
+        const cells = Array.from(this.editedCells.keys()).map(key => this.parseCellKey(key));
+        this.revertCells(cells, 'revert of all changes');
+    }
+
+    /**
+     * Restores cells to their original values as one undoable step
+     * @param {Array} cells - [{ rowId, fieldApi }]
+     * @param {string} label - History label
+     */
+    revertCells(cells, label) {
+        const changes = [];
+        cells.forEach(({ rowId, fieldApi }) => {
+            const workingRow = this._workingDataMap.get(rowId);
+            const originalRow = this._originalDataMap.get(rowId);
+            if (workingRow && originalRow) {
+                changes.push(createChange(rowId, fieldApi, workingRow[fieldApi], originalRow[fieldApi]));
+            }
+        });
+
+        this.executeCommand(label, changes);
+        if (this.editedCells.size === 0) {
+            this.isReviewPanelOpen = false;
+        }
+    }
+
+    // Event Handlers - CSV Import
+    handleImportClick() {
+        const fileInput = this.template.querySelector('[data-id="import-file-input"]');
+        if (fileInput) {
+            fileInput.click();
+        }
+    }
+
+    async handleImportFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        // Clear the input so choosing the same file again fires change
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const csv = parseCsv(await file.text());
+            if (csv.headers.length === 0) {
+                this.error = `${file.name} is empty`;
+                return;
+            }
+
+            const { idIndex, mapping } = autoMapHeaders(csv.headers, this.columns.filter(col => !col.isFormula));
+            this.importState = { fileName: file.name, csv, idIndex, mapping, step: 'mapping', preview: null };
+        } catch (e) {
+            this.error = 'Error reading import file: ' + e.message;
+        }
+    }
+
+    handleImportMappingChange(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        const fieldApi = event.target.value;
+
+        // A column can only be the target of one CSV header
+        const mapping = this.importState.mapping.map((current, i) => {
+            if (i === index) return fieldApi;
+            return fieldApi && current === fieldApi ? '' : current;
+        });
+        this.importState = { ...this.importState, mapping };
+    }
+
+    handleImportIdColumnChange(event) {
+        const idIndex = Number(event.target.value);
+        const mapping = this.importState.mapping.map((fieldApi, i) => (i === idIndex ? '' : fieldApi));
+        this.importState = { ...this.importState, idIndex, mapping };
+    }
+
+    handleImportPreview() {
+        const { csv, idIndex, mapping } = this.importState;
+        const preview = buildImportPreview(csv, {
+            idIndex,
+            mapping,
+            workingDataMap: this._workingDataMap,
+            columnMetadataMap: this.columnMetadataMap,
+            customValidators: this.customValidators
+        });
+        this.importState = { ...this.importState, step: 'preview', preview };
+    }
+
+    handleImportBack() {
+        this.importState = { ...this.importState, step: 'mapping', preview: null };
+    }
+
+    handleImportCancel() {
+        this.importState = null;
+    }
+
+    handleImportKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.importState = null;
+        }
+    }
+
+    handleImportApply() {
+        const { fileName, preview } = this.importState;
+        const changes = preview.changes.map(change => createChange(
+            change.rowId,
+            change.fieldApi,
+            change.oldValue,
+            change.newValue
+        ));
+
+        this.executeCommand(`import of ${fileName}`, changes);
+        this.importState = null;
+    }
+
+    // Event Handlers - Find and replace
+    handleToggleFindReplace() {
+        if (this.findReplaceState) {
+            this.closeFindReplace();
+            return;
+        }
+
+        this.findReplaceState = {
+            find: '',
+            replace: '',
+            matchCase: false,
+            wholeCell: false,
+            useRegex: false,
+            fieldApis: this.gridColumns.filter(isReplaceableColumn).map(col => col.field_api)
+        };
+
+        // Focus the find input after render
+        setTimeout(() => {
+            const input = this.template.querySelector('[data-id="find-input"]');
+            if (input) {
+                input.focus();
+            }
+        }, 50);
+    }
+
+    handleFindReplaceOptionChange(event) {
+        const option = event.currentTarget.dataset.option;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this.findReplaceState = { ...this.findReplaceState, [option]: value };
+    }
+
+    handleFindReplaceColumnChange(event) {
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        const fieldApis = this.findReplaceState.fieldApis.filter(chosen => chosen !== fieldApi);
+        if (event.target.checked) {
+            fieldApis.push(fieldApi);
+        }
+        this.findReplaceState = { ...this.findReplaceState, fieldApis };
+    }
+
+    handleFindReplaceKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.closeFindReplace();
+        }
+    }
+
+    /**
+     * Stages every valid replacement as one undoable step. The panel stays
+     * open so the next search can start from the result.
+     */
+    handleFindReplaceApply() {
+        const preview = this.findReplacePreview;
+        if (!preview || !preview.changes) return;
+
+        const changes = preview.changes.map(change => createChange(
+            change.rowId,
+            change.fieldApi,
+            change.oldValue,
+            change.newValue
+        ));
+        this.executeCommand(`replace of "${this.findReplaceState.find}"`, changes);
+    }
+
+    handleFindReplaceClose() {
+        this.closeFindReplace();
+    }
+
+    closeFindReplace() {
+        this.findReplaceState = null;
+    }
+
+    // Merge dialog
+    openMergeDialog(report, isBeforeSave) {
+        this.mergeState = { report, resolutions: {}, isBeforeSave };
+    }
+
+    setMergeResolution(cellKey, resolution) {
+        const previous = this.mergeState.resolutions[cellKey] || {};
+        this.mergeState = {
+            ...this.mergeState,
+            resolutions: { ...this.mergeState.resolutions, [cellKey]: { ...previous, ...resolution } }
+        };
+    }
+
+    handleMergeChoice(event) {
+        const { cellKey, choice } = event.currentTarget.dataset;
+        this.setMergeResolution(cellKey, { choice });
+    }
+
+    handleMergeEditInput(event) {
+        this.setMergeResolution(event.target.dataset.cellKey, { choice: EDIT_VALUE, text: event.target.value });
+    }
+
+    // Keep all mine / Take all theirs
+    handleMergeChooseAll(event) {
+        const choice = event.currentTarget.dataset.choice;
+        const resolutions = {};
+        this.mergeState.report.forEach(row => {
+            row.cells.filter(cell => cell.status !== CELL_UNCHANGED).forEach(cell => {
+                resolutions[`${row.rowId}_${cell.fieldApi}`] = { choice };
+            });
+        });
+        this.mergeState = { ...this.mergeState, resolutions };
+    }
+
+    handleMergeCancel() {
+        this.mergeState = null;
+    }
+
+    handleMergeKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.mergeState = null;
+        }
+    }
+
+    handleMergeApply() {
+        const { report, resolutions, isBeforeSave } = this.mergeState;
+
+        // Edited values are typed text, converted like pasted text
+        const choices = {};
+        report.forEach(row => {
+            row.cells.forEach(cell => {
+                const cellKey = `${row.rowId}_${cell.fieldApi}`;
+                const resolution = resolutions[cellKey];
+                if (!resolution) return;
+                if (resolution.choice !== EDIT_VALUE) {
+                    choices[cellKey] = resolution;
+                    return;
+                }
+                const col = this.columnMetadataMap.get(cell.fieldApi);
+                const text = resolution.text !== undefined
+                    ? resolution.text
+                    : formatClipboardValue(cell.localValue, col.dataType);
+                choices[cellKey] = { choice: EDIT_VALUE, value: parseClipboardValue(col, text) };
+            });
+        });
+
+        this.mergeState = null;
+        this.applyMerge(report, choices);
+        if (isBeforeSave) {
+            this.save();
+        }
+    }
+
+    handleCheckConflicts() {
+        this.checkForConflicts();
+    }
+
+    handleSave() {
+        this.save();
+    }
+
+    handleUndo() {
+        this.undo();
+    }
+
+    handleRedo() {
+        this.redo();
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y is accepted as redo too.
+    // Text-entry inputs keep their native undo for uncommitted typing.
+    // Ctrl+D fills down within the selection, only from a grid cell or its
+    // editor so the toolbar inputs keep their own shortcuts.
+    handleTableKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'd' && !event.shiftKey && this.cellRange && this.isGridCellTarget(event.target)) {
+            event.preventDefault();
+            // Typing not yet committed in the current editor is part of the fill source
+            if (event.target.dataset && event.target.dataset.rowId) {
+                this.commitEditor(event.target);
+            }
+            this.fillDown();
+            return;
+        }
+        if (this.isTextEntryTarget(event.target)) return;
+
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    // Event Handlers - Cell range selection
+    handleCellMouseDown(event) {
+        if (event.button !== 0) return;
+
+        const { rowId, fieldApi } = this.parseCellKey(event.currentTarget.dataset.cellKey);
+        if (event.shiftKey && this.cellRange) {
+            // Extend from the anchor without starting a text selection
+            event.preventDefault();
+            this.cellRange = { ...this.cellRange, focusRowId: rowId, focusFieldApi: fieldApi };
+        } else {
+            this.cellRange = {
+                anchorRowId: rowId,
+                anchorFieldApi: fieldApi,
+                focusRowId: rowId,
+                focusFieldApi: fieldApi
+            };
+        }
+        this._isRangeDragging = true;
+    }
+
+    handleCellMouseOver(event) {
+        if (this._isFillDragging) {
+            this.updateFillDrag(event);
+            return;
+        }
+        if (!this._isRangeDragging) return;
+        if (event.buttons !== 1) {
+            this._isRangeDragging = false;
+            return;
+        }
+
+        const { rowId, fieldApi } = this.parseCellKey(event.currentTarget.dataset.cellKey);
+        if (rowId !== this.cellRange.focusRowId || fieldApi !== this.cellRange.focusFieldApi) {
+            this.cellRange = { ...this.cellRange, focusRowId: rowId, focusFieldApi: fieldApi };
+        }
+    }
+
+    handleTableMouseUp() {
+        this._isRangeDragging = false;
+        if (this._resizeState) {
+            this.finishColumnResize();
+        }
+        if (this._isFillDragging) {
+            this.finishFillDrag();
+        }
+    }
+
+    // Event Handlers - Fill
+    handleFillHandleMouseDown(event) {
+        if (event.button !== 0) return;
+
+        const bounds = this.getRangeBounds();
+        if (!bounds) return;
+
+        // Keep the cell's own mousedown from starting a new range
+        event.preventDefault();
+        event.stopPropagation();
+        this._isFillDragging = true;
+        this.fillDragRowIndex = bounds.rowEnd;
     }
 
-    get totalRowCount() {
-        return this.workingData.length;
+    updateFillDrag(event) {
+        if (event.buttons !== 1) {
+            this._isFillDragging = false;
+            this.fillDragRowIndex = null;
+            return;
+        }
+
+        const bounds = this.getRangeBounds();
+        const { rowId } = this.parseCellKey(event.currentTarget.dataset.cellKey);
+        const rowIndex = this.gridRows.findIndex(row => row.Id === rowId);
+        if (!bounds || rowIndex < 0) return;
+
+        // The fill handle extends downward only
+        const targetIndex = Math.max(rowIndex, bounds.rowEnd);
+        if (targetIndex !== this.fillDragRowIndex) {
+            this.fillDragRowIndex = targetIndex;
+        }
     }
 
-    get visibleRowCount() {
-        return this.filteredRows.length;
+    finishFillDrag() {
+        const bounds = this.getRangeBounds();
+        const targetIndex = this.fillDragRowIndex;
+        this._isFillDragging = false;
+        this.fillDragRowIndex = null;
+        if (!bounds || targetIndex === null || targetIndex <= bounds.rowEnd) return;
+
+        const rows = this.gridRows;
+        this.fillColumns(
+            rows.slice(bounds.rowStart, bounds.rowEnd + 1),
+            rows.slice(bounds.rowEnd + 1, targetIndex + 1),
+            this.gridColumns.slice(bounds.colStart, bounds.colEnd + 1)
+        );
     }
 
-    get virtualScrollTopPadding() {
-        if (!this.virtualScrollEnabled) return '0px';
-        return `${this.visibleStartIndex * ROW_HEIGHT}px`;
+    /**
+     * Ctrl+D: copies the top row of the selection into the rows below it.
+     * A one-row selection copies the row above it instead, like Excel.
+     */
+    fillDown() {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return;
+
+        const rows = this.gridRows;
+        const columns = this.gridColumns.slice(bounds.colStart, bounds.colEnd + 1);
+        if (bounds.rowStart === bounds.rowEnd) {
+            if (bounds.rowStart === 0) return;
+            this.fillColumns([rows[bounds.rowStart - 1]], [rows[bounds.rowStart]], columns, false);
+        } else {
+            this.fillColumns(
+                [rows[bounds.rowStart]],
+                rows.slice(bounds.rowStart + 1, bounds.rowEnd + 1),
+                columns,
+                false
+            );
+        }
     }
 
-    get virtualScrollBottomPadding() {
-        if (!this.virtualScrollEnabled) return '0px';
-        const totalRows = this.filteredRows.length;
-        return `${(totalRows - this.visibleEndIndex) * ROW_HEIGHT}px`;
+    /**
+     * Fills target rows column by column from the source rows. Rows come
+     * from gridRows, so hidden, filtered-out and collapsed rows are skipped.
+     * @param {Array} sourceRows - Rows whose values start the fill, top to bottom
+     * @param {Array} targetRows - Rows to write, top to bottom
+     * @param {Array} columns - Columns to fill
+     * @param {boolean} extendRange - Grow the selection over the filled rows
+     */
+    fillColumns(sourceRows, targetRows, columns, extendRange = true) {
+        if (sourceRows.length === 0 || targetRows.length === 0 || columns.length === 0) return;
+
+        const changes = [];
+        columns.filter(col => !col.isFormula).forEach(col => {
+            const sourceValues = sourceRows.map(row => this._workingDataMap.get(row.Id)[col.field_api]);
+            const fillValues = buildFillValues(sourceValues, targetRows.length, col);
+
+            targetRows.forEach((row, index) => {
+                const workingRow = this._workingDataMap.get(row.Id);
+                const newValue = convertInputValue(col, fillValues[index]);
+                if (!workingRow || valuesEqual(workingRow[col.field_api], newValue)) return;
+
+                changes.push(createChange(row.Id, col.field_api, workingRow[col.field_api], newValue));
+            });
+        });
+
+        if (extendRange) {
+            this.cellRange = {
+                anchorRowId: sourceRows[0].Id,
+                anchorFieldApi: columns[0].field_api,
+                focusRowId: targetRows[targetRows.length - 1].Id,
+                focusFieldApi: columns[columns.length - 1].field_api
+            };
+        }
+
+        this.executeCommand(`fill of ${changes.length} cell${changes.length !== 1 ? 's' : ''}`, changes);
     }
 
-    // Format display values based on data type
-    formatDisplayValue(value, dataType) {
-        if (value === null || value === undefined) return '';
+    handleCellFocusIn(event) {
+        const cellKey = event.currentTarget.dataset.cellKey;
 
-        switch (dataType) {
-            case 'boolean':
-                return value ? '✓' : '✗';
-            case 'number':
-                return typeof value === 'number' ? value.toLocaleString() : value;
-            case 'date':
-                if (!value) return '';
-                const date = new Date(value);
-                return date.toLocaleDateString();
-            default:
-                return String(value);
+        // Keyboard focus outside the current range starts a new single-cell range
+        const { rowId, fieldApi } = this.parseCellKey(cellKey);
+        if (!this.activeCell || this.activeCell.rowId !== rowId || this.activeCell.fieldApi !== fieldApi) {
+            this.activeCell = { rowId, fieldApi };
+        }
+        if (!this.isCellInRange(rowId, fieldApi)) {
+            this.cellRange = {
+                anchorRowId: rowId,
+                anchorFieldApi: fieldApi,
+                focusRowId: rowId,
+                focusFieldApi: fieldApi
+            };
         }
     }
 
-    // Virtual scroll handler
-    handleTableScroll(event) {
-        if (!this.virtualScrollEnabled) return;
+    isCellInRange(rowId, fieldApi) {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return false;
 
-        const container = event.target;
-        const scrollTop = container.scrollTop;
-        const containerHeight = container.clientHeight;
+        const rowIndex = this.gridRows.findIndex(row => row.Id === rowId);
+        const colIndex = this.gridColumns.findIndex(col => col.field_api === fieldApi);
+        return rowIndex >= bounds.rowStart && rowIndex <= bounds.rowEnd &&
+            colIndex >= bounds.colStart && colIndex <= bounds.colEnd;
+    }
+
+    // Event Handlers - Clipboard
+    handleCopy(event) {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return;
 
-        const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - VIRTUAL_SCROLL_BUFFER);
-        const visibleCount = Math.ceil(containerHeight / ROW_HEIGHT);
-        const endIndex = Math.min(
-            this.filteredRows.length,
-            startIndex + visibleCount + (VIRTUAL_SCROLL_BUFFER * 2)
+        // A single cell being edited keeps the native copy of its input text
+        if (bounds.isSingleCell && this.isTextEntryTarget(event.target)) return;
+
+        const rows = this.gridRows.slice(bounds.rowStart, bounds.rowEnd + 1);
+        const columns = this.gridColumns.slice(bounds.colStart, bounds.colEnd + 1);
+        const matrix = rows.map(row =>
+            columns.map(col => formatClipboardValue(row[col.field_api], col.dataType))
         );
 
-        if (startIndex !== this.visibleStartIndex || endIndex !== this.visibleEndIndex) {
-            this.visibleStartIndex = startIndex;
-            this.visibleEndIndex = endIndex;
-        }
+        event.clipboardData.setData('text/plain', toTsv(matrix));
+        event.preventDefault();
     }
 
-    // Event Handlers - Controls
-    handleToggleInlineEdit() {
-        this.isInlineEditMode = !this.isInlineEditMode;
+    handlePaste(event) {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return;
 
-        // Cancel any active header edit when toggling inline edit
-        if (this.activeHeaderEditColumn) {
-            this.cancelHeaderEdit();
+        const matrix = parseTsv(event.clipboardData.getData('text/plain'));
+        if (matrix.length === 0) return;
+
+        // A single value pasted into the input being edited keeps the native paste
+        const isBlock = matrix.length > 1 || matrix[0].length > 1;
+        if (!isBlock && bounds.isSingleCell && this.isTextEntryTarget(event.target)) return;
+
+        event.preventDefault();
+        this.pasteMatrix(matrix, bounds);
+    }
+
+    /**
+     * Pastes a block of text starting at the top-left cell of the range.
+     * A single value pasted over a multi-cell range fills the whole range.
+     * Rows come from gridRows, so hidden, filtered-out and collapsed rows are skipped.
+     */
+    pasteMatrix(matrix, bounds) {
+        const fillRange = matrix.length === 1 && matrix[0].length === 1 && !bounds.isSingleCell;
+        const rowCount = fillRange ? bounds.rowEnd - bounds.rowStart + 1 : matrix.length;
+        const colCount = fillRange
+            ? bounds.colEnd - bounds.colStart + 1
+            : Math.max(...matrix.map(line => line.length));
+
+        const targetRows = this.gridRows.slice(bounds.rowStart, bounds.rowStart + rowCount);
+        const targetColumns = this.gridColumns.slice(bounds.colStart, bounds.colStart + colCount);
+
+        const changes = [];
+        targetRows.forEach((row, rowIndex) => {
+            const line = fillRange ? matrix[0] : matrix[rowIndex];
+            targetColumns.forEach((col, colIndex) => {
+                const text = fillRange ? line[0] : line[colIndex];
+                if (text === undefined || col.isFormula) return;
+
+                const workingRow = this._workingDataMap.get(row.Id);
+                const newValue = this.resolvePastedReference(col, parseClipboardValue(col, text));
+                if (!workingRow || workingRow[col.field_api] === newValue) return;
+
+                changes.push(createChange(
+                    row.Id,
+                    col.field_api,
+                    workingRow[col.field_api],
+                    newValue
+                ));
+            });
+        });
+
+        if (targetRows.length > 0 && targetColumns.length > 0) {
+            this.cellRange = {
+                anchorRowId: targetRows[0].Id,
+                anchorFieldApi: targetColumns[0].field_api,
+                focusRowId: targetRows[targetRows.length - 1].Id,
+                focusFieldApi: targetColumns[targetColumns.length - 1].field_api
+            };
         }
+
+        if (changes.length === 0) return;
+
+        this.executeCommand(`paste into ${changes.length} cell${changes.length !== 1 ? 's' : ''}`, changes);
+        this.fireDataPastedEvent(changes);
+    }
+
+    parseCellKey(cellKey) {
+        const separatorIndex = cellKey.indexOf('_');
+        return {
+            rowId: cellKey.substring(0, separatorIndex),
+            fieldApi: cellKey.substring(separatorIndex + 1)
+        };
+    }
+
+    /**
+     * Pasted lookup values may be names rather than Ids; a name matches
+     * when exactly one record already shown in the table has it
+     */
+    resolvePastedReference(col, value) {
+        if (col.dataType !== 'reference' || !value || RECORD_ID_PATTERN.test(value)) return value;
+
+        const lower = String(value).toLowerCase();
+        const matches = [];
+        this._referenceLabels.forEach((name, recordId) => {
+            if (String(name).toLowerCase() === lower) {
+                matches.push(recordId);
+            }
+        });
+        return matches.length === 1 ? matches[0] : value;
+    }
+
+    isGridCellTarget(target) {
+        return Boolean(target && target.closest && target.closest('td[data-cell-key]'));
+    }
+
+    isTextEntryTarget(target) {
+        if (!target) return false;
+        if (target.tagName === 'TEXTAREA') return true;
+        if (target.tagName !== 'INPUT') return false;
+        return ['text', 'number', 'date', 'datetime-local', 'email', 'tel', 'url', 'search'].includes(target.type);
+    }
+
+    /**
+     * Editors where Enter and the arrow keys have a native meaning
+     * (new line, moving between options)
+     */
+    isMultiLineEditor(target) {
+        return Boolean(target) && (target.tagName === 'TEXTAREA' || (target.tagName === 'SELECT' && target.multiple));
+    }
+
+    getSelectedOptionValues(select) {
+        return Array.from(select.selectedOptions).map(option => option.value);
     }
 
     handleHideSelected() {
@@ -449,6 +3031,7 @@ export default class CrowlTable extends LightningElement {
         this.hiddenRowCount = this.hiddenRowIds.size;
         this.selectedRowIds.clear();
         this.selectedRowIds = new Set(this.selectedRowIds);
+        this.visibleRowIds = new Set(this.visibleRowIds);
     }
 
     handleHideUnselected() {
@@ -475,6 +3058,7 @@ export default class CrowlTable extends LightningElement {
         this.hiddenRowCount = this.hiddenRowIds.size;
         this.selectedRowIds.clear();
         this.selectedRowIds = new Set(this.selectedRowIds);
+        this.visibleRowIds = new Set(this.visibleRowIds);
     }
 
     handleUnhideAll() {
@@ -510,10 +3094,7 @@ export default class CrowlTable extends LightningElement {
         this._searchDebounceTimer = setTimeout(() => {
             this.searchTerm = value;
             // Reset virtual scroll position when searching
-            if (this.virtualScrollEnabled) {
-                this.visibleStartIndex = 0;
-                this.visibleEndIndex = Math.min(50 + VIRTUAL_SCROLL_BUFFER, this.filteredRows.length);
-            }
+            this.resetVirtualScrollWindow();
         }, SEARCH_DEBOUNCE_MS);
     }
 
@@ -524,10 +3105,162 @@ export default class CrowlTable extends LightningElement {
             searchInput.value = '';
         }
         // Reset virtual scroll position
-        if (this.virtualScrollEnabled) {
-            this.visibleStartIndex = 0;
-            this.visibleEndIndex = Math.min(50 + VIRTUAL_SCROLL_BUFFER, this.filteredRows.length);
+        this.resetVirtualScrollWindow();
+    }
+
+    // Scrolls back to the first row after the rows change (search, filters)
+    resetVirtualScrollWindow() {
+        const container = this.template.querySelector('.table-container');
+        if (container) {
+            container.scrollTop = 0;
+        }
+        this.syncVirtualWindow();
+    }
+
+    // Event Handlers - Grouping
+    handleGroupByChange(event) {
+        this.groupByField = event.target.value || null;
+        this.collapsedGroupKeys = new Set();
+        this.resetVirtualScrollWindow();
+    }
+
+    handleGroupToggle(event) {
+        const groupKey = event.currentTarget.dataset.groupKey;
+        const collapsed = new Set(this.collapsedGroupKeys);
+        if (collapsed.has(groupKey)) {
+            collapsed.delete(groupKey);
+        } else {
+            collapsed.add(groupKey);
+        }
+        this.collapsedGroupKeys = collapsed;
+        this.syncVirtualWindow();
+    }
+
+    // Selects every row of the group, including rows of a collapsed group
+    handleGroupSelect(event) {
+        const groupKey = event.currentTarget.dataset.groupKey;
+        const isChecked = event.target.checked;
+        const groupColumn = this.columnMetadataMap.get(this.groupByField);
+        const group = groupRows(this.filteredRows, groupColumn, []).find(candidate => candidate.key === groupKey);
+        if (!group) return;
+
+        group.rows.forEach(row => {
+            if (isChecked) {
+                this.selectedRowIds.add(row.Id);
+            } else {
+                this.selectedRowIds.delete(row.Id);
+            }
+        });
+
+        this.selectedRowIds = new Set(this.selectedRowIds);
+        this.fireRowsSelectedEvent();
+    }
+
+    // Event Handlers - Column Filters
+    handleFilterButtonClick(event) {
+        // Keep the header from treating this as a sort click
+        event.stopPropagation();
+
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        if (this.activeFilterColumn === fieldApi) {
+            this.closeFilterMenu();
+            return;
+        }
+
+        const col = this.columnMetadataMap.get(fieldApi);
+        const existing = this.columnFilters[fieldApi];
+        this.activeFilterColumn = fieldApi;
+        this.filterDraft = existing
+            ? JSON.parse(JSON.stringify(existing))
+            : createEmptyFilter(col);
+    }
+
+    stopHeaderEvent(event) {
+        event.stopPropagation();
+    }
+
+    handleFilterMenuKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.closeFilterMenu();
+        } else if (event.key === 'Enter' && event.target.tagName === 'INPUT' && event.target.type !== 'checkbox') {
+            event.preventDefault();
+            this.applyFilterDraft();
+        }
+    }
+
+    handleFilterDraftInput(event) {
+        const prop = event.currentTarget.dataset.filterProp;
+        this.filterDraft = { ...this.filterDraft, [prop]: event.target.value };
+    }
+
+    handleFilterBooleanChange(event) {
+        const value = event.target.value;
+        this.filterDraft = { value: value === '' ? null : value === 'true' };
+    }
+
+    handleFilterPicklistToggle(event) {
+        const optionValue = event.currentTarget.dataset.value;
+        const values = new Set(this.filterDraft.values);
+        if (event.target.checked) {
+            values.add(optionValue);
+        } else {
+            values.delete(optionValue);
         }
+        this.filterDraft = { values: Array.from(values) };
+    }
+
+    handleFilterApply() {
+        this.applyFilterDraft();
+    }
+
+    handleFilterClear() {
+        this.removeColumnFilter(this.activeFilterColumn);
+        this.closeFilterMenu();
+    }
+
+    handleFilterCancel() {
+        this.closeFilterMenu();
+    }
+
+    handleRemoveFilterPill(event) {
+        this.removeColumnFilter(event.currentTarget.dataset.fieldApi);
+    }
+
+    handleClearAllFilters() {
+        this.columnFilters = {};
+        this.closeFilterMenu();
+        this.resetVirtualScrollWindow();
+    }
+
+    applyFilterDraft() {
+        const fieldApi = this.activeFilterColumn;
+        const normalized = normalizeFilter(this.columnMetadataMap.get(fieldApi), this.filterDraft);
+
+        const nextFilters = { ...this.columnFilters };
+        if (normalized) {
+            nextFilters[fieldApi] = normalized;
+        } else {
+            delete nextFilters[fieldApi];
+        }
+
+        this.columnFilters = nextFilters;
+        this.closeFilterMenu();
+        this.resetVirtualScrollWindow();
+    }
+
+    removeColumnFilter(fieldApi) {
+        if (!fieldApi || !this.columnFilters[fieldApi]) return;
+
+        const nextFilters = { ...this.columnFilters };
+        delete nextFilters[fieldApi];
+        this.columnFilters = nextFilters;
+        this.resetVirtualScrollWindow();
+    }
+
+    closeFilterMenu() {
+        this.activeFilterColumn = null;
+        this.filterDraft = null;
     }
 
     // Event Handlers - Row Selection
@@ -559,14 +3292,288 @@ export default class CrowlTable extends LightningElement {
         this.fireRowsSelectedEvent();
     }
 
+    // Event Handlers - Sorting
+    handleHeaderClick(event) {
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        if (this.activeHeaderEditColumn === fieldApi || this._suppressHeaderClick) return;
+
+        const additive = event.shiftKey;
+        if (this._sortClickTimer) {
+            clearTimeout(this._sortClickTimer);
+        }
+        this._sortClickTimer = setTimeout(() => {
+            this._sortClickTimer = null;
+            this.toggleSort(fieldApi, additive);
+        }, SORT_CLICK_DELAY_MS);
+    }
+
+    handleHeaderSortKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.toggleSort(event.currentTarget.dataset.fieldApi, event.shiftKey);
+        }
+    }
+
+    toggleSort(fieldApi, additive) {
+        this.sortKeys = cycleSortKeys(this.sortKeys, fieldApi, additive);
+    }
+
+    // Event Handlers - Saved Views
+    handleViewChange(event) {
+        const view = this.savedViews.find(candidate => candidate.name === event.target.value);
+        if (view) {
+            this.applyView(view);
+        } else {
+            // Keeps the current state, detached from any saved view
+            this.activeViewName = null;
+        }
+    }
+
+    handleSaveView() {
+        if (!this.activeViewName) return;
+        this.storeViews(upsertView(this.savedViews, this.activeViewName, this.captureViewState()));
+    }
+
+    handleSaveViewAs() {
+        this.viewNameDraft = this.activeViewName || '';
+
+        // Focus the name input after render
+        setTimeout(() => {
+            const input = this.template.querySelector('[data-id="view-name-input"]');
+            if (input) {
+                input.focus();
+            }
+        }, 50);
+    }
+
+    handleViewNameInput(event) {
+        this.viewNameDraft = event.target.value;
+    }
+
+    handleViewNameKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.handleViewNameConfirm();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.handleViewNameCancel();
+        }
+    }
+
+    async handleViewNameConfirm() {
+        if (this.viewNameConfirmDisabled) return;
+
+        const name = this.viewNameDraft.trim();
+        const isSaved = await this.storeViews(upsertView(this.savedViews, name, this.captureViewState()));
+        if (isSaved) {
+            this.activeViewName = name;
+            this.viewNameDraft = null;
+        }
+    }
+
+    handleViewNameCancel() {
+        this.viewNameDraft = null;
+    }
+
+    async handleDeleteView() {
+        if (!this.activeViewName) return;
+
+        const isSaved = await this.storeViews(removeView(this.savedViews, this.activeViewName));
+        if (isSaved) {
+            this.activeViewName = null;
+        }
+    }
+
+    // Event Handlers - Column Layout
+    handleToggleColumnChooser() {
+        this.isColumnChooserOpen = !this.isColumnChooserOpen;
+    }
+
+    handleColumnChooserKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.isColumnChooserOpen = false;
+        }
+    }
+
+    handleColumnChooserClose() {
+        this.isColumnChooserOpen = false;
+    }
+
+    handleColumnVisibilityChange(event) {
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        const hidden = this.columnLayout.hidden.filter(candidate => candidate !== fieldApi);
+        if (!event.target.checked) {
+            hidden.push(fieldApi);
+            if (this.activeFilterColumn === fieldApi) {
+                this.closeFilterMenu();
+            }
+            if (this.activeHeaderEditColumn === fieldApi) {
+                this.handleHeaderEditCancel();
+            }
+        }
+        this.updateColumnLayout({ hidden });
+    }
+
+    handleColumnMove(event) {
+        const { fieldApi, direction } = event.currentTarget.dataset;
+        const order = this.columnLayout.order;
+        const index = order.indexOf(fieldApi);
+        const target = order[direction === 'up' ? index - 1 : index + 1];
+        if (target) {
+            this.updateColumnLayout({ order: moveColumn(order, fieldApi, target, direction !== 'up') });
+        }
+    }
+
+    handleFrozenCountChange(event) {
+        this.updateColumnLayout({ frozenCount: Number(event.target.value) });
+    }
+
+    handleResetColumnLayout() {
+        this.columnLayout = normalizeColumnLayout(null, this.columns);
+        this.fireColumnLayoutChangeEvent();
+    }
+
+    handleColumnDragStart(event) {
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        this._draggedColumn = fieldApi;
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        event.dataTransfer.setData('text/plain', fieldApi);
+    }
+
+    handleColumnDragOver(event) {
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        if (!this._draggedColumn) return;
+        if (this._draggedColumn === fieldApi) {
+            this.columnDropTarget = null;
+            return;
+        }
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        const rect = event.currentTarget.getBoundingClientRect();
+        const placeAfter = event.clientX > rect.left + rect.width / 2;
+        const target = this.columnDropTarget;
+        if (!target || target.fieldApi !== fieldApi || target.placeAfter !== placeAfter) {
+            this.columnDropTarget = { fieldApi, placeAfter };
+        }
+    }
+
+    handleColumnDrop(event) {
+        const target = this.columnDropTarget;
+        if (!this._draggedColumn || !target) return;
+
+        event.preventDefault();
+        this.updateColumnLayout({
+            order: moveColumn(this.columnLayout.order, this._draggedColumn, target.fieldApi, target.placeAfter)
+        });
+        this.handleColumnDragEnd();
+    }
+
+    handleColumnDragEnd() {
+        this._draggedColumn = null;
+        this.columnDropTarget = null;
+    }
+
+    handleColumnResizeStart(event) {
+        if (event.button !== 0) return;
+        // Keeps the header from starting a text selection or a column drag
+        event.preventDefault();
+        event.stopPropagation();
+
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        this._resizeState = {
+            fieldApi,
+            startX: event.clientX,
+            startWidth: this.getColumnWidth(fieldApi),
+            isChanged: false
+        };
+        this._suppressHeaderClick = true;
+    }
+
+    handleColumnResizeMove(event) {
+        const state = this._resizeState;
+        if (!state) return;
+
+        const width = Math.max(MIN_COLUMN_WIDTH, Math.round(state.startWidth + event.clientX - state.startX));
+        if (width !== this.columnLayout.widths[state.fieldApi]) {
+            this.columnLayout = {
+                ...this.columnLayout,
+                widths: { ...this.columnLayout.widths, [state.fieldApi]: width }
+            };
+            state.isChanged = true;
+        }
+    }
+
+    finishColumnResize() {
+        const { isChanged } = this._resizeState;
+        this._resizeState = null;
+        if (isChanged) {
+            this.fireColumnLayoutChangeEvent();
+        }
+        // The click that ends the drag lands on the header after this mouseup
+        setTimeout(() => {
+            this._suppressHeaderClick = false;
+        }, 0);
+    }
+
+    handleColumnResizeKeydown(event) {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const fieldApi = event.currentTarget.dataset.fieldApi;
+        const step = event.key === 'ArrowRight' ? COLUMN_RESIZE_STEP : -COLUMN_RESIZE_STEP;
+        this.updateColumnLayout({
+            widths: { ...this.columnLayout.widths, [fieldApi]: this.getColumnWidth(fieldApi) + step }
+        });
+    }
+
+    // Double-clicking the edge goes back to fitting the content
+    handleColumnResizeReset(event) {
+        event.stopPropagation();
+        const widths = { ...this.columnLayout.widths };
+        delete widths[event.currentTarget.dataset.fieldApi];
+        this.updateColumnLayout({ widths });
+    }
+
+    /**
+     * Set width of a column, or the rendered width when it sizes to its content
+     */
+    getColumnWidth(fieldApi) {
+        if (this.columnLayout.widths[fieldApi]) {
+            return this.columnLayout.widths[fieldApi];
+        }
+        const header = this.template.querySelector(`th[data-field-api="${fieldApi}"]`);
+        return header ? header.offsetWidth : DEFAULT_COLUMN_WIDTH;
+    }
+
+    updateColumnLayout(changes) {
+        this.columnLayout = normalizeColumnLayout({ ...this.columnLayout, ...changes }, this.columns);
+        this.fireColumnLayoutChangeEvent();
+    }
+
     // Event Handlers - Header Edit
     handleHeaderDoubleClick(event) {
         const fieldApi = event.currentTarget.dataset.fieldApi;
-        this.activeHeaderEditColumn = fieldApi;
 
+        // A double-click edits the column instead of sorting it
+        if (this._sortClickTimer) {
+            clearTimeout(this._sortClickTimer);
+            this._sortClickTimer = null;
+        }
+
+        // Computed columns are read-only
         const col = this.columnMetadataMap.get(fieldApi);
+        if (col.isFormula) return;
+        this.activeHeaderEditColumn = fieldApi;
+
         if (col.dataType === 'boolean') {
             this.headerEditValue = false;
+        } else if (col.dataType === 'multipicklist') {
+            this.headerEditValue = [];
         } else {
             this.headerEditValue = '';
         }
@@ -586,6 +3593,8 @@ export default class CrowlTable extends LightningElement {
 
         if (col.dataType === 'boolean') {
             this.headerEditValue = event.target.checked;
+        } else if (col.dataType === 'multipicklist') {
+            this.headerEditValue = this.getSelectedOptionValues(event.target);
         } else {
             this.headerEditValue = event.target.value;
         }
@@ -597,7 +3606,10 @@ export default class CrowlTable extends LightningElement {
     }
 
     handleHeaderEditKeydown(event) {
-        if (event.key === 'Enter') {
+        // In a textarea, plain Enter adds a line; Ctrl/Cmd+Enter applies
+        const isApplyKey = event.key === 'Enter' &&
+            (!this.isMultiLineEditor(event.target) || event.ctrlKey || event.metaKey);
+        if (isApplyKey) {
             event.preventDefault();
             this.applyHeaderEdit(this.activeHeaderEditColumn);
         } else if (event.key === 'Escape') {
@@ -613,51 +3625,38 @@ export default class CrowlTable extends LightningElement {
         }
 
         const col = this.columnMetadataMap.get(fieldApi);
-        let valueToApply = this.headerEditValue;
-
-        // Type conversion
-        if (col.dataType === 'number') {
-            valueToApply = parseFloat(valueToApply) || 0;
-        }
-
-        // Determine which rows to update (use filteredRows to respect scoping)
-        const currentVisibleRows = this.filteredRows;
-        let rowsToUpdate;
 
-        if (this.selectedRowIds.size > 0) {
-            // Only update selected rows that are visible
-            rowsToUpdate = currentVisibleRows.filter(row => this.selectedRowIds.has(row.Id));
-        } else {
-            // Update all visible rows
-            rowsToUpdate = currentVisibleRows;
-        }
+        // Type conversion (invalid input is kept so validation can flag it)
+        const valueToApply = convertInputValue(col, this.headerEditValue);
 
-        // Batch update for performance
-        const updatedIds = [];
-        rowsToUpdate.forEach(row => {
+        // Record every row as one undoable step
+        const changes = [];
+        this.getBulkEditRows().forEach(row => {
             const workingRow = this._workingDataMap.get(row.Id);
             if (workingRow) {
-                const oldValue = workingRow[fieldApi];
-                workingRow[fieldApi] = valueToApply;
-
-                // Mark as edited
-                this.editedCells.set(`${row.Id}_${fieldApi}`, true);
-                updatedIds.push({ rowId: row.Id, oldValue, newValue: valueToApply });
+                changes.push(createChange(
+                    row.Id,
+                    fieldApi,
+                    workingRow[fieldApi],
+                    valueToApply
+                ));
             }
         });
 
-        // Trigger reactivity
-        this.workingData = [...this.workingData];
-        this.editedCells = new Map(this.editedCells);
-
-        // Fire batch data changed event
-        updatedIds.forEach(({ rowId, oldValue, newValue }) => {
-            this.fireDataChangedEvent(rowId, fieldApi, oldValue, newValue);
-        });
-
+        this.executeCommand(`bulk edit of ${col.label}`, changes);
         this.cancelHeaderEdit();
     }
 
+    /**
+     * Rows a bulk edit applies to: the selected rows that pass hiding,
+     * search and filters, or all of those rows when none is selected
+     */
+    getBulkEditRows() {
+        const rows = this.filteredRows;
+        if (this.selectedRowIds.size === 0) return rows;
+        return rows.filter(row => this.selectedRowIds.has(row.Id));
+    }
+
     cancelHeaderEdit() {
         this.activeHeaderEditColumn = null;
         this.headerEditValue = null;
@@ -667,94 +3666,751 @@ export default class CrowlTable extends LightningElement {
         this.cancelHeaderEdit();
     }
 
+    // Event Handlers - Lookup (typeahead) editor
+    handleLookupInput(event) {
+        this.updateLookupTerm(event.currentTarget.dataset, event.target.value);
+    }
+
+    updateLookupTerm({ lookupTarget, fieldApi, rowId }, term) {
+        const isSearchable = term.trim().length >= LOOKUP_MIN_SEARCH_LENGTH;
+
+        this.lookupState = {
+            target: lookupTarget,
+            fieldApi,
+            rowId: rowId || null,
+            term,
+            results: [],
+            activeIndex: -1,
+            isSearching: isSearchable,
+            errorMessage: null
+        };
+
+        if (this._lookupDebounceTimer) {
+            clearTimeout(this._lookupDebounceTimer);
+        }
+        if (!isSearchable) {
+            this._lookupRequestId++;
+            return;
+        }
+        this._lookupDebounceTimer = setTimeout(() => {
+            this.runLookupSearch();
+        }, LOOKUP_SEARCH_DEBOUNCE_MS);
+    }
+
+    async runLookupSearch() {
+        const state = this.lookupState;
+        if (!state) return;
+
+        const col = this.columnMetadataMap.get(state.fieldApi);
+        const requestId = ++this._lookupRequestId;
+        let results = [];
+        let errorMessage = null;
+        try {
+            results = await this.callSearchLookupRecords(col.referenceTo, state.term.trim());
+        } catch (e) {
+            errorMessage = e.body ? e.body.message : e.message;
+        }
+
+        // A newer search or a closed editor makes this response stale
+        if (requestId !== this._lookupRequestId || !this.lookupState || this.lookupState.target !== state.target) {
+            return;
+        }
+        this.lookupState = {
+            ...this.lookupState,
+            results: results || [],
+            activeIndex: results && results.length > 0 ? 0 : -1,
+            isSearching: false,
+            errorMessage
+        };
+    }
+
+    callSearchLookupRecords(objectApiName, searchTerm) {
+        return this.useApex
+            ? searchLookupRecords({ objectApiName, searchTerm, limitSize: LOOKUP_RESULT_LIMIT })
+            : mockSearchLookupRecords(objectApiName, searchTerm, LOOKUP_RESULT_LIMIT);
+    }
+
+    handleLookupKeydown(event) {
+        const state = this.lookupState;
+        const isOpen = state !== null && state.target === event.currentTarget.dataset.lookupTarget;
+
+        if (isOpen && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+            event.preventDefault();
+            const count = state.results.length;
+            if (count === 0) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.lookupState = { ...state, activeIndex: (state.activeIndex + step + count) % count };
+            return;
+        }
+        if (isOpen && event.key === 'Enter') {
+            event.preventDefault();
+            const result = state.results[state.activeIndex];
+            if (result) {
+                this.commitLookupSelection(result);
+            }
+            return;
+        }
+        if (isOpen && event.key === 'Escape') {
+            // Close the list only; a second Escape cancels the header edit
+            event.preventDefault();
+            event.stopPropagation();
+            this.closeLookup();
+            return;
+        }
+
+        // Cell keys bubble to the grid handler on the cell
+        if (!event.currentTarget.dataset.rowId) {
+            this.handleHeaderEditKeydown(event);
+        }
+    }
+
+    // Keeps focus in the input so blur doesn't close the list before the click lands
+    handleLookupOptionMouseDown(event) {
+        event.preventDefault();
+    }
+
+    handleLookupOptionClick(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        const result = this.lookupState ? this.lookupState.results.find(item => item.id === recordId) : null;
+        if (result) {
+            this.commitLookupSelection(result);
+        }
+    }
+
+    handleLookupBlur() {
+        // Typed text that was never matched to a record is discarded
+        this.closeLookup();
+    }
+
+    handleLookupClear(event) {
+        const { lookupTarget, fieldApi, rowId } = event.currentTarget.dataset;
+        this.closeLookup();
+
+        if (lookupTarget.startsWith(HEADER_LOOKUP_PREFIX)) {
+            this.headerEditValue = '';
+            return;
+        }
+        const row = this._workingDataMap.get(rowId);
+        const col = this.columnMetadataMap.get(fieldApi);
+        if (row && row[fieldApi]) {
+            this.executeCommand(`clear of ${col.label}`, [createChange(rowId, fieldApi, row[fieldApi], null)]);
+        }
+    }
+
+    commitLookupSelection(result) {
+        const { target, fieldApi, rowId } = this.lookupState;
+        this._referenceLabels.set(result.id, result.name);
+        this.closeLookup();
+
+        if (target.startsWith(HEADER_LOOKUP_PREFIX)) {
+            this.headerEditValue = result.id;
+            return;
+        }
+        const row = this._workingDataMap.get(rowId);
+        const col = this.columnMetadataMap.get(fieldApi);
+        if (row && row[fieldApi] !== result.id) {
+            this.executeCommand(`edit of ${col.label}`, [createChange(rowId, fieldApi, row[fieldApi], result.id)]);
+        }
+    }
+
+    closeLookup() {
+        if (this._lookupDebounceTimer) {
+            clearTimeout(this._lookupDebounceTimer);
+            this._lookupDebounceTimer = null;
+        }
+        this._lookupRequestId++;
+        this.lookupState = null;
+    }
+
     // Event Handlers - Cell Edit
     handleCellChange(event) {
-        const rowId = event.currentTarget.dataset.rowId;
-        const fieldApi = event.currentTarget.dataset.fieldApi;
+        this.commitCellInput(event.currentTarget);
+    }
+
+    commitCellInput(input) {
+        const rowId = input.dataset.rowId;
+        const fieldApi = input.dataset.fieldApi;
         const col = this.columnMetadataMap.get(fieldApi);
 
         let newValue;
         if (col.dataType === 'boolean') {
-            newValue = event.target.checked;
+            newValue = input.checked;
+        } else if (col.dataType === 'multipicklist') {
+            newValue = convertInputValue(col, this.getSelectedOptionValues(input));
         } else {
-            newValue = event.target.value;
-
-            // Type conversion
-            if (col.dataType === 'number') {
-                newValue = parseFloat(newValue) || 0;
-            }
+            // Type conversion (invalid input is kept so validation can flag it)
+            newValue = convertInputValue(col, input.value);
         }
 
         // Update working data using map for O(1) lookup
         const row = this._workingDataMap.get(rowId);
-        if (row) {
-            const oldValue = row[fieldApi];
-            row[fieldApi] = newValue;
+        if (row && !valuesEqual(row[fieldApi], newValue)) {
+            const change = createChange(rowId, fieldApi, row[fieldApi], newValue);
+            this.executeCommand(`edit of ${col.label}`, [change]);
+        }
+    }
+
+    // Command execution - every edit goes through here so it can be undone
+    executeCommand(label, changes) {
+        if (changes.length === 0) return;
+
+        this.applyChangeSet(changes, false);
+        this._history.push({ label, changes });
+        this.refreshHistoryState();
+    }
+
+    /**
+     * Applies (or reverts) a set of cell changes to workingData, keeping
+     * editedCells and the datachanged events consistent with the new state.
+     */
+    applyChangeSet(changes, isRevert) {
+        const ordered = isRevert ? [...changes].reverse() : changes;
+        const applied = [];
+
+        ordered.forEach(change => {
+            const row = this._workingDataMap.get(change.rowId);
+            if (!row) return;
+
+            const cellKey = `${change.rowId}_${change.fieldApi}`;
+            const fromValue = row[change.fieldApi];
+            const toValue = isRevert ? change.oldValue : change.newValue;
+            row[change.fieldApi] = toValue;
+
+            // Edited status is relative to the original value, not to history
+            const originalRow = this._originalDataMap.get(change.rowId);
+            if (originalRow && valuesEqual(toValue, originalRow[change.fieldApi])) {
+                this.editedCells.delete(cellKey);
+            } else {
+                this.editedCells.set(cellKey, true);
+            }
+            this.refreshCellError(row, change.fieldApi);
+            applied.push({ rowId: change.rowId, fieldApi: change.fieldApi, fromValue, toValue });
+        });
+
+        // Formula columns follow the values they are computed from
+        const changedRowIds = new Set(applied.map(change => change.rowId));
+        if (this._formulas.length > 0) {
+            changedRowIds.forEach(rowId => {
+                this.computeFormulas(this._workingDataMap.get(rowId));
+            });
+        }
+        // Only the changed rows rebuild their cell view models
+        changedRowIds.forEach(rowId => this._baseCellCache.delete(rowId));
+
+        // Trigger reactivity
+        this.workingData = [...this.workingData];
+        this.editedCells = new Map(this.editedCells);
+        this.cellErrors = new Map(this.cellErrors);
+
+        applied.forEach(({ rowId, fieldApi, fromValue, toValue }) => {
+            this.fireDataChangedEvent(rowId, fieldApi, fromValue, toValue);
+        });
+    }
+
+    // Save pipeline
+    callSaveRows(rowsJson) {
+        return this.useApex ? saveRows({ rowsJson }) : mockSaveRows(rowsJson);
+    }
+
+    callGetCurrentRows(recordIds, fieldApiNames) {
+        return this.useApex
+            ? getCurrentRows({ recordIds, fieldApiNames })
+            : mockGetCurrentRows(recordIds, fieldApiNames);
+    }
+
+    getEditedRowIds() {
+        const rowIds = new Set();
+        this.editedCells.forEach((value, key) => rowIds.add(this.parseCellKey(key).rowId));
+        return Array.from(rowIds);
+    }
+
+    /**
+     * Compares the given rows with their current server copies
+     * @returns {Promise<Array>} - Report from detectConflicts
+     */
+    async fetchConflictReport(rowIds) {
+        if (rowIds.length === 0) return [];
+
+        const columns = this.columns.filter(col => !col.isFormula);
+        const response = await this.callGetCurrentRows(rowIds, columns.map(col => col.field_api));
+        return detectConflicts(rowIds, this._originalDataMap, this._workingDataMap, JSON.parse(response), columns);
+    }
+
+    /**
+     * Makes the server copies of the reported rows their new baseline and
+     * writes the chosen values to the grid as one undoable step
+     * @param {Array} report - From detectConflicts
+     * @param {Object} resolutions - 'rowId_fieldApi' => { choice, value }; see buildMerge
+     */
+    applyMerge(report, resolutions) {
+        const { baselines, changes } = buildMerge(report, resolutions);
+        if (baselines.size === 0) return;
+
+        this.originalData = this.originalData.map(row => {
+            const baseline = baselines.get(row.Id);
+            if (!baseline) return row;
+            const rebased = { ...row, ...baseline };
+            this.computeFormulas(rebased);
+            return rebased;
+        });
+        this.buildOriginalDataMap();
+        // Saved rows become the baseline as they are in the grid, so they carry the stamps too
+        baselines.forEach((baseline, rowId) => {
+            const workingRow = this._workingDataMap.get(rowId);
+            VERSION_FIELDS.filter(field => field in baseline).forEach(field => {
+                workingRow[field] = baseline[field];
+            });
+        });
+
+        // Lookups the server changed need the names of their new records
+        const lookupColumns = this.columns.filter(col => col.relationshipName);
+        report.forEach(({ serverRow }) => {
+            lookupColumns.forEach(col => {
+                const related = serverRow && serverRow[col.relationshipName];
+                if (related && related.Id && related.Name) {
+                    this._referenceLabels.set(related.Id, related.Name);
+                }
+            });
+        });
+
+        // Untouched cells can gain or lose their edited marker against the new baseline
+        report.forEach(({ rowId, cells }) => {
+            const baseRow = this._originalDataMap.get(rowId);
+            cells.forEach(({ fieldApi }) => {
+                const cellKey = `${rowId}_${fieldApi}`;
+                if (valuesEqual(this._workingDataMap.get(rowId)[fieldApi], baseRow[fieldApi])) {
+                    this.editedCells.delete(cellKey);
+                } else {
+                    this.editedCells.set(cellKey, true);
+                }
+            });
+            this._baseCellCache.delete(rowId);
+        });
+        this.editedCells = new Map(this.editedCells);
+        this.workingData = [...this.workingData];
+
+        this.executeCommand('merge of server changes', changes.map(change =>
+            createChange(change.rowId, change.fieldApi, change.oldValue, change.newValue)
+        ));
+    }
+
+    /**
+     * Collects { Id, ...edited fields } for each modified row. Rows that fail
+     * client validation are held back and returned separately.
+     */
+    buildSavePayload() {
+        const editedFieldsByRow = new Map();
+        this.editedCells.forEach((value, key) => {
+            const { rowId, fieldApi } = this.parseCellKey(key);
+            if (!editedFieldsByRow.has(rowId)) {
+                editedFieldsByRow.set(rowId, []);
+            }
+            editedFieldsByRow.get(rowId).push(fieldApi);
+        });
+
+        const payload = [];
+        const invalidRowIds = [];
+        editedFieldsByRow.forEach((fieldApis, rowId) => {
+            const row = this._workingDataMap.get(rowId);
+            if (!row) return;
+
+            const errors = validateRow(row, this.columns, this.customValidators);
+            if (Object.keys(errors).length > 0) {
+                Object.keys(errors).forEach(fieldApi => {
+                    this.cellErrors.set(`${rowId}_${fieldApi}`, errors[fieldApi]);
+                });
+                invalidRowIds.push(rowId);
+                return;
+            }
 
-            // Mark as edited
-            this.editedCells.set(`${rowId}_${fieldApi}`, true);
+            const rowPayload = { Id: rowId };
+            fieldApis.forEach(fieldApi => {
+                rowPayload[fieldApi] = row[fieldApi];
+            });
+            payload.push(rowPayload);
+        });
+
+        this.cellErrors = new Map(this.cellErrors);
+        return { payload, invalidRowIds };
+    }
+
+    /**
+     * The fields sent for saved rows become the new baseline. Edited markers
+     * are cleared only where the cell still holds the sent value, so edits
+     * made while the save was in flight stay edited. Failed rows keep their
+     * edits and get the server message.
+     * @param {Array} savedRows - Payload rows ({ Id, ...sentFields }) that saved
+     * @param {Array} failedRows - [{ rowId, message }]
+     */
+    reconcileSaveResults(savedRows, failedRows) {
+        if (savedRows.length > 0) {
+            const sentById = new Map(savedRows.map(({ Id, ...fields }) => [Id, fields]));
+            this.originalData = this.originalData.map(originalRow => {
+                const sent = sentById.get(originalRow.Id);
+                if (!sent) return originalRow;
+                const rebased = { ...originalRow, ...JSON.parse(JSON.stringify(sent)) };
+                this.computeFormulas(rebased);
+                return rebased;
+            });
+            this.buildOriginalDataMap();
+
+            sentById.forEach((sent, rowId) => {
+                const workingRow = this._workingDataMap.get(rowId);
+                Object.keys(sent).forEach(fieldApi => {
+                    if (workingRow && valuesEqual(workingRow[fieldApi], sent[fieldApi])) {
+                        this.editedCells.delete(`${rowId}_${fieldApi}`);
+                    }
+                });
+                this.rowSaveErrors.delete(rowId);
+                this._baseCellCache.delete(rowId);
+            });
+
+            // Undo steps would now reach back past the saved baseline
+            this._history.clear();
+            this.refreshHistoryState();
+        }
+
+        failedRows.forEach(({ rowId, message }) => this.rowSaveErrors.set(rowId, message));
 
-            // Fire data changed event
-            this.fireDataChangedEvent(rowId, fieldApi, oldValue, newValue);
+        this.editedCells = new Map(this.editedCells);
+        this.rowSaveErrors = new Map(this.rowSaveErrors);
+    }
+
+    refreshCellError(row, fieldApi) {
+        const col = this.columnMetadataMap.get(fieldApi);
+        const cellKey = `${row.Id}_${fieldApi}`;
+        const message = col ? validateCell(row[fieldApi], col, row, this.customValidators) : null;
 
-            // Trigger reactivity
-            this.workingData = [...this.workingData];
-            this.editedCells = new Map(this.editedCells);
+        if (message) {
+            this.cellErrors.set(cellKey, message);
+        } else {
+            this.cellErrors.delete(cellKey);
         }
     }
 
+    refreshHistoryState() {
+        this.undoAvailable = this._history.canUndo();
+        this.redoAvailable = this._history.canRedo();
+    }
+
     // Keyboard navigation
+    // Keyboard grid navigation (WAI-ARIA grid pattern). Keys pressed on a
+    // cell move the active cell; keys pressed inside an editor commit or
+    // cancel the edit before moving.
     handleCellKeydown(event) {
-        const rowId = event.currentTarget.dataset.rowId;
-        const fieldApi = event.currentTarget.dataset.fieldApi;
+        // Editors such as the lookup consume their own keys
+        if (event.defaultPrevented) return;
 
-        if (event.key === 'Enter') {
-            event.preventDefault();
-            this.navigateToNextRow(rowId, fieldApi);
-        } else if (event.key === 'Tab') {
-            // Let Tab naturally flow, but track focus
-            setTimeout(() => {
-                const focused = this.template.activeElement;
-                if (focused && focused.dataset) {
-                    this._focusedCellKey = `${focused.dataset.rowId}_${focused.dataset.fieldApi}`;
+        const cellKey = event.currentTarget.dataset.cellKey;
+        if (event.target === event.currentTarget) {
+            this.handleGridKey(event, cellKey);
+        } else {
+            this.handleEditorKey(event, cellKey);
+        }
+    }
+
+    handleGridKey(event, cellKey) {
+        const position = this.getCellPosition(cellKey);
+        if (!position) return;
+
+        const { rowIndex, colIndex } = position;
+        const lastRow = this.gridRows.length - 1;
+        const lastCol = this.gridColumns.length - 1;
+        const isCtrl = event.ctrlKey || event.metaKey;
+        const pageSize = this.getPageSize();
+        let target;
+
+        switch (event.key) {
+            case 'ArrowUp':
+                target = [isCtrl ? 0 : rowIndex - 1, colIndex];
+                break;
+            case 'ArrowDown':
+                target = [isCtrl ? lastRow : rowIndex + 1, colIndex];
+                break;
+            case 'ArrowLeft':
+                target = [rowIndex, isCtrl ? 0 : colIndex - 1];
+                break;
+            case 'ArrowRight':
+                target = [rowIndex, isCtrl ? lastCol : colIndex + 1];
+                break;
+            case 'Home':
+                target = isCtrl ? [0, 0] : [rowIndex, 0];
+                break;
+            case 'End':
+                target = isCtrl ? [lastRow, lastCol] : [rowIndex, lastCol];
+                break;
+            case 'PageUp':
+                target = [rowIndex - pageSize, colIndex];
+                break;
+            case 'PageDown':
+                target = [rowIndex + pageSize, colIndex];
+                break;
+            case 'F2':
+            case 'Enter':
+                event.preventDefault();
+                this.startCellEdit(cellKey, EDIT_MODE);
+                return;
+            default: {
+                const isPrintable = event.key.length === 1 && !isCtrl && !event.altKey;
+                if (!isPrintable) return;
+
+                event.preventDefault();
+                const col = this.columnMetadataMap.get(this.parseCellKey(cellKey).fieldApi);
+                if (col.dataType === 'boolean') {
+                    if (event.key === ' ') this.toggleBooleanCell(cellKey);
+                    return;
                 }
-            }, 0);
-        } else if (event.key === 'ArrowDown') {
-            event.preventDefault();
-            this.navigateToNextRow(rowId, fieldApi);
-        } else if (event.key === 'ArrowUp') {
-            event.preventDefault();
-            this.navigateToPreviousRow(rowId, fieldApi);
+                this.startCellEdit(cellKey, ENTRY_MODE, event.key);
+                return;
+            }
         }
+
+        event.preventDefault();
+        this.moveActiveCell(target[0], target[1], { extend: event.shiftKey });
     }
 
-    navigateToNextRow(currentRowId, fieldApi) {
-        const visibleRows = this.displayRows;
-        const currentIndex = visibleRows.findIndex(r => r.Id === currentRowId);
+    handleEditorKey(event, cellKey) {
+        const editor = event.target;
+        const position = this.getCellPosition(cellKey);
+        if (!position) return;
 
-        if (currentIndex < visibleRows.length - 1) {
-            const nextRowId = visibleRows[currentIndex + 1].Id;
-            const nextInput = this.template.querySelector(
-                `[data-row-id="${nextRowId}"][data-field-api="${fieldApi}"]`
-            );
-            if (nextInput) {
-                nextInput.focus();
+        const { rowIndex, colIndex } = position;
+        const isCtrl = event.ctrlKey || event.metaKey;
+        const isMultiLine = this.isMultiLineEditor(editor);
+        let target;
+
+        switch (event.key) {
+            case 'Escape':
+                event.preventDefault();
+                this.restoreEditorValue(editor, cellKey);
+                if (!this.isInlineEditMode) {
+                    this.editingCellKey = null;
+                    this.moveActiveCell(rowIndex, colIndex);
+                }
+                return;
+            case 'Enter':
+                // In a textarea, plain Enter adds a line; Ctrl/Cmd+Enter commits
+                if (isMultiLine && !isCtrl) return;
+                target = [rowIndex + (event.shiftKey ? -1 : 1), colIndex];
+                break;
+            case 'Tab':
+                target = [rowIndex, colIndex + (event.shiftKey ? -1 : 1)];
+                // At the row edge Tab leaves the grid as usual
+                if (target[1] < 0 || target[1] >= this.gridColumns.length) {
+                    this.commitEditor(editor);
+                    return;
+                }
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                if (isMultiLine && !isCtrl) return;
+                target = [rowIndex + (event.key === 'ArrowDown' ? 1 : -1), colIndex];
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const isLeft = event.key === 'ArrowLeft';
+                const isEntry = !this.isInlineEditMode && this._editEntryMode === ENTRY_MODE;
+                if (!isEntry && !this.isCaretAtEdge(editor, isLeft)) return;
+                target = [rowIndex, colIndex + (isLeft ? -1 : 1)];
+                break;
             }
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        this.commitEditor(editor);
+        this.moveActiveCell(target[0], target[1], { editor: this.isInlineEditMode });
+    }
+
+    /**
+     * Whether the caret sits at the start (or end) of a text editor, so
+     * Left/Right can leave the cell. Inputs without a caret (date, number,
+     * select, checkbox) always let the arrow through.
+     */
+    isCaretAtEdge(editor, atStart) {
+        let start;
+        let end;
+        try {
+            start = editor.selectionStart;
+            end = editor.selectionEnd;
+        } catch (e) {
+            return true;
         }
+        if (start === null || start === undefined) return true;
+        if (start !== end) return false;
+        return atStart ? start === 0 : end === String(editor.value).length;
     }
 
-    navigateToPreviousRow(currentRowId, fieldApi) {
-        const visibleRows = this.displayRows;
-        const currentIndex = visibleRows.findIndex(r => r.Id === currentRowId);
+    getCellPosition(cellKey) {
+        const { rowId, fieldApi } = this.parseCellKey(cellKey);
+        const rowIndex = this.gridRows.findIndex(row => row.Id === rowId);
+        const colIndex = this.gridColumns.findIndex(col => col.field_api === fieldApi);
+        return rowIndex >= 0 && colIndex >= 0 ? { rowIndex, colIndex } : null;
+    }
 
-        if (currentIndex > 0) {
-            const prevRowId = visibleRows[currentIndex - 1].Id;
-            const prevInput = this.template.querySelector(
-                `[data-row-id="${prevRowId}"][data-field-api="${fieldApi}"]`
-            );
-            if (prevInput) {
-                prevInput.focus();
+    getPageSize() {
+        const container = this.template.querySelector('.table-container');
+        const rowsPerView = container ? Math.floor(container.clientHeight / this._rowHeights.estimate) : 0;
+        return Math.max(1, rowsPerView - 1);
+    }
+
+    /**
+     * Makes a cell active and focuses it (or its editor) after render.
+     * Indexes are clamped to the grid; the virtual window scrolls when the
+     * row is not rendered.
+     * @param {number} rowIndex - Index into gridRows
+     * @param {number} colIndex - Index into columns
+     * @param {Object} options - { extend: grow the range from its anchor, editor: focus the editor }
+     */
+    moveActiveCell(rowIndex, colIndex, options = {}) {
+        const rows = this.gridRows;
+        if (rows.length === 0 || this.gridColumns.length === 0) return;
+
+        const clampedRow = Math.min(Math.max(rowIndex, 0), rows.length - 1);
+        const clampedCol = Math.min(Math.max(colIndex, 0), this.gridColumns.length - 1);
+        const rowId = rows[clampedRow].Id;
+        const fieldApi = this.gridColumns[clampedCol].field_api;
+
+        if (this.editingCellKey && this.editingCellKey !== `${rowId}_${fieldApi}`) {
+            this.editingCellKey = null;
+        }
+        this.activeCell = { rowId, fieldApi };
+        if (options.extend && this.cellRange) {
+            this.cellRange = { ...this.cellRange, focusRowId: rowId, focusFieldApi: fieldApi };
+        } else {
+            this.cellRange = {
+                anchorRowId: rowId,
+                anchorFieldApi: fieldApi,
+                focusRowId: rowId,
+                focusFieldApi: fieldApi
+            };
+        }
+
+        this.scrollRowIntoWindow(rowId);
+        this._pendingFocus = { cellKey: `${rowId}_${fieldApi}`, editor: Boolean(options.editor), seedText: null };
+    }
+
+    /**
+     * Shifts the virtual window so the row is rendered; focusing the cell
+     * afterwards scrolls it into view
+     */
+    scrollRowIntoWindow(rowId) {
+        if (!this.virtualScrollEnabled) return;
+
+        // Group headers take row slots, so the window position is the display item index
+        const items = this.getGridLayout().items;
+        const itemIndex = items.findIndex(item => item.row && item.row.Id === rowId);
+        if (itemIndex < 0) return;
+        if (itemIndex >= this.visibleStartIndex && itemIndex < this.visibleEndIndex) return;
+
+        const container = this.template.querySelector('.table-container');
+        if (container) {
+            const offsets = this.getItemOffsets(items);
+            container.scrollTop = Math.max(0, offsets[itemIndex] - container.clientHeight / 2);
+        }
+        this.syncVirtualWindow();
+    }
+
+    applyPendingFocus() {
+        const { cellKey, editor, seedText } = this._pendingFocus;
+        const cell = this.template.querySelector(`td[data-cell-key="${cellKey}"]`);
+        if (!cell) {
+            // The row may have been filtered out; otherwise wait for the next render
+            const { rowId } = this.parseCellKey(cellKey);
+            if (!this.gridRows.some(row => row.Id === rowId)) {
+                this._pendingFocus = null;
             }
+            return;
+        }
+        this._pendingFocus = null;
+
+        const input = editor ? cell.querySelector('input, select, textarea') : null;
+        if (!input) {
+            cell.focus();
+            return;
+        }
+        input.focus();
+
+        if (seedText !== null && seedText !== undefined && this.isTextEntryTarget(input)) {
+            input.value = seedText;
+            if (input.dataset.lookupTarget) {
+                this.updateLookupTerm(input.dataset, seedText);
+            }
+        }
+    }
+
+    /**
+     * Opens the editor of one cell (or focuses it in inline edit mode)
+     * @param {string} cellKey - Cell to edit
+     * @param {string} entryMode - EDIT_MODE or ENTRY_MODE
+     * @param {string} seedText - Typed character that replaces the value
+     */
+    startCellEdit(cellKey, entryMode, seedText = null) {
+        if (this.columnMetadataMap.get(this.parseCellKey(cellKey).fieldApi).isFormula) return;
+
+        this._editEntryMode = entryMode;
+        if (!this.isInlineEditMode) {
+            this.editingCellKey = cellKey;
+        }
+        this._pendingFocus = { cellKey, editor: true, seedText };
+    }
+
+    handleCellDoubleClick(event) {
+        if (this.isInlineEditMode) return;
+        this.startCellEdit(event.currentTarget.dataset.cellKey, EDIT_MODE);
+    }
+
+    handleCellFocusOut(event) {
+        const cell = event.currentTarget;
+        if (this.editingCellKey !== cell.dataset.cellKey) return;
+        // Focus moving within the cell (e.g. to the lookup clear button) keeps the editor open
+        if (event.relatedTarget && cell.contains(event.relatedTarget)) return;
+        this.editingCellKey = null;
+    }
+
+    toggleBooleanCell(cellKey) {
+        const { rowId, fieldApi } = this.parseCellKey(cellKey);
+        const row = this._workingDataMap.get(rowId);
+        const col = this.columnMetadataMap.get(fieldApi);
+        if (row && !col.isFormula) {
+            this.executeCommand(`edit of ${col.label}`, [createChange(rowId, fieldApi, row[fieldApi], !row[fieldApi])]);
+        }
+    }
+
+    /**
+     * Commits an editor's current value. The change event that follows on
+     * blur is then a no-op.
+     */
+    commitEditor(editor) {
+        // Lookups commit when a search result is picked
+        if (!editor.dataset.fieldApi || editor.dataset.lookupTarget) return;
+        this.commitCellInput(editor);
+    }
+
+    /**
+     * Puts the stored value back into an editor, discarding what was typed
+     */
+    restoreEditorValue(editor, cellKey) {
+        const { rowId, fieldApi } = this.parseCellKey(cellKey);
+        const row = this._workingDataMap.get(rowId);
+        if (!row) return;
+        const value = row[fieldApi];
+
+        if (editor.dataset.lookupTarget) {
+            this.closeLookup();
+            editor.value = value ? resolveReferenceLabel(value, this._referenceLabels) : '';
+        } else if (editor.type === 'checkbox') {
+            editor.checked = Boolean(value);
+        } else if (editor.tagName === 'SELECT' && editor.multiple) {
+            const selected = splitMultiValue(value);
+            Array.from(editor.options).forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+        } else if (editor.type === 'datetime-local') {
+            editor.value = toDateTimeInputValue(value);
+        } else {
+            editor.value = value === null || value === undefined ? '' : value;
         }
     }
 
@@ -772,6 +4428,39 @@ export default class CrowlTable extends LightningElement {
         }));
     }
 
+    fireDataPastedEvent(changes) {
+        this.dispatchEvent(new CustomEvent('datapasted', {
+            detail: {
+                changes: changes.map(({ rowId, fieldApi, oldValue, newValue }) => ({
+                    rowId,
+                    fieldApi,
+                    oldValue,
+                    newValue
+                }))
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    fireSaveCompleteEvent(detail) {
+        this.dispatchEvent(new CustomEvent('savecomplete', {
+            detail,
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    fireColumnLayoutChangeEvent() {
+        this.dispatchEvent(new CustomEvent('columnlayoutchange', {
+            detail: {
+                layout: this.getColumnLayout()
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
     fireRowsSelectedEvent() {
         this.dispatchEvent(new CustomEvent('rowsselected', {
             detail: {
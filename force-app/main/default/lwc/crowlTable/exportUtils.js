@@ -0,0 +1,385 @@
+/**
+ * Export utilities for CrowlTable component
+ * Builds CSV and a minimal XLSX workbook (Office Open XML in an
+ * uncompressed ZIP) entirely in JavaScript
+ */
+
+import { getTypeFamily, NUMBER_FAMILY } from './fieldTypes';
+
+export const EXPORT_FORMATS = [
+    { label: 'CSV', value: 'csv' },
+    { label: 'Excel (XLSX)', value: 'xlsx' }
+];
+
+export const EXPORT_SCOPES = [
+    { label: 'Visible rows', value: 'visible' },
+    { label: 'Selected rows', value: 'selected' },
+    { label: 'Modified rows only', value: 'modified' },
+    { label: 'All rows', value: 'all' }
+];
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Builds the export table: a header row and typed cells.
+ * When includeOriginalValues is set, every column with at least one edited
+ * cell in the exported rows gets an extra "<Label> (Original)" column.
+ * @param {Array} rows - Rows to export, in order
+ * @param {Array} columns - Column metadata, in order
+ * @param {Object} options - { includeOriginalValues, originalDataMap, editedCells }
+ * @returns {Object} - { headers: [string], rows: [[{ dataType, value }]] }
+ */
+export function buildExportTable(rows, columns, options = {}) {
+    const { includeOriginalValues, originalDataMap, editedCells } = options;
+    const isEdited = (rowId, fieldApi) => Boolean(editedCells && editedCells.has(`${rowId}_${fieldApi}`));
+
+    const exportColumns = [];
+    columns.forEach(col => {
+        exportColumns.push({ label: col.label, column: col, original: false });
+        if (includeOriginalValues && rows.some(row => isEdited(row.Id, col.field_api))) {
+            exportColumns.push({ label: `${col.label} (Original)`, column: col, original: true });
+        }
+    });
+
+    return {
+        headers: exportColumns.map(exportCol => exportCol.label),
+        rows: rows.map(row => exportColumns.map(({ column, original }) => {
+            let value = row[column.field_api];
+            if (original) {
+                const originalRow = originalDataMap ? originalDataMap.get(row.Id) : null;
+                value = originalRow && isEdited(row.Id, column.field_api)
+                    ? originalRow[column.field_api]
+                    : null;
+            }
+            return { dataType: column.dataType, value };
+        }))
+    };
+}
+
+// CSV
+
+function formatCsvValue({ dataType, value }) {
+    if (isBlank(value)) return '';
+    if (dataType === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (dataType === 'date') return String(value).slice(0, 10);
+    // Datetimes stay in ISO 8601 UTC so they re-import unchanged
+    const text = String(value);
+    if (getTypeFamily(dataType) === NUMBER_FAMILY && typeof value === 'number' && Number.isFinite(value)) {
+        return text;
+    }
+    // Spreadsheets run text starting with = + - @ as a formula; a leading
+    // apostrophe keeps it literal. Text that already starts with apostrophes
+    // before one of those gets one more, so import can always strip one.
+    return /^'*[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+function quoteCsvField(text) {
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Serializes an export table to RFC 4180 CSV with a UTF-8 BOM so Excel
+ * detects the encoding. Text cells starting with = + - @ get a leading
+ * apostrophe so spreadsheets do not evaluate them.
+ * @param {Object} table - Result of buildExportTable
+ * @returns {string} - CSV text
+ */
+export function toCsv(table) {
+    const lines = [table.headers.map(quoteCsvField).join(',')];
+    table.rows.forEach(cells => {
+        lines.push(cells.map(cell => quoteCsvField(formatCsvValue(cell))).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// XLSX
+
+// Control characters XML 1.0 can represent: tab, line feed, carriage return
+const XML_ALLOWED_CONTROL_CODES = new Set([9, 10, 13]);
+
+function stripXmlControlCharacters(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code >= 32 || XML_ALLOWED_CONTROL_CODES.has(code)) {
+            result += char;
+        }
+    }
+    return result;
+}
+
+function escapeXml(text) {
+    return stripXmlControlCharacters(String(text))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+function toExcelDateSerial(value) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const utc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return (utc - EXCEL_EPOCH_MS) / MS_PER_DAY;
+}
+
+function toExcelDateTimeSerial(value) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    // Excel has no time zones; write the local wall-clock time
+    const offsetMs = new Date(time).getTimezoneOffset() * 60 * 1000;
+    return (time - offsetMs - EXCEL_EPOCH_MS) / MS_PER_DAY;
+}
+
+// Style indexes match the cellXfs in STYLES_XML
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DATETIME = 3;
+const STYLE_CURRENCY = 4;
+const STYLE_PERCENT = 5;
+
+const NUMBER_STYLES = {
+    currency: STYLE_CURRENCY,
+    percent: STYLE_PERCENT
+};
+
+function buildCellXml(ref, { dataType, value }) {
+    if (isBlank(value)) return '';
+
+    if (getTypeFamily(dataType) === NUMBER_FAMILY && typeof value === 'number' && Number.isFinite(value)) {
+        // Salesforce stores 12.5% as 12.5; Excel percent cells expect 0.125
+        const cellValue = dataType === 'percent' ? value / 100 : value;
+        const style = NUMBER_STYLES[dataType] ? ` s="${NUMBER_STYLES[dataType]}"` : '';
+        return `<c r="${ref}"${style}><v>${cellValue}</v></c>`;
+    }
+    if (dataType === 'datetime') {
+        const serial = toExcelDateTimeSerial(value);
+        if (serial !== null) {
+            return `<c r="${ref}" s="${STYLE_DATETIME}"><v>${serial}</v></c>`;
+        }
+    }
+    if (dataType === 'boolean' && typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    if (dataType === 'date') {
+        const serial = toExcelDateSerial(value);
+        if (serial !== null) {
+            return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+        }
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml(table) {
+    const headerCells = table.headers.map((header, colIndex) =>
+        `<c r="${columnLetter(colIndex)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(header)}</t></is></c>`
+    ).join('');
+
+    const bodyRows = table.rows.map((cells, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cellXml = cells.map((cell, colIndex) =>
+            buildCellXml(`${columnLetter(colIndex)}${rowNumber}`, cell)
+        ).join('');
+        return `<row r="${rowNumber}">${cellXml}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData><row r="1">${headerCells}</row>${bodyRows}</sheetData>` +
+        '</worksheet>';
+}
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+// cellXfs: 0 = default, 1 = bold header, 2 = date (numFmt 14)
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="6">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>';
+
+function buildWorkbookXml(sheetName) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>';
+}
+
+// ZIP (stored entries, no compression)
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // local file header signature
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, 0, true); // mod time
+        local.setUint16(12, 0x21, true); // mod date (1980-01-01)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // central directory signature
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true); // local header offset
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+/**
+ * Builds a single-sheet XLSX workbook from an export table
+ * @param {Object} table - Result of buildExportTable
+ * @param {string} sheetName - Worksheet name (max 31 characters)
+ * @returns {Uint8Array} - XLSX file bytes
+ */
+export function toXlsx(table, sheetName = 'Export') {
+    return buildZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+        { name: '_rels/.rels', content: ROOT_RELS_XML },
+        { name: 'xl/workbook.xml', content: buildWorkbookXml(sheetName) },
+        { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS_XML },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+        { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(table) }
+    ]);
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Triggers a browser download. Uses a data URI, which works under
+ * Lightning Locker and Lightning Web Security.
+ * @param {string} fileName - Download file name
+ * @param {string|Uint8Array} content - CSV text or XLSX bytes
+ */
+export function downloadFile(fileName, content) {
+    const isBinary = content instanceof Uint8Array;
+    const href = isBinary
+        ? `data:${XLSX_MIME_TYPE};base64,${bytesToBase64(content)}`
+        : `data:${CSV_MIME_TYPE},${encodeURIComponent(content)}`;
+
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    link.click();
+}
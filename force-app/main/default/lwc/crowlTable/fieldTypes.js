@@ -0,0 +1,162 @@
+/**
+ * Field type helpers for CrowlTable component
+ * Maps each column dataType to the family that decides its sorting,
+ * filtering and validation, and converts the value formats that differ
+ * between Salesforce and HTML inputs (datetime, multi-select picklist)
+ */
+
+// Families shared by several dataTypes
+export const NUMBER_FAMILY = 'number';
+export const DATE_FAMILY = 'date';
+export const DATETIME_FAMILY = 'datetime';
+export const PICKLIST_FAMILY = 'picklist';
+export const MULTIPICKLIST_FAMILY = 'multipicklist';
+export const BOOLEAN_FAMILY = 'boolean';
+export const TEXT_FAMILY = 'text';
+export const REFERENCE_FAMILY = 'reference';
+
+const FAMILY_BY_TYPE = {
+    number: NUMBER_FAMILY,
+    currency: NUMBER_FAMILY,
+    percent: NUMBER_FAMILY,
+    date: DATE_FAMILY,
+    datetime: DATETIME_FAMILY,
+    picklist: PICKLIST_FAMILY,
+    multipicklist: MULTIPICKLIST_FAMILY,
+    boolean: BOOLEAN_FAMILY,
+    text: TEXT_FAMILY,
+    email: TEXT_FAMILY,
+    phone: TEXT_FAMILY,
+    url: TEXT_FAMILY,
+    textarea: TEXT_FAMILY,
+    reference: REFERENCE_FAMILY
+};
+
+// 15- or 18-character Salesforce record Id
+export const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+// Salesforce stores multi-select picklist values as one ';'-delimited string
+const MULTI_VALUE_SEPARATOR = ';';
+
+/**
+ * Returns the family of a dataType. Unknown types are treated as text.
+ * @param {string} dataType - Column data type
+ * @returns {string} - One of the *_FAMILY constants
+ */
+export function getTypeFamily(dataType) {
+    return FAMILY_BY_TYPE[dataType] || TEXT_FAMILY;
+}
+
+/**
+ * Splits a multi-select picklist value into its selected values
+ * @param {*} value - ';'-delimited string, array or blank
+ * @returns {Array<string>} - Selected values (empty for blank)
+ */
+export function splitMultiValue(value) {
+    if (value === null || value === undefined || value === '') return [];
+    const parts = Array.isArray(value) ? value : String(value).split(MULTI_VALUE_SEPARATOR);
+    return parts.map(part => String(part).trim()).filter(part => part !== '');
+}
+
+/**
+ * Joins selected values into the Salesforce multi-select picklist format
+ * @param {Array<string>} values - Selected values
+ * @returns {string|null} - ';'-delimited string, or null when nothing is selected
+ */
+export function joinMultiValue(values) {
+    const parts = splitMultiValue(values);
+    return parts.length > 0 ? parts.join(MULTI_VALUE_SEPARATOR) : null;
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Converts a stored datetime (ISO 8601, UTC) to the local
+ * 'YYYY-MM-DDTHH:mm' value a datetime-local input expects
+ * @param {*} value - ISO datetime string
+ * @returns {string} - Input value, or '' when blank or unparseable
+ */
+export function toDateTimeInputValue(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Converts a local datetime ('YYYY-MM-DDTHH:mm', a space instead of the
+ * 'T' is accepted) to an ISO 8601 UTC string
+ * @param {string} text - Local datetime text
+ * @returns {string|null} - ISO string, null when blank, or the text unchanged
+ *   when it cannot be parsed so validation can flag it
+ */
+export function fromDateTimeInputValue(text) {
+    if (text === null || text === undefined || String(text).trim() === '') return null;
+    const trimmed = String(text).trim();
+    const match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return trimmed;
+
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const date = new Date(
+        Number(year), Number(month) - 1, Number(day),
+        Number(hours), Number(minutes), Number(seconds || 0)
+    );
+    return Number.isNaN(date.getTime()) ? trimmed : date.toISOString();
+}
+
+/**
+ * Local calendar date ('YYYY-MM-DD') of a datetime, used to compare
+ * datetimes against date-range filters
+ * @param {*} value - ISO datetime string
+ * @returns {string|null} - Local date, or null when unparseable
+ */
+export function toLocalDateString(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Resolves a lookup value to the related record's name
+ * @param {*} value - Record Id
+ * @param {Map} referenceLabels - Record Id => name
+ * @returns {*} - Name when known, otherwise the value unchanged
+ */
+export function resolveReferenceLabel(value, referenceLabels) {
+    if (!referenceLabels || value === null || value === undefined) return value;
+    return referenceLabels.has(value) ? referenceLabels.get(value) : value;
+}
+
+/**
+ * Link target for email, phone, URL and lookup values. URLs without a
+ * scheme get https://; any scheme other than http(s) is not linked.
+ * Lookups link to the related record.
+ * @param {*} value - Cell value
+ * @param {string} dataType - Column data type
+ * @returns {string|null} - href, or null when the value should not be a link
+ */
+export function getLinkHref(value, dataType) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+
+    switch (dataType) {
+        case 'email':
+            return `mailto:${text}`;
+        case 'phone':
+            return `tel:${text.replace(/[^0-9+]/g, '')}`;
+        case 'url': {
+            if (/^https?:\/\//i.test(text)) return text;
+            if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text) || /^(javascript|data|vbscript|file):/i.test(text)) {
+                return null;
+            }
+            return `https://${text}`;
+        }
+        case 'reference':
+            return RECORD_ID_PATTERN.test(text) ? `/${text}` : null;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Fill utilities for CrowlTable component
+ * Works out the values written below a selection by the fill handle and
+ * Ctrl+D: copies, number and date series, and picklist cycles
+ */
+
+import {
+    getTypeFamily,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    PICKLIST_FAMILY
+} from './fieldTypes';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_DECIMALS = 10;
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Returns the common difference of a list of numbers, or null when the
+ * steps between neighbours are not all the same
+ */
+function getConstantStep(numbers) {
+    const step = numbers[1] - numbers[0];
+    for (let i = 2; i < numbers.length; i++) {
+        if (Math.abs(numbers[i] - numbers[i - 1] - step) > 1e-9) return null;
+    }
+    return step;
+}
+
+function countDecimals(number) {
+    const text = String(number);
+    if (text.includes('e')) return MAX_DECIMALS;
+    const dotIndex = text.indexOf('.');
+    return dotIndex < 0 ? 0 : Math.min(text.length - dotIndex - 1, MAX_DECIMALS);
+}
+
+// 0.1 + 0.2 style noise would otherwise show up in a long series
+function roundTo(number, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(number * factor) / factor;
+}
+
+function repeatPattern(sourceValues, count) {
+    return Array.from({ length: count }, (_, i) => sourceValues[i % sourceValues.length]);
+}
+
+function extendNumbers(sourceValues, count) {
+    if (!sourceValues.every(value => typeof value === 'number' && Number.isFinite(value))) return null;
+
+    const step = getConstantStep(sourceValues);
+    if (step === null) return null;
+
+    const decimals = Math.max(...sourceValues.map(countDecimals));
+    const last = sourceValues[sourceValues.length - 1];
+    return Array.from({ length: count }, (_, i) => roundTo(last + step * (i + 1), decimals));
+}
+
+function parseDateParts(value) {
+    const match = typeof value === 'string' ? value.match(DATE_PATTERN) : null;
+    if (!match) return null;
+    return { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) };
+}
+
+function formatDate(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Month steps keep the day of month, clamped to shorter months (Jan 31 => Feb 28)
+function addMonths(parts, months) {
+    const monthIndex = parts.year * 12 + parts.month + months;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return formatDate(new Date(Date.UTC(year, month, Math.min(parts.day, lastDay))));
+}
+
+function extendDates(sourceValues, count) {
+    const parts = sourceValues.map(parseDateParts);
+    if (parts.some(part => part === null)) return null;
+
+    const last = parts[parts.length - 1];
+    const sameDayOfMonth = parts.every(part => part.day === parts[0].day);
+    if (sameDayOfMonth) {
+        const monthStep = getConstantStep(parts.map(part => part.year * 12 + part.month));
+        if (monthStep !== null && monthStep !== 0) {
+            return Array.from({ length: count }, (_, i) => addMonths(last, monthStep * (i + 1)));
+        }
+    }
+
+    const days = parts.map(part => Date.UTC(part.year, part.month, part.day) / MS_PER_DAY);
+    const dayStep = getConstantStep(days);
+    if (dayStep === null) return null;
+
+    const lastDate = Date.UTC(last.year, last.month, last.day);
+    return Array.from({ length: count }, (_, i) => formatDate(new Date(lastDate + dayStep * (i + 1) * MS_PER_DAY)));
+}
+
+function extendDateTimes(sourceValues, count) {
+    const times = sourceValues.map(value => (value ? new Date(value).getTime() : NaN));
+    if (times.some(time => Number.isNaN(time))) return null;
+
+    const step = getConstantStep(times);
+    if (step === null) return null;
+
+    const last = times[times.length - 1];
+    return Array.from({ length: count }, (_, i) => new Date(last + step * (i + 1)).toISOString());
+}
+
+// Steps through the picklist's own order and wraps around at the end
+function extendPicklist(sourceValues, count, picklistValues) {
+    const options = (picklistValues || []).map(opt => opt.value);
+    const indexes = sourceValues.map(value => options.indexOf(value));
+    if (options.length === 0 || indexes.some(index => index < 0)) return null;
+
+    const step = getConstantStep(indexes);
+    if (step === null) return null;
+
+    const last = indexes[indexes.length - 1];
+    return Array.from({ length: count }, (_, i) => {
+        const index = (last + step * (i + 1)) % options.length;
+        return options[(index + options.length) % options.length];
+    });
+}
+
+/**
+ * Builds the values that continue a column's source cells into the cells
+ * below them. One source cell is copied. Two or more cells with a constant
+ * step extend as a series (numbers by step, dates by day or month, datetimes
+ * by interval, picklists through their value order); anything else repeats
+ * the source pattern.
+ * @param {Array} sourceValues - Values of the selected cells, top to bottom
+ * @param {number} count - Number of cells to fill
+ * @param {Object} column - Column metadata (dataType, picklistValues)
+ * @returns {Array} - Values for the filled cells, top to bottom
+ */
+export function buildFillValues(sourceValues, count, column) {
+    if (count <= 0 || sourceValues.length === 0) return [];
+    if (sourceValues.length === 1) return repeatPattern(sourceValues, count);
+
+    let series = null;
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY:
+            series = extendNumbers(sourceValues, count);
+            break;
+        case DATE_FAMILY:
+            series = extendDates(sourceValues, count);
+            break;
+        case DATETIME_FAMILY:
+            series = extendDateTimes(sourceValues, count);
+            break;
+        case PICKLIST_FAMILY:
+            series = extendPicklist(sourceValues, count, column.picklistValues);
+            break;
+        default:
+            break;
+    }
+    return series || repeatPattern(sourceValues, count);
+}
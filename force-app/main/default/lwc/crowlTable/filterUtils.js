@@ -0,0 +1,215 @@
+/**
+ * Per-column filter utilities for CrowlTable component
+ * Filter shape depends on the family of the column dataType (see fieldTypes):
+ *   text     - { operator: 'contains' | 'equals' | 'startsWith', value }
+ *   number   - { min, max }            (inclusive, either may be null)
+ *   date     - { from, to }            (inclusive ISO dates, either may be null;
+ *                                       datetimes compare by their local date)
+ *   picklist - { values: [] }          (row matches any of the values; a
+ *                                       multi-select row matches if any of its
+ *                                       selected values is in the list)
+ *   boolean  - { value: true | false } (omit the filter for "any")
+ * Lookup columns use the text filter against the related record's name.
+ */
+
+import {
+    getTypeFamily,
+    splitMultiValue,
+    toLocalDateString,
+    resolveReferenceLabel,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    PICKLIST_FAMILY,
+    MULTIPICKLIST_FAMILY,
+    BOOLEAN_FAMILY,
+    TEXT_FAMILY,
+    REFERENCE_FAMILY
+} from './fieldTypes';
+
+export const TEXT_OPERATORS = [
+    { label: 'Contains', value: 'contains' },
+    { label: 'Equals', value: 'equals' },
+    { label: 'Starts with', value: 'startsWith' }
+];
+
+const TEXT_OPERATOR_LABELS = {
+    contains: 'contains',
+    equals: 'equals',
+    startsWith: 'starts with'
+};
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function toNumberOrNull(value) {
+    if (isBlank(value)) return null;
+    const num = parseFloat(value);
+    return Number.isNaN(num) ? null : num;
+}
+
+function toDateOrNull(value) {
+    if (isBlank(value)) return null;
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Maps a dataType to the filter shape it uses: date and datetime share the
+ * date range, picklist and multi-select picklist share the value list
+ */
+function getFilterKind(dataType) {
+    const family = getTypeFamily(dataType);
+    if (family === DATETIME_FAMILY) return DATE_FAMILY;
+    if (family === MULTIPICKLIST_FAMILY) return PICKLIST_FAMILY;
+    if (family === REFERENCE_FAMILY) return TEXT_FAMILY;
+    return family;
+}
+
+/**
+ * Returns an empty filter for a column, used to seed the filter popover
+ * @param {Object} column - Column metadata
+ * @returns {Object} - Empty filter of the right shape
+ */
+export function createEmptyFilter(column) {
+    switch (getFilterKind(column.dataType)) {
+        case NUMBER_FAMILY:
+            return { min: null, max: null };
+        case DATE_FAMILY:
+            return { from: null, to: null };
+        case PICKLIST_FAMILY:
+            return { values: [] };
+        case BOOLEAN_FAMILY:
+            return { value: null };
+        default:
+            return { operator: 'contains', value: '' };
+    }
+}
+
+/**
+ * Cleans a filter for a column. Returns null when the filter would not
+ * restrict anything, so callers can drop it.
+ * @param {Object} column - Column metadata
+ * @param {Object} filter - Raw filter (e.g. from the popover or setFilters)
+ * @returns {Object|null} - Normalized filter or null
+ */
+export function normalizeFilter(column, filter) {
+    if (!column || !filter) return null;
+
+    switch (getFilterKind(column.dataType)) {
+        case NUMBER_FAMILY: {
+            const min = toNumberOrNull(filter.min);
+            const max = toNumberOrNull(filter.max);
+            return min === null && max === null ? null : { min, max };
+        }
+        case DATE_FAMILY: {
+            const from = toDateOrNull(filter.from);
+            const to = toDateOrNull(filter.to);
+            return from === null && to === null ? null : { from, to };
+        }
+        case PICKLIST_FAMILY: {
+            const allowed = new Set((column.picklistValues || []).map(opt => opt.value));
+            const values = (filter.values || []).filter(v => allowed.has(v));
+            return values.length === 0 ? null : { values };
+        }
+        case BOOLEAN_FAMILY:
+            return typeof filter.value === 'boolean' ? { value: filter.value } : null;
+        default: {
+            const operator = TEXT_OPERATOR_LABELS[filter.operator] ? filter.operator : 'contains';
+            return isBlank(filter.value) ? null : { operator, value: String(filter.value) };
+        }
+    }
+}
+
+/**
+ * Tests a single cell value against a normalized filter
+ * @param {*} value - Cell value
+ * @param {Object} column - Column metadata
+ * @param {Object} filter - Normalized filter
+ * @param {Map} referenceLabels - Record Id => name for lookup columns (optional)
+ * @returns {boolean} - True when the value passes
+ */
+export function matchesFilter(value, column, filter, referenceLabels) {
+    switch (getFilterKind(column.dataType)) {
+        case NUMBER_FAMILY: {
+            if (isBlank(value)) return false;
+            const num = Number(value);
+            if (filter.min !== null && num < filter.min) return false;
+            if (filter.max !== null && num > filter.max) return false;
+            return true;
+        }
+        case DATE_FAMILY: {
+            if (isBlank(value)) return false;
+            const date = getTypeFamily(column.dataType) === DATETIME_FAMILY
+                ? toLocalDateString(value)
+                : String(value).slice(0, 10);
+            if (date === null) return false;
+            if (filter.from !== null && date < filter.from) return false;
+            if (filter.to !== null && date > filter.to) return false;
+            return true;
+        }
+        case PICKLIST_FAMILY:
+            if (getTypeFamily(column.dataType) === MULTIPICKLIST_FAMILY) {
+                return splitMultiValue(value).some(part => filter.values.includes(part));
+            }
+            return filter.values.includes(value);
+        case BOOLEAN_FAMILY:
+            return Boolean(value) === filter.value;
+        default: {
+            const text = resolveReferenceLabel(value, referenceLabels);
+            const cell = isBlank(text) ? '' : String(text).toLowerCase();
+            const term = filter.value.toLowerCase();
+            if (filter.operator === 'equals') return cell === term;
+            if (filter.operator === 'startsWith') return cell.startsWith(term);
+            return cell.includes(term);
+        }
+    }
+}
+
+/**
+ * Filters rows by all active column filters (AND across columns)
+ * @param {Array} rows - Rows to filter
+ * @param {Object} filters - fieldApi => normalized filter
+ * @param {Map} columnMetadataMap - fieldApi => column metadata
+ * @param {Map} referenceLabels - Record Id => name for lookup columns (optional)
+ * @returns {Array} - Rows passing every filter
+ */
+export function applyColumnFilters(rows, filters, columnMetadataMap, referenceLabels) {
+    const active = Object.keys(filters)
+        .filter(fieldApi => filters[fieldApi] && columnMetadataMap.has(fieldApi))
+        .map(fieldApi => ({ fieldApi, column: columnMetadataMap.get(fieldApi), filter: filters[fieldApi] }));
+
+    if (active.length === 0) return rows;
+
+    return rows.filter(row => active.every(({ fieldApi, column, filter }) =>
+        matchesFilter(row[fieldApi], column, filter, referenceLabels)
+    ));
+}
+
+/**
+ * Human-readable summary of a filter, used for the filter pills
+ * @param {Object} column - Column metadata
+ * @param {Object} filter - Normalized filter
+ * @returns {string} - e.g. "Amount > 5000" or "Status: Open, On Hold"
+ */
+export function describeFilter(column, filter) {
+    const label = column.label;
+
+    const kind = getFilterKind(column.dataType);
+    switch (kind) {
+        case NUMBER_FAMILY:
+        case DATE_FAMILY: {
+            const low = kind === NUMBER_FAMILY ? filter.min : filter.from;
+            const high = kind === NUMBER_FAMILY ? filter.max : filter.to;
+            if (low !== null && high !== null) return `${label}: ${low} – ${high}`;
+            if (low !== null) return `${label} ≥ ${low}`;
+            return `${label} ≤ ${high}`;
+        }
+        case PICKLIST_FAMILY:
+            return `${label}: ${filter.values.join(', ')}`;
+        case BOOLEAN_FAMILY:
+            return `${label}: ${filter.value ? 'Checked' : 'Unchecked'}`;
+        default:
+            return `${label} ${TEXT_OPERATOR_LABELS[filter.operator]} "${filter.value}"`;
+    }
+}
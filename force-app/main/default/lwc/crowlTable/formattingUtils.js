@@ -0,0 +1,327 @@
+/**
+ * Conditional formatting utilities for CrowlTable component
+ * A rule tests the value of one column and, when it matches, styles that
+ * cell or the whole row:
+ *   { column, operator, value, appliesTo: 'cell' | 'row',
+ *     style: { background, textColor, icon, dataBar }, min, max }
+ * background, textColor and dataBar take a FORMAT_COLORS token and icon a
+ * FORMAT_ICONS token; each token maps to a class in crowlTable.css. Data
+ * bars need a number column and scale from min to max (default: zero or
+ * the lowest negative value, up to the highest value in the rows shown).
+ * Icons and data bars always go on the rule's own cell. Date rules may
+ * compare with 'TODAY', with an optional day offset such as 'TODAY+7'.
+ */
+
+import {
+    getTypeFamily,
+    splitMultiValue,
+    toLocalDateString,
+    resolveReferenceLabel,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    MULTIPICKLIST_FAMILY,
+    BOOLEAN_FAMILY
+} from './fieldTypes';
+
+export const APPLIES_TO_CELL = 'cell';
+export const APPLIES_TO_ROW = 'row';
+
+export const FORMAT_COLORS = ['success', 'warning', 'error', 'info', 'brand'];
+
+// Token => utility icon name
+export const FORMAT_ICONS = {
+    success: 'success',
+    warning: 'warning',
+    error: 'error',
+    info: 'info',
+    up: 'arrowup',
+    down: 'arrowdown'
+};
+
+// Operators comparing with one value; 'between' takes [low, high], 'in' a list
+const COMPARISON_OPERATORS = ['equals', 'notEquals', 'greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual'];
+const TEXT_OPERATORS = ['contains', 'startsWith'];
+const BLANK_OPERATORS = ['isBlank', 'isNotBlank'];
+export const FORMAT_OPERATORS = [...COMPARISON_OPERATORS, 'between', 'in', ...TEXT_OPERATORS, ...BLANK_OPERATORS];
+
+const TODAY_PATTERN = /^TODAY\s*(?:([+-])\s*(\d+))?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Operand kind used to compare a column's values: dates compare as ISO
+ * date strings, numbers numerically, everything else as lower-case text
+ */
+function getOperandKind(dataType) {
+    const family = getTypeFamily(dataType);
+    if (family === DATETIME_FAMILY) return DATE_FAMILY;
+    return [NUMBER_FAMILY, DATE_FAMILY, BOOLEAN_FAMILY].includes(family) ? family : 'text';
+}
+
+/**
+ * Parses one rule operand for a column kind
+ * @returns {*} - Parsed operand, or undefined when it is not valid
+ */
+function parseOperand(value, kind) {
+    if (isBlank(value)) return undefined;
+    switch (kind) {
+        case NUMBER_FAMILY: {
+            const num = typeof value === 'number' ? value : parseFloat(value);
+            return Number.isNaN(num) ? undefined : num;
+        }
+        case DATE_FAMILY: {
+            const text = String(value).trim();
+            return TODAY_PATTERN.test(text) || DATE_PATTERN.test(text) ? text.toUpperCase() : undefined;
+        }
+        case BOOLEAN_FAMILY:
+            if (typeof value === 'boolean') return value;
+            if (String(value).toLowerCase() === 'true') return true;
+            return String(value).toLowerCase() === 'false' ? false : undefined;
+        default:
+            return String(value).toLowerCase();
+    }
+}
+
+/**
+ * Parses the value of a rule for its operator
+ * @returns {*} - Operand, [low, high] for between, a list for in; undefined when not valid
+ */
+function parseRuleValue(operator, value, kind) {
+    if (BLANK_OPERATORS.includes(operator)) return null;
+    if (operator === 'between') {
+        if (!Array.isArray(value) || value.length !== 2) return undefined;
+        const bounds = value.map(bound => parseOperand(bound, kind));
+        return bounds.includes(undefined) ? undefined : bounds;
+    }
+    if (operator === 'in') {
+        const list = (Array.isArray(value) ? value : [value]).map(item => parseOperand(item, kind));
+        return list.length === 0 || list.includes(undefined) ? undefined : list;
+    }
+    if (TEXT_OPERATORS.includes(operator) && kind !== 'text') return undefined;
+    if (kind === BOOLEAN_FAMILY && !['equals', 'notEquals'].includes(operator)) return undefined;
+    return parseOperand(value, kind);
+}
+
+function normalizeStyle(style, isNumber) {
+    if (!style || typeof style !== 'object') return null;
+    const normalized = {};
+    ['background', 'textColor'].forEach(key => {
+        if (FORMAT_COLORS.includes(style[key])) normalized[key] = style[key];
+    });
+    if (FORMAT_ICONS[style.icon]) normalized.icon = style.icon;
+    if (isNumber && FORMAT_COLORS.includes(style.dataBar)) normalized.dataBar = style.dataBar;
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Keeps the rules that name a known column, a supported operator, a value
+ * of the column's type and at least one style token
+ * @param {Array|string} rules - Rules, or their JSON
+ * @param {Map} columnMetadataMap - fieldApi => column metadata
+ * @returns {Array} - [{ fieldApi, dataType, operator, operand, appliesTo, style, min, max }]
+ */
+export function normalizeFormattingRules(rules, columnMetadataMap) {
+    let list = rules;
+    if (typeof rules === 'string') {
+        try {
+            list = JSON.parse(rules);
+        } catch (error) {
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+
+    return list.reduce((normalized, rule) => {
+        const column = rule ? columnMetadataMap.get(rule.column) : null;
+        if (!column || !FORMAT_OPERATORS.includes(rule.operator)) return normalized;
+
+        const kind = getOperandKind(column.dataType);
+        const operand = parseRuleValue(rule.operator, rule.value, kind);
+        const style = normalizeStyle(rule.style, kind === NUMBER_FAMILY);
+        if (operand === undefined || !style) return normalized;
+
+        normalized.push({
+            fieldApi: column.field_api,
+            dataType: column.dataType,
+            operator: rule.operator,
+            operand,
+            appliesTo: rule.appliesTo === APPLIES_TO_ROW ? APPLIES_TO_ROW : APPLIES_TO_CELL,
+            style,
+            min: parseOperand(rule.min, NUMBER_FAMILY),
+            max: parseOperand(rule.max, NUMBER_FAMILY)
+        });
+        return normalized;
+    }, []);
+}
+
+/**
+ * Resolves 'TODAY' and 'TODAY±n' against the given local date
+ * @param {string} operand - Parsed date operand
+ * @param {string} today - Local date, YYYY-MM-DD
+ * @returns {string} - ISO date
+ */
+function resolveDateOperand(operand, today) {
+    const match = TODAY_PATTERN.exec(operand);
+    if (!match) return operand;
+    const date = new Date(`${today}T00:00:00`);
+    const offset = match[2] ? Number(match[2]) * (match[1] === '-' ? -1 : 1) : 0;
+    date.setDate(date.getDate() + offset);
+    return toLocalDateString(date);
+}
+
+function compare(left, right) {
+    if (left < right) return -1;
+    return left > right ? 1 : 0;
+}
+
+/**
+ * Comparable form of a cell value; a multi-select picklist gives its
+ * values as a list
+ */
+function toCellOperand(value, rule, referenceLabels) {
+    const kind = getOperandKind(rule.dataType);
+    if (kind === NUMBER_FAMILY) return Number(value);
+    if (kind === BOOLEAN_FAMILY) return Boolean(value);
+    if (kind === DATE_FAMILY) {
+        return getTypeFamily(rule.dataType) === DATETIME_FAMILY ? toLocalDateString(value) : String(value).slice(0, 10);
+    }
+    if (getTypeFamily(rule.dataType) === MULTIPICKLIST_FAMILY) {
+        return splitMultiValue(value).map(part => part.toLowerCase());
+    }
+    return String(resolveReferenceLabel(value, referenceLabels)).toLowerCase();
+}
+
+function testOperand(cell, operator, operand) {
+    if (Array.isArray(cell)) {
+        // Multi-select picklist: 'notEquals' holds when no value is equal
+        if (operator === 'notEquals') return !cell.includes(operand);
+        return cell.some(part => testOperand(part, operator, operand));
+    }
+    switch (operator) {
+        case 'equals': return compare(cell, operand) === 0;
+        case 'notEquals': return compare(cell, operand) !== 0;
+        case 'greaterThan': return compare(cell, operand) > 0;
+        case 'greaterOrEqual': return compare(cell, operand) >= 0;
+        case 'lessThan': return compare(cell, operand) < 0;
+        case 'lessOrEqual': return compare(cell, operand) <= 0;
+        case 'between': return compare(cell, operand[0]) >= 0 && compare(cell, operand[1]) <= 0;
+        case 'in': return operand.includes(cell);
+        case 'contains': return cell.includes(operand);
+        case 'startsWith': return cell.startsWith(operand);
+        default: return false;
+    }
+}
+
+/**
+ * Tests a cell value against a normalized rule. Blank values match only
+ * 'isBlank' and 'notEquals'; checkboxes are never blank.
+ * @param {*} value - Cell value
+ * @param {Object} rule - From normalizeFormattingRules
+ * @param {Object} context - { today: local YYYY-MM-DD, referenceLabels }
+ * @returns {boolean}
+ */
+export function matchesRule(value, rule, context) {
+    const kind = getOperandKind(rule.dataType);
+    const blank = kind === BOOLEAN_FAMILY ? false : isBlank(value);
+    if (rule.operator === 'isBlank') return blank;
+    if (rule.operator === 'isNotBlank') return !blank;
+    if (blank) return rule.operator === 'notEquals';
+
+    const cell = toCellOperand(value, rule, context.referenceLabels);
+    if (cell === null || (kind === NUMBER_FAMILY && Number.isNaN(cell))) return false;
+
+    let operand = rule.operand;
+    if (kind === DATE_FAMILY) {
+        operand = Array.isArray(operand)
+            ? operand.map(part => resolveDateOperand(part, context.today))
+            : resolveDateOperand(operand, context.today);
+    }
+    return testOperand(cell, rule.operator, operand);
+}
+
+/**
+ * Scale of each data bar rule: its own min and max, or the range of its
+ * column in the given rows, widened to include zero
+ * @param {Array} rules - From normalizeFormattingRules
+ * @param {Array} rows - Rows shown
+ * @returns {Map} - rule => { min, max }
+ */
+export function getDataBarRanges(rules, rows) {
+    const ranges = new Map();
+    rules.filter(rule => rule.style.dataBar).forEach(rule => {
+        const values = rows
+            .map(row => row[rule.fieldApi])
+            .filter(value => !isBlank(value) && !Number.isNaN(Number(value)))
+            .map(Number);
+        ranges.set(rule, {
+            min: rule.min !== undefined ? rule.min : Math.min(0, ...values),
+            max: rule.max !== undefined ? rule.max : Math.max(0, ...values)
+        });
+    });
+    return ranges;
+}
+
+function getBarWidth(value, range) {
+    if (!range || range.max <= range.min) return 0;
+    const share = (Number(value) - range.min) / (range.max - range.min);
+    return Math.round(Math.min(Math.max(share, 0), 1) * 100);
+}
+
+/**
+ * Applies the rules to a row. Rules are checked in order and for each
+ * style property the first matching rule wins; a cell rule wins over a
+ * row rule for the same property.
+ * @param {Object} row - Working row
+ * @param {Array} rules - From normalizeFormattingRules
+ * @param {Object} context - { today, referenceLabels, dataBarRanges: getDataBarRanges result }
+ * @returns {Object} - { rowClass, cells: Map of fieldApi => { className, barWidth, icon } }
+ */
+export function formatRow(row, rules, context) {
+    const rowStyle = {};
+    const cellStyles = new Map();
+
+    rules.forEach(rule => {
+        const value = row[rule.fieldApi];
+        if (!matchesRule(value, rule, context)) return;
+
+        if (!cellStyles.has(rule.fieldApi)) {
+            cellStyles.set(rule.fieldApi, {});
+        }
+        const cellStyle = cellStyles.get(rule.fieldApi);
+        const colorTarget = rule.appliesTo === APPLIES_TO_ROW ? rowStyle : cellStyle;
+        ['background', 'textColor'].forEach(key => {
+            if (rule.style[key] && !colorTarget[key]) colorTarget[key] = rule.style[key];
+        });
+        if (rule.style.icon && !cellStyle.icon) {
+            cellStyle.icon = rule.style.icon;
+        }
+        if (rule.style.dataBar && !cellStyle.dataBar) {
+            cellStyle.dataBar = rule.style.dataBar;
+            cellStyle.barWidth = getBarWidth(value, context.dataBarRanges.get(rule));
+        }
+    });
+
+    const cells = new Map();
+    cellStyles.forEach((style, fieldApi) => {
+        const classes = [];
+        if (style.background) classes.push(`cf-bg-${style.background}`);
+        if (style.textColor) classes.push(`cf-text-${style.textColor}`);
+        if (style.dataBar) classes.push('cf-data-bar', `cf-bar-${style.dataBar}`);
+        if (classes.length === 0 && !style.icon) return;
+        cells.set(fieldApi, {
+            className: classes.join(' '),
+            barWidth: style.dataBar ? style.barWidth : null,
+            icon: style.icon || null
+        });
+    });
+
+    const rowClasses = [];
+    if (rowStyle.background) rowClasses.push(`cf-row-bg-${rowStyle.background}`);
+    if (rowStyle.textColor) rowClasses.push(`cf-row-text-${rowStyle.textColor}`);
+
+    return { rowClass: rowClasses.join(' '), cells };
+}
@@ -0,0 +1,561 @@
+/**
+ * Formula engine for CrowlTable computed columns
+ * Parses formula text into a syntax tree once and evaluates it against a
+ * row. Supports arithmetic, comparisons, & concatenation, IF and a small
+ * set of logical, number, text and date functions. Column references are
+ * field API names. Nothing is run through eval or Function.
+ */
+
+import {
+    getTypeFamily,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    BOOLEAN_FAMILY
+} from './fieldTypes';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Longest operators first so '<=' is not read as '<' then '='
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '+', '-', '*', '/', '^', '&', '=', '<', '>', '!'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+const KEYWORDS = { TRUE: true, FALSE: false, NULL: null };
+
+// Tokenizer
+
+function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const char = text[pos];
+
+        if (/\s/.test(char)) {
+            pos++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            if (!match) throw new Error(`Unexpected "${char}" at position ${pos + 1}`);
+            tokens.push({ type: 'number', value: Number(match[0]), pos });
+            pos += match[0].length;
+        } else if (char === '"' || char === '\'') {
+            let value = '';
+            let end = pos + 1;
+            while (end < text.length && text[end] !== char) {
+                // Backslash escapes the next character (\" or \\)
+                if (text[end] === '\\' && end + 1 < text.length) end++;
+                value += text[end];
+                end++;
+            }
+            if (end >= text.length) throw new Error(`Unclosed string at position ${pos + 1}`);
+            tokens.push({ type: 'string', value, pos });
+            pos = end + 1;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const name = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            tokens.push({ type: 'ident', value: name, pos });
+            pos += name.length;
+        } else if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, value: char, pos });
+            pos++;
+        } else {
+            const op = OPERATORS.find(candidate => text.startsWith(candidate, pos));
+            if (!op) throw new Error(`Unexpected "${char}" at position ${pos + 1}`);
+            tokens.push({ type: 'op', value: op, pos });
+            pos += op.length;
+        }
+    }
+
+    tokens.push({ type: 'end', value: null, pos: text.length });
+    return tokens;
+}
+
+// Parser (recursive descent, lowest precedence first)
+
+function createParser(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+
+    function expect(type) {
+        const token = next();
+        if (token.type !== type) {
+            const found = token.type === 'end' ? 'end of formula' : `"${token.value}"`;
+            throw new Error(`Expected "${type}" but found ${found} at position ${token.pos + 1}`);
+        }
+        return token;
+    }
+
+    function binaryLevel(ops, parseOperand) {
+        return () => {
+            let left = parseOperand();
+            while (isOp(...ops)) {
+                const op = next().value;
+                left = { type: 'binary', op, left, right: parseOperand() };
+            }
+            return left;
+        };
+    }
+
+    function parsePrimary() {
+        const token = next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value };
+            case '(': {
+                const expression = parseOr();
+                expect(')');
+                return expression;
+            }
+            case 'ident': {
+                const upper = token.value.toUpperCase();
+                if (peek().type === '(') {
+                    next();
+                    const args = [];
+                    if (peek().type !== ')') {
+                        args.push(parseOr());
+                        while (peek().type === ',') {
+                            next();
+                            args.push(parseOr());
+                        }
+                    }
+                    expect(')');
+                    if (!FUNCTIONS[upper]) throw new Error(`Unknown function ${token.value}`);
+                    return { type: 'call', name: upper, args };
+                }
+                if (Object.prototype.hasOwnProperty.call(KEYWORDS, upper)) {
+                    return { type: 'literal', value: KEYWORDS[upper] };
+                }
+                return { type: 'ref', name: token.value };
+            }
+            default: {
+                const found = token.type === 'end' ? 'end of formula' : `"${token.value}"`;
+                throw new Error(`Unexpected ${found} at position ${token.pos + 1}`);
+            }
+        }
+    }
+
+    function parseUnary() {
+        if (isOp('-', '+', '!')) {
+            const op = next().value;
+            return { type: 'unary', op, operand: parseUnary() };
+        }
+        const base = parsePrimary();
+        if (isOp('^')) {
+            next();
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    const parseMultiplicative = binaryLevel(['*', '/'], parseUnary);
+    const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+    const parseConcat = binaryLevel(['&'], parseAdditive);
+
+    function parseComparison() {
+        const left = parseConcat();
+        if (isOp(...COMPARISON_OPERATORS)) {
+            const op = next().value;
+            return { type: 'binary', op, left, right: parseConcat() };
+        }
+        return left;
+    }
+
+    const parseAnd = binaryLevel(['&&'], parseComparison);
+    const parseOr = binaryLevel(['||'], parseAnd);
+
+    return {
+        parse() {
+            const expression = parseOr();
+            const token = peek();
+            if (token.type !== 'end') {
+                throw new Error(`Unexpected "${token.value}" at position ${token.pos + 1}`);
+            }
+            return expression;
+        }
+    };
+}
+
+function collectReferences(node, references) {
+    switch (node.type) {
+        case 'ref':
+            references.add(node.name);
+            break;
+        case 'unary':
+            collectReferences(node.operand, references);
+            break;
+        case 'binary':
+            collectReferences(node.left, references);
+            collectReferences(node.right, references);
+            break;
+        case 'call':
+            node.args.forEach(arg => collectReferences(arg, references));
+            break;
+        default:
+            break;
+    }
+    return references;
+}
+
+// Values: null, number, string, boolean, or { kind: 'date' | 'datetime', time }.
+// Dates are UTC midnight; datetimes are an instant shown in local time.
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function isTemporal(value) {
+    return value !== null && typeof value === 'object' && (value.kind === 'date' || value.kind === 'datetime');
+}
+
+function makeDate(year, monthIndex, day) {
+    return { kind: 'date', time: Date.UTC(year, monthIndex, day) };
+}
+
+function parseDate(text) {
+    const match = String(text).match(DATE_PATTERN);
+    return match ? makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function parseDateTime(text) {
+    const time = new Date(text).getTime();
+    return Number.isNaN(time) ? null : { kind: 'datetime', time };
+}
+
+// Calendar parts: UTC for dates, local for datetimes
+function getDateParts(value) {
+    const date = new Date(value.time);
+    return value.kind === 'date'
+        ? { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() }
+        : { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+}
+
+function formatDate(value) {
+    const { year, month, day } = getDateParts(value);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function toText(value) {
+    if (isBlank(value)) return '';
+    if (isTemporal(value)) {
+        return value.kind === 'date' ? formatDate(value) : new Date(value.time).toISOString();
+    }
+    return String(value);
+}
+
+function toNumber(value, name) {
+    if (isBlank(value)) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const number = Number(value);
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(number)) return number;
+    throw new Error(`${name} expects a number`);
+}
+
+function toTemporal(value, name) {
+    if (isBlank(value)) return null;
+    if (isTemporal(value)) return value;
+    const parsed = typeof value === 'string' ? parseDate(value) || parseDateTime(value) : null;
+    if (!parsed) throw new Error(`${name} expects a date`);
+    return parsed;
+}
+
+function isTruthy(value) {
+    if (isBlank(value)) return false;
+    if (typeof value === 'string') return value.toLowerCase() === 'true';
+    return Boolean(value);
+}
+
+function comparable(value) {
+    return isTemporal(value) ? value.time : value;
+}
+
+// Operators
+
+function add(left, right) {
+    if (isBlank(left) || isBlank(right)) return null;
+    if (isTemporal(left) && !isTemporal(right)) {
+        return { kind: left.kind, time: left.time + toNumber(right, '+') * MS_PER_DAY };
+    }
+    if (isTemporal(right) && !isTemporal(left)) {
+        return { kind: right.kind, time: right.time + toNumber(left, '+') * MS_PER_DAY };
+    }
+    if (typeof left === 'string' && typeof right === 'string') return left + right;
+    return toNumber(left, '+') + toNumber(right, '+');
+}
+
+function subtract(left, right) {
+    if (isBlank(left) || isBlank(right)) return null;
+    if (isTemporal(left) && isTemporal(right)) return (left.time - right.time) / MS_PER_DAY;
+    if (isTemporal(left)) {
+        return { kind: left.kind, time: left.time - toNumber(right, '-') * MS_PER_DAY };
+    }
+    return toNumber(left, '-') - toNumber(right, '-');
+}
+
+function compare(op, left, right) {
+    if (isBlank(left) || isBlank(right)) {
+        const bothBlank = isBlank(left) && isBlank(right);
+        if (op === '=' || op === '==') return bothBlank;
+        if (op === '!=' || op === '<>') return !bothBlank;
+        return false;
+    }
+
+    let a = comparable(left);
+    let b = comparable(right);
+    if (typeof a !== typeof b) {
+        a = String(a);
+        b = String(b);
+    }
+    switch (op) {
+        case '=':
+        case '==':
+            return a === b;
+        case '!=':
+        case '<>':
+            return a !== b;
+        case '<':
+            return a < b;
+        case '<=':
+            return a <= b;
+        case '>':
+            return a > b;
+        default:
+            return a >= b;
+    }
+}
+
+function applyBinary(op, left, right) {
+    switch (op) {
+        case '+':
+            return add(left, right);
+        case '-':
+            return subtract(left, right);
+        case '&':
+            return toText(left) + toText(right);
+        default:
+            break;
+    }
+    if (COMPARISON_OPERATORS.includes(op)) return compare(op, left, right);
+
+    const a = toNumber(left, op);
+    const b = toNumber(right, op);
+    if (a === null || b === null) return null;
+    switch (op) {
+        case '*':
+            return a * b;
+        case '/':
+            if (b === 0) throw new Error('Division by zero');
+            return a / b;
+        default:
+            return a ** b;
+    }
+}
+
+// Functions receive their arguments unevaluated so IF, AND and OR only
+// evaluate what they need
+
+function numberFunction(name, fn) {
+    return (args, evaluate) => {
+        const values = args.map(arg => toNumber(evaluate(arg), name));
+        return values.some(value => value === null) ? null : fn(...values);
+    };
+}
+
+function textFunction(name, fn) {
+    return (args, evaluate) => fn(toText(evaluate(args[0])));
+}
+
+function datePartFunction(name, part) {
+    return (args, evaluate) => {
+        const value = toTemporal(evaluate(args[0]), name);
+        return value ? getDateParts(value)[part] + (part === 'month' ? 1 : 0) : null;
+    };
+}
+
+const FUNCTIONS = {
+    IF: (args, evaluate) => {
+        if (args.length < 2 || args.length > 3) throw new Error('IF expects 2 or 3 arguments');
+        if (isTruthy(evaluate(args[0]))) return evaluate(args[1]);
+        return args.length === 3 ? evaluate(args[2]) : null;
+    },
+    AND: (args, evaluate) => args.every(arg => isTruthy(evaluate(arg))),
+    OR: (args, evaluate) => args.some(arg => isTruthy(evaluate(arg))),
+    NOT: (args, evaluate) => !isTruthy(evaluate(args[0])),
+    ISBLANK: (args, evaluate) => isBlank(evaluate(args[0])),
+    BLANKVALUE: (args, evaluate) => {
+        const value = evaluate(args[0]);
+        return isBlank(value) ? evaluate(args[1]) : value;
+    },
+
+    ROUND: (args, evaluate) => {
+        const value = toNumber(evaluate(args[0]), 'ROUND');
+        const digits = args.length > 1 ? toNumber(evaluate(args[1]), 'ROUND') : 0;
+        if (value === null) return null;
+        const factor = 10 ** (digits || 0);
+        return Math.round(value * factor) / factor;
+    },
+    ABS: numberFunction('ABS', Math.abs),
+    FLOOR: numberFunction('FLOOR', Math.floor),
+    CEILING: numberFunction('CEILING', Math.ceil),
+    MOD: numberFunction('MOD', (a, b) => {
+        if (b === 0) throw new Error('Division by zero');
+        return a % b;
+    }),
+    MIN: numberFunction('MIN', Math.min),
+    MAX: numberFunction('MAX', Math.max),
+
+    TEXT: (args, evaluate) => toText(evaluate(args[0])),
+    LEN: textFunction('LEN', text => text.length),
+    UPPER: textFunction('UPPER', text => text.toUpperCase()),
+    LOWER: textFunction('LOWER', text => text.toLowerCase()),
+    TRIM: textFunction('TRIM', text => text.trim()),
+    CONTAINS: (args, evaluate) => toText(evaluate(args[0])).includes(toText(evaluate(args[1]))),
+
+    TODAY: () => {
+        const now = new Date();
+        return makeDate(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+    NOW: () => ({ kind: 'datetime', time: Date.now() }),
+    DATE: (args, evaluate) => {
+        const [year, month, day] = args.map(arg => toNumber(evaluate(arg), 'DATE'));
+        if (year === null || month === null || day === null) return null;
+        return makeDate(year, month - 1, day);
+    },
+    DATEVALUE: (args, evaluate) => {
+        const value = toTemporal(evaluate(args[0]), 'DATEVALUE');
+        if (!value) return null;
+        const { year, month, day } = getDateParts(value);
+        return makeDate(year, month, day);
+    },
+    YEAR: datePartFunction('YEAR', 'year'),
+    MONTH: datePartFunction('MONTH', 'month'),
+    DAY: datePartFunction('DAY', 'day'),
+    ADDMONTHS: (args, evaluate) => {
+        const value = toTemporal(evaluate(args[0]), 'ADDMONTHS');
+        const months = toNumber(evaluate(args[1]), 'ADDMONTHS');
+        if (!value || months === null) return null;
+        const { year, month, day } = getDateParts(value);
+        // Day of month is clamped to shorter months (Jan 31 => Feb 28)
+        const lastDay = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+        return makeDate(year, month + months, Math.min(day, lastDay));
+    }
+};
+
+// Reading row values and writing results back in the row's own formats
+
+function readColumnValue(value, column) {
+    if (isBlank(value)) return null;
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY:
+            return typeof value === 'number' ? value : toNumber(value, column.field_api);
+        case DATE_FAMILY:
+            return parseDate(value);
+        case DATETIME_FAMILY:
+            return parseDateTime(value);
+        case BOOLEAN_FAMILY:
+            return Boolean(value);
+        default:
+            return value;
+    }
+}
+
+function toColumnValue(value, column) {
+    if (isBlank(value)) return null;
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY: {
+            const number = toNumber(value, column.field_api);
+            // Drop binary noise such as 0.1 * 3 = 0.30000000000000004
+            return Number.isFinite(number) ? Math.round(number * 1e10) / 1e10 : null;
+        }
+        case DATE_FAMILY: {
+            const date = toTemporal(value, column.field_api);
+            return date ? formatDate(date) : null;
+        }
+        case DATETIME_FAMILY: {
+            const date = toTemporal(value, column.field_api);
+            return date ? new Date(date.time).toISOString() : null;
+        }
+        case BOOLEAN_FAMILY:
+            return isTruthy(value);
+        default:
+            return toText(value);
+    }
+}
+
+/**
+ * Parses a formula
+ * @param {string} formula - Formula text, e.g. "Amount__c * Probability__c / 100"
+ * @returns {Object} - { ast, references: Array<string> } (referenced field API names)
+ * @throws {Error} - When the formula cannot be parsed
+ */
+export function compileFormula(formula) {
+    const ast = createParser(tokenize(String(formula))).parse();
+    return { ast, references: Array.from(collectReferences(ast, new Set())) };
+}
+
+/**
+ * Evaluates a compiled formula against one row
+ * @param {Object} compiled - Result of compileFormula
+ * @param {Object} row - Row data
+ * @param {Map} columnMetadataMap - fieldApi => column metadata
+ * @param {Object} column - The formula column; its dataType decides the result format
+ * @returns {*} - Value in the row format of the column's dataType
+ * @throws {Error} - When the row's values cannot be combined (e.g. division by zero)
+ */
+export function evaluateFormula(compiled, row, columnMetadataMap, column) {
+    const evaluate = node => {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'ref':
+                return readColumnValue(row[node.name], columnMetadataMap.get(node.name));
+            case 'unary': {
+                const value = evaluate(node.operand);
+                if (node.op === '!') return !isTruthy(value);
+                const number = toNumber(value, node.op);
+                if (number === null) return null;
+                return node.op === '-' ? -number : number;
+            }
+            case 'binary':
+                if (node.op === '&&') return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+                if (node.op === '||') return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+                return applyBinary(node.op, evaluate(node.left), evaluate(node.right));
+            default:
+                return FUNCTIONS[node.name](node.args, evaluate);
+        }
+    };
+    return toColumnValue(evaluate(compiled.ast), column);
+}
+
+/**
+ * Orders formula columns so each one is computed after the formula
+ * columns it refers to
+ * @param {Map} referencesByField - Formula column fieldApi => referenced field API names
+ * @returns {Array<string>} - Formula column field API names in evaluation order
+ * @throws {Error} - When formulas refer to each other in a cycle
+ */
+export function getEvaluationOrder(referencesByField) {
+    const order = [];
+    const state = new Map(); // fieldApi => 'visiting' | 'done'
+
+    const visit = (fieldApi, path) => {
+        if (state.get(fieldApi) === 'done') return;
+        if (state.get(fieldApi) === 'visiting') {
+            throw new Error(`Circular formula reference: ${[...path, fieldApi].join(' -> ')}`);
+        }
+        state.set(fieldApi, 'visiting');
+        referencesByField.get(fieldApi).forEach(reference => {
+            if (referencesByField.has(reference)) {
+                visit(reference, [...path, fieldApi]);
+            }
+        });
+        state.set(fieldApi, 'done');
+        order.push(fieldApi);
+    };
+
+    referencesByField.forEach((references, fieldApi) => visit(fieldApi, []));
+    return order;
+}
@@ -0,0 +1,138 @@
+/**
+ * Row grouping utilities for CrowlTable component
+ * Buckets rows by a picklist, boolean, text or date column (dates by
+ * month) and computes each group's row count and number subtotals
+ */
+
+import {
+    getTypeFamily,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    PICKLIST_FAMILY,
+    BOOLEAN_FAMILY,
+    TEXT_FAMILY,
+    toLocalDateString
+} from './fieldTypes';
+
+const BLANK_GROUP_KEY = '__blank__';
+const BLANK_GROUP_LABEL = '(Blank)';
+
+/**
+ * Whether rows can be grouped by a column
+ * @param {Object} column - Column metadata
+ * @returns {boolean}
+ */
+export function isGroupable(column) {
+    return [PICKLIST_FAMILY, BOOLEAN_FAMILY, TEXT_FAMILY, DATE_FAMILY, DATETIME_FAMILY]
+        .includes(getTypeFamily(column.dataType));
+}
+
+// Month key ('YYYY-MM') of a date or datetime; datetimes use the local date
+function getMonthKey(value, family) {
+    const date = family === DATE_FAMILY ? String(value).slice(0, 10) : toLocalDateString(value);
+    return date && /^\d{4}-\d{2}/.test(date) ? date.slice(0, 7) : null;
+}
+
+function formatMonth(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+}
+
+function getGroupKey(value, family) {
+    // An empty checkbox is unchecked, not blank
+    if (family === BOOLEAN_FAMILY) return value ? 'true' : 'false';
+    if (value === null || value === undefined || value === '') return BLANK_GROUP_KEY;
+    switch (family) {
+        case DATE_FAMILY:
+        case DATETIME_FAMILY:
+            return getMonthKey(value, family) || BLANK_GROUP_KEY;
+        case TEXT_FAMILY:
+            return String(value).trim() || BLANK_GROUP_KEY;
+        default:
+            return String(value);
+    }
+}
+
+function getGroupLabel(key, column, family) {
+    if (key === BLANK_GROUP_KEY) return BLANK_GROUP_LABEL;
+    switch (family) {
+        case BOOLEAN_FAMILY:
+            return key === 'true' ? 'Checked' : 'Unchecked';
+        case DATE_FAMILY:
+        case DATETIME_FAMILY:
+            return formatMonth(key);
+        case PICKLIST_FAMILY: {
+            const option = (column.picklistValues || []).find(opt => opt.value === key);
+            return option ? option.label : key;
+        }
+        default:
+            return key;
+    }
+}
+
+// Natural group order: picklist order, Checked first, months ascending,
+// text alphabetical; blank always last
+function compareGroupKeys(a, b, column, family) {
+    if (a === BLANK_GROUP_KEY || b === BLANK_GROUP_KEY) {
+        return (a === BLANK_GROUP_KEY) - (b === BLANK_GROUP_KEY);
+    }
+    switch (family) {
+        case PICKLIST_FAMILY: {
+            const order = (column.picklistValues || []).map(opt => opt.value);
+            const indexA = order.indexOf(a);
+            const indexB = order.indexOf(b);
+            // Values missing from the picklist go after the known ones
+            return (indexA < 0 ? order.length : indexA) - (indexB < 0 ? order.length : indexB) ||
+                a.localeCompare(b);
+        }
+        case BOOLEAN_FAMILY:
+            return a === b ? 0 : (a === 'true' ? -1 : 1);
+        case DATE_FAMILY:
+        case DATETIME_FAMILY:
+            return a < b ? -1 : (a > b ? 1 : 0);
+        default:
+            return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    }
+}
+
+/**
+ * Groups rows by a column. Rows keep their order within each group.
+ * @param {Array} rows - Rows in display order
+ * @param {Object} column - Column to group by
+ * @param {Array} columns - All columns; number columns get subtotals
+ * @param {Object} options - { keepRowOrder: order groups by first appearance,
+ *   used when the rows are already sorted by the grouped column }
+ * @returns {Array} - [{ key, label, rows, subtotals: { fieldApi: sum } }]
+ */
+export function groupRows(rows, column, columns, options = {}) {
+    const family = getTypeFamily(column.dataType);
+    const numberColumns = columns.filter(col => getTypeFamily(col.dataType) === NUMBER_FAMILY);
+    const groupsByKey = new Map();
+
+    rows.forEach(row => {
+        const key = getGroupKey(row[column.field_api], family);
+        let group = groupsByKey.get(key);
+        if (!group) {
+            group = { key, label: getGroupLabel(key, column, family), rows: [], subtotals: {} };
+            numberColumns.forEach(col => {
+                group.subtotals[col.field_api] = null;
+            });
+            groupsByKey.set(key, group);
+        }
+        group.rows.push(row);
+
+        numberColumns.forEach(col => {
+            const value = row[col.field_api];
+            if (typeof value === 'number' && !Number.isNaN(value)) {
+                group.subtotals[col.field_api] = (group.subtotals[col.field_api] || 0) + value;
+            }
+        });
+    });
+
+    const groups = Array.from(groupsByKey.values());
+    if (!options.keepRowOrder) {
+        groups.sort((a, b) => compareGroupKeys(a.key, b.key, column, family));
+    }
+    return groups;
+}
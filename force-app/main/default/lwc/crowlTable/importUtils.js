@@ -0,0 +1,150 @@
+/**
+ * CSV import utilities for CrowlTable component
+ * Parses a CSV file, maps its header to columns, matches rows by Id and
+ * builds a preview of the changes before they are staged as edits
+ */
+
+import { parseDelimited, parseClipboardValue } from './clipboardUtils';
+import { validateCell } from './validationUtils';
+
+const ID_HEADERS = ['id', 'recordid', 'record id'];
+
+function normalizeHeader(text) {
+    return String(text || '').replace(/__c$/i, '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Undoes the apostrophe toCsv puts before text starting with = + - @
+function unescapeFormulaText(text) {
+    return text.replace(/^'(?='*[=+\-@])/, '');
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Parses CSV text into a header and data records. Strips the UTF-8 BOM
+ * and skips blank lines.
+ * @param {string} text - CSV file content
+ * @returns {Object} - { headers: [string], records: [{ line, values: [string] }] }
+ */
+export function parseCsv(text) {
+    const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const matrix = parseDelimited(content, ',');
+    if (matrix.length === 0) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = matrix[0].map(header => header.trim());
+    const records = [];
+    matrix.slice(1).forEach((values, index) => {
+        if (values.every(value => value.trim() === '')) return;
+        // Line numbers are 1-based and count the header row
+        records.push({ line: index + 2, values });
+    });
+
+    return { headers, records };
+}
+
+/**
+ * Guesses the Id column and a target column for each CSV header by
+ * comparing against field_api and label (case, spaces, underscores and a
+ * trailing __c are ignored)
+ * @param {Array} headers - CSV header cells
+ * @param {Array} columns - Column metadata
+ * @returns {Object} - { idIndex, mapping: [fieldApi | ''] } (one entry per header)
+ */
+export function autoMapHeaders(headers, columns) {
+    const byKey = new Map();
+    columns.forEach(col => {
+        byKey.set(normalizeHeader(col.field_api), col.field_api);
+        if (!byKey.has(normalizeHeader(col.label))) {
+            byKey.set(normalizeHeader(col.label), col.field_api);
+        }
+    });
+
+    const idIndex = headers.findIndex(header => ID_HEADERS.includes(header.trim().toLowerCase()));
+    const used = new Set();
+    const mapping = headers.map((header, index) => {
+        if (index === idIndex) return '';
+        const fieldApi = byKey.get(normalizeHeader(header));
+        if (!fieldApi || used.has(fieldApi)) return '';
+        used.add(fieldApi);
+        return fieldApi;
+    });
+
+    return { idIndex, mapping };
+}
+
+/**
+ * Matches CSV records to working rows and computes the staged changes.
+ * The apostrophe export puts before a leading = + - @ is stripped. A
+ * value is rejected when it fails type conversion or validation; a row
+ * is rejected when its Id is missing or not in the table.
+ * @param {Object} csv - Result of parseCsv
+ * @param {Object} options - { idIndex, mapping, workingDataMap, columnMetadataMap, customValidators }
+ * @returns {Object} - { totalRows, matchedRowCount, changes, rejectedRows, rejectedValues }
+ *   changes:        [{ rowId, fieldApi, oldValue, newValue, line }]
+ *   rejectedRows:   [{ line, rowId, reason }]
+ *   rejectedValues: [{ line, rowId, fieldApi, text, reason }]
+ */
+export function buildImportPreview(csv, options) {
+    const { idIndex, mapping, workingDataMap, columnMetadataMap, customValidators } = options;
+
+    // Salesforce Ids may be exported in their 15-character form
+    const shortIdMap = new Map();
+    workingDataMap.forEach((row, rowId) => shortIdMap.set(String(rowId).slice(0, 15), row));
+
+    const changes = [];
+    const rejectedRows = [];
+    const rejectedValues = [];
+    const seenRowIds = new Set();
+    let matchedRowCount = 0;
+
+    csv.records.forEach(({ line, values }) => {
+        const rawId = idIndex >= 0 ? (values[idIndex] || '').trim() : '';
+        if (!rawId) {
+            rejectedRows.push({ line, rowId: '', reason: 'Missing Id' });
+            return;
+        }
+
+        const row = workingDataMap.get(rawId) || shortIdMap.get(rawId.slice(0, 15));
+        if (!row) {
+            rejectedRows.push({ line, rowId: rawId, reason: 'No row with this Id in the table' });
+            return;
+        }
+        if (seenRowIds.has(row.Id)) {
+            rejectedRows.push({ line, rowId: row.Id, reason: 'Duplicate Id; an earlier line already updates this row' });
+            return;
+        }
+        seenRowIds.add(row.Id);
+        matchedRowCount++;
+
+        mapping.forEach((fieldApi, index) => {
+            if (!fieldApi || index >= values.length) return;
+
+            const column = columnMetadataMap.get(fieldApi);
+            const text = unescapeFormulaText(values[index]);
+            const newValue = parseClipboardValue(column, text);
+            const error = validateCell(newValue, column, { ...row, [fieldApi]: newValue }, customValidators);
+            if (error) {
+                rejectedValues.push({ line, rowId: row.Id, fieldApi, text, reason: error });
+                return;
+            }
+
+            const oldValue = row[fieldApi];
+            const unchanged = (isBlank(oldValue) && isBlank(newValue)) || oldValue === newValue;
+            if (!unchanged) {
+                changes.push({ rowId: row.Id, fieldApi, oldValue, newValue, line });
+            }
+        });
+    });
+
+    return {
+        totalRows: csv.records.length,
+        matchedRowCount,
+        changes,
+        rejectedRows,
+        rejectedValues
+    };
+}
@@ -1,8 +1,22 @@
 /**
  * Mock Data Generator for CrowlTable component
- * Use this for local testing and Lightning Component Preview
+ * Use this for local testing and Lightning Component Preview. Values come
+ * from a seeded generator, so the same seed always gives the same rows
+ * (tests rely on this).
+ *
+ * A mock config picks what is generated:
+ *   { preset, seed, rowCount, nullRatio, edgeCaseRatio, columns }
+ * Without columns the rows are the sample tasks below; with columns each
+ * row gets a typical value for every column's dataType. nullRatio and
+ * edgeCaseRatio (0-1, also settable per column) then blank values or swap
+ * in awkward ones: very long text, unicode, extreme numbers and dates,
+ * inactive picklist values and lookups to missing records.
  */
 
+export const DEFAULT_SEED = 1;
+export const DEFAULT_PRESET = 'default';
+export const PATHOLOGICAL_PRESET = 'pathological';
+
 const FIRST_NAMES = [
     'John', 'Jane', 'Michael', 'Sarah', 'David', 'Emily', 'James', 'Emma',
     'Robert', 'Olivia', 'William', 'Sophia', 'Richard', 'Isabella', 'Joseph',
@@ -19,35 +33,217 @@ const STATUSES = ['Open', 'In Progress', 'Closed', 'On Hold', 'Cancelled'];
 
 const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
 
+const ACCOUNT_NAMES = [
+    'Acme Corporation', 'Blue Harbor Logistics', 'Cedar Point Health', 'Delta Manufacturing',
+    'Evergreen Foods', 'Falcon Aerospace', 'Granite Capital', 'Horizon Telecom',
+    'Ironwood Energy', 'Juniper Retail', 'Keystone Insurance', 'Lakeside Hotels',
+    'Meridian Software', 'Northwind Traders', 'Orion Biotech', 'Pinnacle Consulting'
+];
+
+// Related records the mock lookup search can find, keyed by object API name
+const MOCK_LOOKUP_RECORDS = {
+    Account: ACCOUNT_NAMES.map((name, index) => ({ id: generateId(index + 1, '001'), name }))
+};
+
+const TAGS = ['Billing', 'Legal', 'Onboarding', 'Renewal', 'Support', 'Urgent'];
+
+const NOTES = [
+    'Waiting on signed paperwork.',
+    'Customer asked for a follow-up call.\nPrefers mornings.',
+    'Escalated to the account team.',
+    ''
+];
+
+const TASK_VERBS = ['Review', 'Update', 'Complete', 'Process', 'Verify'];
+
+const TASK_OBJECTS = ['documents', 'records', 'data', 'files', 'reports'];
+
+const LONG_TEXT = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(80).trim();
+
+const UNICODE_TEXT = [
+    'Crème brûlée – Ünïcödé',
+    '東京都渋谷区 営業部',
+    'مرحبا بالعالم',
+    'שלום עולם',
+    '👩‍💻 Launch 🚀',
+    'Z̤͔ͧ̑̓ä͖̭̈̇lgo text',
+    'Ｆｕｌｌｗｉｄｔｈ'
+];
+
+// Values that trip up parsing, copy/paste and export rather than rendering
+const AWKWARD_TEXT = [
+    '  padded  ',
+    'Line one\nLine two',
+    'Tab\tseparated',
+    'Quote "double" and \'single\'',
+    'Comma, separated; semicolon',
+    '=SUM(A1:A2)',
+    '<b>not bold</b>'
+];
+
+// Edge-case values by dataType; picklist and lookup edge cases depend on the column
+const EDGE_CASE_VALUES = {
+    text: [LONG_TEXT, ...UNICODE_TEXT, ...AWKWARD_TEXT],
+    textarea: [LONG_TEXT.replace(/\. /g, '.\n'), UNICODE_TEXT.join('\n'), '\n\n\n'],
+    email: ['o\'neil+tag@sub.example.co.uk', 'ünïcode@exämple.com', 'not-an-email'],
+    phone: ['+44 20 7946 0958 ext. 1234', '555', '+81-3-1234-5678'],
+    url: ['https://example.com/a%20b?q=ü#frag', `https://${'very-long-'.repeat(30)}example.com`, 'ftp://example.com'],
+    number: [0, -0.01, -999999999.99, 999999999999.99, 0.000001],
+    currency: [0, -0.01, -999999999.99, 999999999999.99, 0.000001],
+    percent: [0, 100, -5, 250.5],
+    date: ['1900-01-01', '2099-12-31', '2024-02-29'],
+    datetime: ['1970-01-01T00:00:00.000Z', '2038-01-19T03:14:07.000Z', '2024-03-10T10:30:00.000Z']
+};
+
+const INACTIVE_PICKLIST_VALUE = 'Retired Value';
+
+// A wide schema with every dataType, long and awkward picklist values and a formula over blanks
+const PATHOLOGICAL_COLUMNS = [
+    { field_api: 'Name', label: 'Name', 'data-type': 'text' },
+    { field_api: 'Unicode_Name__c', label: 'Unicode Name', 'data-type': 'text', edgeCaseRatio: 0.5 },
+    { field_api: 'Long_Description__c', label: 'Long Description', 'data-type': 'textarea', edgeCaseRatio: 0.3 },
+    { field_api: 'Amount__c', label: 'Amount', 'data-type': 'currency', min: -50000, max: 5000000 },
+    { field_api: 'Quantity__c', label: 'Quantity', 'data-type': 'number', min: -1000, max: 1000, decimals: 0 },
+    { field_api: 'Discount__c', label: 'Discount', 'data-type': 'percent', max: 100, decimals: 1 },
+    {
+        field_api: 'Net_Amount__c',
+        label: 'Net Amount',
+        'data-type': 'currency',
+        formula: 'Amount__c * (100 - Discount__c) / 100'
+    },
+    {
+        field_api: 'Stage__c',
+        label: 'Stage',
+        'data-type': 'picklist',
+        values: [
+            'Prospecting', 'Qualification', 'Needs Analysis', 'Value Proposition', 'Id. Decision Makers',
+            'Perception Analysis', 'Proposal/Price Quote', 'Negotiation/Review', 'Négociation (FR)',
+            'Closed – Won', 'Closed – Lost', 'Partner\'s Choice', 'A, B & C',
+            'A picklist value long enough to wrap in every column width the table allows'
+        ]
+    },
+    {
+        field_api: 'Regions__c',
+        label: 'Regions',
+        'data-type': 'multipicklist',
+        values: ['AMER', 'EMEA', 'APAC', 'LATAM', 'ANZ', 'DACH', 'Nordics', 'Benelux', 'Iberia', 'Middle East', 'Africa', 'Japan']
+    },
+    { field_api: 'Close_Date__c', label: 'Close Date', 'data-type': 'date' },
+    { field_api: 'Last_Activity__c', label: 'Last Activity', 'data-type': 'datetime' },
+    { field_api: 'Is_Flagged__c', label: 'Flagged', 'data-type': 'boolean' },
+    {
+        field_api: 'Account__c',
+        label: 'Account',
+        'data-type': 'reference',
+        referenceTo: 'Account',
+        relationshipName: 'Account__r'
+    },
+    { field_api: 'Email__c', label: 'Email', 'data-type': 'email' },
+    { field_api: 'Phone__c', label: 'Phone', 'data-type': 'phone' },
+    { field_api: 'Website__c', label: 'Website', 'data-type': 'url' }
+];
+
+/**
+ * Named mock configs; a config's own keys override its preset's
+ */
+export const MOCK_PRESETS = {
+    [DEFAULT_PRESET]: { rowCount: 200 },
+    // Stress test: 10k wide rows, many blanks and edge cases
+    [PATHOLOGICAL_PRESET]: {
+        rowCount: 10000,
+        nullRatio: 0.15,
+        edgeCaseRatio: 0.1,
+        columns: PATHOLOGICAL_COLUMNS
+    }
+};
+
+// Keys of a schema column that only steer generation
+const GENERATOR_KEYS = ['nullRatio', 'edgeCaseRatio', 'min', 'max', 'decimals'];
+
+// Version stamps of generated rows, one minute apart from this time
+const MOCK_LOADED_AT = Date.UTC(2025, 0, 1);
+
+// Rows as the mock server holds them: set by resetMockServer, changed by
+// mockSaveRows and mockServerUpdate, read by mockGetCurrentRows
+const mockServerRows = new Map();
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} - Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Generates a random date between start and end dates
+ * @param {Function} random - From createRandom
  * @param {Date} start - Start date
  * @param {Date} end - End date
  * @returns {string} - ISO date string (YYYY-MM-DD)
  */
-function randomDate(start = new Date(2024, 0, 1), end = new Date(2025, 11, 31)) {
-    const date = new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
+function randomDate(random, start = new Date(2024, 0, 1), end = new Date(2025, 11, 31)) {
+    const date = new Date(start.getTime() + random() * (end.getTime() - start.getTime()));
     return date.toISOString().split('T')[0];
 }
 
+/**
+ * Generates a random datetime between start and end dates
+ * @param {Function} random - From createRandom
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {string} - ISO datetime string in UTC, whole minutes
+ */
+function randomDateTime(random, start = new Date(2024, 0, 1), end = new Date(2025, 11, 31)) {
+    const time = start.getTime() + random() * (end.getTime() - start.getTime());
+    const date = new Date(Math.floor(time / 60000) * 60000);
+    return date.toISOString();
+}
+
+/**
+ * Picks a random subset of an array, keeping its order
+ * @param {Function} random - From createRandom
+ * @param {Array} arr - Source array
+ * @param {number} max - Maximum number of elements
+ * @returns {Array} - Subset (may be empty)
+ */
+function randomSubset(random, arr, max = 3) {
+    const count = Math.floor(random() * (max + 1));
+    const picked = new Set();
+    while (picked.size < count) {
+        picked.add(randomFrom(random, arr));
+    }
+    return arr.filter(item => picked.has(item));
+}
+
 /**
  * Generates a random element from an array
+ * @param {Function} random - From createRandom
  * @param {Array} arr - Source array
  * @returns {*} - Random element
  */
-function randomFrom(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+function randomFrom(random, arr) {
+    return arr[Math.floor(random() * arr.length)];
 }
 
 /**
  * Generates a random number within a range
+ * @param {Function} random - From createRandom
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
  * @param {number} decimals - Number of decimal places
  * @returns {number} - Random number
  */
-function randomNumber(min = 0, max = 10000, decimals = 2) {
-    const value = min + Math.random() * (max - min);
+function randomNumber(random, min = 0, max = 10000, decimals = 2) {
+    const value = min + random() * (max - min);
     return Number(value.toFixed(decimals));
 }
 
@@ -63,12 +259,13 @@ function generateId(index, prefix = 'a00') {
 
 /**
  * Generates a random name
+ * @param {Function} random - From createRandom
  * @param {number} index - Row index for uniqueness
  * @returns {string} - Full name
  */
-function generateName(index) {
-    const firstName = randomFrom(FIRST_NAMES);
-    const lastName = randomFrom(LAST_NAMES);
+function generateName(random, index) {
+    const firstName = randomFrom(random, FIRST_NAMES);
+    const lastName = randomFrom(random, LAST_NAMES);
     return `${firstName} ${lastName} ${index}`;
 }
 
@@ -89,7 +286,31 @@ export function generateColumns() {
             object_api: 'Sample_Object__c',
             field_api: 'Amount__c',
             label: 'Amount',
-            'data-type': 'number',
+            'data-type': 'currency',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Probability__c',
+            label: 'Probability',
+            'data-type': 'percent',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Weighted_Amount__c',
+            label: 'Weighted Amount',
+            'data-type': 'currency',
+            formula: 'Amount__c * Probability__c / 100',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Account__c',
+            label: 'Account',
+            'data-type': 'reference',
+            referenceTo: 'Account',
+            relationshipName: 'Account__r',
             values: null
         },
         {
@@ -120,6 +341,21 @@ export function generateColumns() {
             'data-type': 'date',
             values: null
         },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Duration_Days__c',
+            label: 'Duration (Days)',
+            'data-type': 'number',
+            formula: 'Due_Date__c - Start_Date__c',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Last_Contacted__c',
+            label: 'Last Contacted',
+            'data-type': 'datetime',
+            values: null
+        },
         {
             object_api: 'Sample_Object__c',
             field_api: 'Is_Active__c',
@@ -140,6 +376,41 @@ export function generateColumns() {
             label: 'Description',
             'data-type': 'text',
             values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Contact_Email__c',
+            label: 'Contact Email',
+            'data-type': 'email',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Contact_Phone__c',
+            label: 'Contact Phone',
+            'data-type': 'phone',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Website__c',
+            label: 'Website',
+            'data-type': 'url',
+            values: null
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Tags__c',
+            label: 'Tags',
+            'data-type': 'multipicklist',
+            values: TAGS.map(t => `'${t}'`).join(',')
+        },
+        {
+            object_api: 'Sample_Object__c',
+            field_api: 'Notes__c',
+            label: 'Notes',
+            'data-type': 'textarea',
+            values: null
         }
     ];
 }
@@ -147,51 +418,447 @@ export function generateColumns() {
 /**
  * Generates mock row data
  * @param {number} count - Number of rows to generate
+ * @param {number} seed - Same seed, same rows
  * @returns {Array} - Array of row objects
  */
-export function generateRows(count = 200) {
+export function generateRows(count = 200, seed = DEFAULT_SEED) {
+    const random = createRandom(seed);
     const rows = [];
 
     for (let i = 1; i <= count; i++) {
-        const startDate = randomDate(new Date(2024, 0, 1), new Date(2025, 6, 1));
-        const dueDate = randomDate(new Date(startDate), new Date(2025, 11, 31));
+        const startDate = randomDate(random, new Date(2024, 0, 1), new Date(2025, 6, 1));
+        const dueDate = randomDate(random, new Date(startDate), new Date(2025, 11, 31));
+        const lastName = randomFrom(random, LAST_NAMES);
+        const tags = randomSubset(random, TAGS);
+        const account = randomFrom(random, MOCK_LOOKUP_RECORDS.Account);
 
         rows.push({
             Id: generateId(i),
-            Name: generateName(i),
-            Amount__c: randomNumber(100, 50000, 2),
-            Status__c: randomFrom(STATUSES),
-            Priority__c: randomFrom(PRIORITIES),
+            Name: generateName(random, i),
+            Amount__c: randomNumber(random, 100, 50000, 2),
+            Probability__c: randomNumber(random, 0, 100, 0),
+            Account__c: account.id,
+            // Same shape as getObjectTableData: the related record's name under the relationship name
+            Account__r: { Id: account.id, Name: account.name },
+            Status__c: randomFrom(random, STATUSES),
+            Priority__c: randomFrom(random, PRIORITIES),
             Start_Date__c: startDate,
             Due_Date__c: dueDate,
-            Is_Active__c: Math.random() > 0.3,
-            Is_Approved__c: Math.random() > 0.5,
-            Description__c: `Task item ${i} - ${randomFrom(['Review', 'Update', 'Complete', 'Process', 'Verify'])} ${randomFrom(['documents', 'records', 'data', 'files', 'reports'])}`
+            Last_Contacted__c: randomDateTime(random),
+            Is_Active__c: random() > 0.3,
+            Is_Approved__c: random() > 0.5,
+            Description__c: `Task item ${i} - ${randomFrom(random, TASK_VERBS)} ${randomFrom(random, TASK_OBJECTS)}`,
+            Contact_Email__c: `${lastName.toLowerCase()}${i}@example.com`,
+            Contact_Phone__c: `(555) ${String(100 + (i % 900)).padStart(3, '0')}-${String(i % 10000).padStart(4, '0')}`,
+            Website__c: `www.${lastName.toLowerCase()}-${i}.example.com`,
+            Tags__c: tags.length > 0 ? tags.join(';') : null,
+            Notes__c: randomFrom(random, NOTES) || null
+        });
+    }
+
+    return rows;
+}
+
+function getDataType(column) {
+    return column.dataType || column['data-type'] || 'text';
+}
+
+function numberOr(value, fallback) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Reads a schema column's picklist values: ['a', 'b'], [{ label, value }]
+ * or the "'a','b'" string of generateColumns
+ * @param {Object} column - Schema column
+ * @returns {Array<string>} - Values
+ */
+function getSchemaValues(column) {
+    const raw = column.picklistValues || column.values;
+    if (!raw) return [];
+    if (Array.isArray(raw)) {
+        return raw.map(value => (value && typeof value === 'object' ? value.value : String(value)));
+    }
+    return (String(raw).match(/'([^']+)'/g) || []).map(match => match.slice(1, -1));
+}
+
+// Lookups to objects without mock records point at the sample Accounts
+function getLookupRecords(column) {
+    return MOCK_LOOKUP_RECORDS[column.referenceTo] || MOCK_LOOKUP_RECORDS.Account;
+}
+
+/**
+ * Generates a typical value for a schema column
+ * @param {Function} random - From createRandom
+ * @param {Object} column - Schema column
+ * @param {number} index - Row number, for unique text values
+ * @returns {*} - Cell value
+ */
+function generateValue(random, column, index) {
+    const dataType = getDataType(column);
+    switch (dataType) {
+        case 'number':
+        case 'currency':
+        case 'percent': {
+            const isPercent = dataType === 'percent';
+            return randomNumber(
+                random,
+                numberOr(column.min, 0),
+                numberOr(column.max, isPercent ? 100 : 50000),
+                numberOr(column.decimals, isPercent ? 0 : 2)
+            );
+        }
+        case 'date':
+            return randomDate(random);
+        case 'datetime':
+            return randomDateTime(random);
+        case 'boolean':
+            return random() > 0.5;
+        case 'picklist': {
+            const values = getSchemaValues(column);
+            return values.length > 0 ? randomFrom(random, values) : null;
+        }
+        case 'multipicklist': {
+            const values = randomSubset(random, getSchemaValues(column));
+            return values.length > 0 ? values.join(';') : null;
+        }
+        case 'reference':
+            return randomFrom(random, getLookupRecords(column)).id;
+        case 'email':
+            return `${randomFrom(random, LAST_NAMES).toLowerCase()}${index}@example.com`;
+        case 'phone':
+            return `(555) ${String(100 + Math.floor(random() * 900))}-${String(Math.floor(random() * 10000)).padStart(4, '0')}`;
+        case 'url':
+            return `www.${randomFrom(random, LAST_NAMES).toLowerCase()}-${index}.example.com`;
+        case 'textarea':
+            return randomFrom(random, NOTES) || null;
+        default:
+            return column.field_api === 'Name'
+                ? generateName(random, index)
+                : `${randomFrom(random, TASK_VERBS)} ${randomFrom(random, TASK_OBJECTS)} ${index}`;
+    }
+}
+
+/**
+ * Picks an edge-case value for a schema column
+ * @param {Function} random - From createRandom
+ * @param {Object} column - Schema column
+ * @returns {*} - Cell value
+ */
+function generateEdgeCaseValue(random, column) {
+    const dataType = getDataType(column);
+    if (dataType === 'picklist') {
+        const longest = getSchemaValues(column).reduce((a, b) => (b.length > a.length ? b : a), '');
+        return randomFrom(random, [INACTIVE_PICKLIST_VALUE, longest || INACTIVE_PICKLIST_VALUE]);
+    }
+    if (dataType === 'multipicklist') {
+        const values = getSchemaValues(column);
+        return values.length > 0 ? values.join(';') : INACTIVE_PICKLIST_VALUE;
+    }
+    if (dataType === 'reference') {
+        // Id of a record that no longer exists, so there is no name to show
+        return generateId(999999, getLookupRecords(column)[0].id.slice(0, 3));
+    }
+    return randomFrom(random, EDGE_CASE_VALUES[dataType] || EDGE_CASE_VALUES.text);
+}
+
+/**
+ * Sets a lookup value and the related record the table shows its name from
+ * @param {Object} row - Row to update
+ * @param {Object} column - Reference column
+ * @param {string|null} recordId - Related record Id
+ */
+function setLookupValue(row, column, recordId) {
+    row[column.field_api] = recordId;
+    if (!column.relationshipName) return;
+    const record = recordId ? getLookupRecords(column).find(candidate => candidate.id === recordId) : null;
+    row[column.relationshipName] = record ? { Id: record.id, Name: record.name } : null;
+}
+
+/**
+ * Generates rows with a typical value for every schema column. Formula
+ * columns are left to the table to compute.
+ * @param {Array} columns - Schema columns
+ * @param {number} count - Number of rows to generate
+ * @param {Function} random - From createRandom
+ * @returns {Array} - Array of row objects
+ */
+function generateSchemaRows(columns, count, random) {
+    const dataColumns = columns.filter(column => !column.formula);
+    const rows = [];
+
+    for (let i = 1; i <= count; i++) {
+        const row = { Id: generateId(i) };
+        dataColumns.forEach(column => {
+            const value = generateValue(random, column, i);
+            if (getDataType(column) === 'reference') {
+                setLookupValue(row, column, value);
+            } else {
+                row[column.field_api] = value;
+            }
         });
+        rows.push(row);
     }
 
     return rows;
 }
 
 /**
- * Generates complete mock table data (columns + rows)
- * @param {number} rowCount - Number of rows to generate
+ * Blanks values and swaps in edge cases at each column's ratios.
+ * Checkboxes are never blank in Salesforce, so booleans are left alone.
+ * @param {Array} rows - Rows to update in place
+ * @param {Array} columns - Columns, with resolved nullRatio and edgeCaseRatio
+ * @param {Function} random - From createRandom
+ */
+function applyNullsAndEdgeCases(rows, columns, random) {
+    const mixedColumns = columns.filter(column =>
+        !column.formula && getDataType(column) !== 'boolean' && (column.nullRatio > 0 || column.edgeCaseRatio > 0));
+    if (mixedColumns.length === 0) return;
+
+    rows.forEach(row => {
+        mixedColumns.forEach(column => {
+            const roll = random();
+            let value;
+            if (roll < column.nullRatio) {
+                value = null;
+            } else if (roll < column.nullRatio + column.edgeCaseRatio) {
+                value = generateEdgeCaseValue(random, column);
+            } else {
+                return;
+            }
+            if (getDataType(column) === 'reference') {
+                setLookupValue(row, column, value);
+            } else {
+                row[column.field_api] = value;
+            }
+        });
+    });
+}
+
+function readRatio(value, name, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const ratio = Number(value);
+    if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+        throw new Error(`Mock data ${name} must be between 0 and 1`);
+    }
+    return ratio;
+}
+
+/**
+ * Sets the stamps Salesforce keeps on every record, like getObjectTableData returns
+ * @param {Array} rows - Rows to update in place
+ */
+function addVersionStamps(rows) {
+    rows.forEach((row, index) => {
+        const stamp = new Date(MOCK_LOADED_AT + index * 60000).toISOString();
+        row.LastModifiedDate = stamp;
+        row.SystemModstamp = stamp;
+    });
+}
+
+/**
+ * Fills in a mock config from its preset and checks it
+ * @param {Object} config - { preset, seed, rowCount, nullRatio, edgeCaseRatio, columns }, all optional
+ * @returns {Object} - Config with every key set; columns is null for the sample columns
+ * @throws {Error} - Unknown preset or invalid value
+ */
+export function resolveMockConfig(config = {}) {
+    const presetName = (config && config.preset) || DEFAULT_PRESET;
+    const preset = MOCK_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown mock data preset: ${presetName}`);
+    }
+    const merged = { ...preset };
+    Object.keys(config || {}).forEach(key => {
+        if (config[key] !== undefined && config[key] !== null) {
+            merged[key] = config[key];
+        }
+    });
+
+    const seed = Number(merged.seed === undefined ? DEFAULT_SEED : merged.seed);
+    if (!Number.isInteger(seed)) {
+        throw new Error('Mock data seed must be an integer');
+    }
+    const rowCount = Number(merged.rowCount);
+    if (!Number.isInteger(rowCount) || rowCount < 0) {
+        throw new Error('Mock data rowCount must be a whole number');
+    }
+    const nullRatio = readRatio(merged.nullRatio, 'nullRatio', 0);
+    const edgeCaseRatio = readRatio(merged.edgeCaseRatio, 'edgeCaseRatio', 0);
+
+    let columns = null;
+    if (merged.columns) {
+        if (!Array.isArray(merged.columns) || merged.columns.some(column => !column || !column.field_api)) {
+            throw new Error('Mock data columns must be an array of columns with a field_api');
+        }
+        columns = merged.columns.map(column => ({
+            ...column,
+            nullRatio: readRatio(column.nullRatio, `nullRatio of ${column.field_api}`, nullRatio),
+            edgeCaseRatio: readRatio(column.edgeCaseRatio, `edgeCaseRatio of ${column.field_api}`, edgeCaseRatio)
+        }));
+    }
+
+    return { preset: presetName, seed, rowCount, nullRatio, edgeCaseRatio, columns };
+}
+
+/**
+ * Generates complete mock table data (columns + rows). The same config
+ * always gives the same data.
+ * @param {Object} config - Mock config, see resolveMockConfig
  * @returns {Object} - { columns: [], rows: [] }
  */
-export function generateMockTableData(rowCount = 200) {
+export function generateMockTableData(config = {}) {
+    const { seed, rowCount, nullRatio, edgeCaseRatio, columns } = resolveMockConfig(config);
+    // Blanks and edge cases draw from their own stream, so they never shift
+    // the typical values and a shorter run stays a prefix of a longer one
+    const mixRandom = createRandom(seed + 1);
+
+    if (!columns) {
+        const rows = generateRows(rowCount, seed);
+        const sampleColumns = generateColumns().map(column => ({ ...column, nullRatio, edgeCaseRatio }));
+        applyNullsAndEdgeCases(rows, sampleColumns, mixRandom);
+        addVersionStamps(rows);
+        return { columns: generateColumns(), rows };
+    }
+
+    const rows = generateSchemaRows(columns, rowCount, createRandom(seed));
+    applyNullsAndEdgeCases(rows, columns, mixRandom);
+    addVersionStamps(rows);
     return {
-        columns: generateColumns(),
-        rows: generateRows(rowCount)
+        columns: columns.map(column => {
+            const tableColumn = { object_api: 'Sample_Object__c', ...column };
+            GENERATOR_KEYS.forEach(key => delete tableColumn[key]);
+            return tableColumn;
+        }),
+        rows
     };
 }
 
+/**
+ * Mock of CrowlTableController.saveRows for local preview.
+ * Resolves with the same JSON shape as the Apex method. Rows that set
+ * Status__c to 'Cancelled' fail, to simulate a server-side validation rule.
+ * @param {string} rowsJson - JSON array of rows ({ Id, ...changed fields })
+ * @param {number} latency - Simulated round trip in milliseconds
+ * @returns {Promise<string>} - JSON array of { rowId, success, errors }
+ */
+export function mockSaveRows(rowsJson, latency = 400) {
+    const rows = JSON.parse(rowsJson);
+    const results = rows.map(row => {
+        if (row.Status__c === 'Cancelled') {
+            return {
+                rowId: row.Id,
+                success: false,
+                errors: ['FIELD_CUSTOM_VALIDATION_EXCEPTION: Records cannot be cancelled from this view']
+            };
+        }
+        mockServerUpdate(row.Id, row);
+        return { rowId: row.Id, success: true, errors: [] };
+    });
+
+    return new Promise(resolve => {
+        setTimeout(() => resolve(JSON.stringify(results)), latency);
+    });
+}
+
+/**
+ * Replaces the rows the mock server holds, e.g. with freshly generated data
+ * @param {Array} rows - Rows as loaded into the table
+ */
+export function resetMockServer(rows) {
+    mockServerRows.clear();
+    rows.forEach(row => mockServerRows.set(row.Id, JSON.parse(JSON.stringify(row))));
+}
+
+/**
+ * Changes a row on the mock server, as a save by another user would, and
+ * moves its version stamps forward. Rows the server does not hold are ignored.
+ * @param {string} rowId - Row to change
+ * @param {Object} values - fieldApi => new value; lookups also need their relationship object
+ */
+export function mockServerUpdate(rowId, values) {
+    const row = mockServerRows.get(rowId);
+    if (!row) return;
+
+    Object.keys(values).forEach(fieldApi => {
+        if (fieldApi !== 'Id') {
+            row[fieldApi] = values[fieldApi];
+        }
+    });
+    const stamp = new Date(Math.max(Date.now(), Date.parse(row.SystemModstamp || 0) + 1000)).toISOString();
+    row.LastModifiedDate = stamp;
+    row.SystemModstamp = stamp;
+}
+
+/**
+ * Mock of CrowlTableController.getCurrentRows for local preview.
+ * Returns the requested fields, the version stamps and the related
+ * records of rows the mock server holds; other rows count as deleted.
+ * @param {Array<string>} recordIds - Rows to read
+ * @param {Array<string>} fieldApiNames - Fields to return
+ * @param {number} latency - Simulated round trip in milliseconds
+ * @returns {Promise<string>} - JSON array of rows
+ */
+export function mockGetCurrentRows(recordIds, fieldApiNames, latency = 200) {
+    const rows = recordIds.filter(rowId => mockServerRows.has(rowId)).map(rowId => {
+        const serverRow = mockServerRows.get(rowId);
+        const row = { Id: rowId, LastModifiedDate: serverRow.LastModifiedDate, SystemModstamp: serverRow.SystemModstamp };
+        fieldApiNames.forEach(fieldApi => {
+            row[fieldApi] = serverRow[fieldApi] === undefined ? null : serverRow[fieldApi];
+        });
+        // Relationship objects carry the names of related records
+        Object.keys(serverRow).forEach(key => {
+            if (serverRow[key] && typeof serverRow[key] === 'object') {
+                row[key] = serverRow[key];
+            }
+        });
+        return row;
+    });
+
+    return new Promise(resolve => {
+        setTimeout(() => resolve(JSON.stringify(rows)), latency);
+    });
+}
+
+/**
+ * Mock of CrowlTableController.searchLookupRecords for local preview.
+ * Matches names containing the search term, like the Apex LIKE query.
+ * @param {string} objectApiName - Object to search, e.g. 'Account'
+ * @param {string} searchTerm - Text to match (at least 2 characters)
+ * @param {number} limitSize - Maximum number of results
+ * @param {number} latency - Simulated round trip in milliseconds
+ * @returns {Promise<Array>} - [{ id, name }] ordered by name
+ */
+export function mockSearchLookupRecords(objectApiName, searchTerm, limitSize = 10, latency = 200) {
+    const term = (searchTerm || '').trim().toLowerCase();
+    const records = MOCK_LOOKUP_RECORDS[objectApiName] || [];
+    const results = term.length < 2
+        ? []
+        : records
+            .filter(record => record.name.toLowerCase().includes(term))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .slice(0, limitSize);
+
+    return new Promise(resolve => {
+        setTimeout(() => resolve(results.map(record => ({ ...record }))), latency);
+    });
+}
+
 /**
  * Default export for convenience
  */
 export default {
+    createRandom,
+    resolveMockConfig,
     generateColumns,
     generateRows,
     generateMockTableData,
+    mockSaveRows,
+    mockSearchLookupRecords,
+    mockGetCurrentRows,
+    mockServerUpdate,
+    resetMockServer,
+    MOCK_PRESETS,
     STATUSES,
     PRIORITIES
 };
@@ -0,0 +1,116 @@
+/**
+ * Find-and-replace utilities for CrowlTable component
+ * Matches cell text against a plain or regular expression pattern and
+ * builds the replacements, converted and validated for each column's
+ * dataType, before they are staged as edits
+ */
+
+import { formatClipboardValue, parseClipboardValue } from './clipboardUtils';
+import { validateCell } from './validationUtils';
+import { valuesEqual } from './reviewUtils';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the pattern for a search
+ * @param {Object} options - { find, matchCase, wholeCell, useRegex }
+ * @returns {RegExp} - Global pattern; case-insensitive unless matchCase
+ * @throws {Error} - When find is empty or not a valid regular expression
+ */
+export function buildMatcher({ find, matchCase, wholeCell, useRegex }) {
+    if (!find) {
+        throw new Error('Enter the text to find');
+    }
+
+    let source = useRegex ? find : escapeRegExp(find);
+    if (wholeCell) {
+        source = `^(?:${source})$`;
+    }
+    try {
+        return new RegExp(source, matchCase ? 'g' : 'gi');
+    } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+}
+
+/**
+ * Formula columns are computed and lookup cells hold record Ids, so
+ * neither takes replacements
+ * @param {Object} column - Column metadata
+ * @returns {boolean}
+ */
+export function isReplaceableColumn(column) {
+    return !column.isFormula && column.dataType !== 'reference';
+}
+
+/**
+ * Splits text into matched and unmatched parts, for highlighting. Empty
+ * matches are ignored.
+ * @param {string} text - Cell text
+ * @param {RegExp} matcher - From buildMatcher
+ * @returns {Array} - [{ text, isMatch }]
+ */
+export function splitMatches(text, matcher) {
+    const parts = [];
+    let position = 0;
+    for (const match of text.matchAll(matcher)) {
+        if (match[0] === '') continue;
+        if (match.index > position) {
+            parts.push({ text: text.slice(position, match.index), isMatch: false });
+        }
+        parts.push({ text: match[0], isMatch: true });
+        position = match.index + match[0].length;
+    }
+    if (position < text.length) {
+        parts.push({ text: text.slice(position), isMatch: false });
+    }
+    return parts;
+}
+
+/**
+ * Finds the matching cells and what each would become. Cells are matched
+ * on their copy text (numbers unformatted, dates as ISO strings, booleans
+ * as TRUE/FALSE). A replacement is rejected when the new text does not
+ * convert to a valid value for the column, e.g. a picklist value that
+ * does not exist.
+ * @param {Array} rows - Rows in scope
+ * @param {Array} columns - Columns to search
+ * @param {Object} options - { find, replace, matchCase, wholeCell, useRegex, customValidators }
+ * @returns {Object} - { matchCount, cells: [{ rowId, fieldApi, oldText, newText, parts, matchCount }],
+ *   changes: [{ rowId, fieldApi, oldValue, newValue }],
+ *   rejections: [{ rowId, fieldApi, newText, reason }] }
+ */
+export function findReplacements(rows, columns, options) {
+    const matcher = buildMatcher(options);
+    // '$&', '$1' and '$$' are substitutions only in regex mode; plain text is inserted as typed
+    const replacement = options.useRegex ? (options.replace || '') : () => options.replace || '';
+    const searchColumns = columns.filter(isReplaceableColumn);
+    const result = { matchCount: 0, cells: [], changes: [], rejections: [] };
+
+    rows.forEach(row => {
+        searchColumns.forEach(column => {
+            const fieldApi = column.field_api;
+            const oldText = formatClipboardValue(row[fieldApi], column.dataType);
+            const parts = splitMatches(oldText, matcher);
+            const matchCount = parts.filter(part => part.isMatch).length;
+            if (matchCount === 0) return;
+
+            const newText = oldText.replace(matcher, replacement);
+            result.matchCount += matchCount;
+            result.cells.push({ rowId: row.Id, fieldApi, oldText, newText, parts, matchCount });
+
+            const oldValue = row[fieldApi];
+            const newValue = parseClipboardValue(column, newText);
+            const error = validateCell(newValue, column, { ...row, [fieldApi]: newValue }, options.customValidators);
+            if (error) {
+                result.rejections.push({ rowId: row.Id, fieldApi, newText, reason: error });
+            } else if (!valuesEqual(oldValue, newValue)) {
+                result.changes.push({ rowId: row.Id, fieldApi, oldValue, newValue });
+            }
+        });
+    });
+
+    return result;
+}
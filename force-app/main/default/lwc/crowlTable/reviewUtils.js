@@ -0,0 +1,86 @@
+/**
+ * Change review utilities for CrowlTable component
+ * Compares working values against the original baseline and groups the
+ * differences for the review panel
+ */
+
+export const GROUP_BY_ROW = 'row';
+export const GROUP_BY_COLUMN = 'column';
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compares two cell values. Blank values (null, undefined, '') are equal to
+ * each other, and numbers compare by value.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True when the values are the same
+ */
+export function valuesEqual(a, b) {
+    if (isBlank(a) && isBlank(b)) return true;
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) === Number(b) && !isBlank(a) && !isBlank(b);
+    }
+    return a === b;
+}
+
+/**
+ * Lists every edited cell with its original and current value
+ * @param {Map} editedCells - 'rowId_fieldApi' => true
+ * @param {Map} workingDataMap - rowId => working row
+ * @param {Map} originalDataMap - rowId => original row
+ * @returns {Array} - [{ rowId, fieldApi, originalValue, newValue }]
+ */
+export function collectChanges(editedCells, workingDataMap, originalDataMap) {
+    const changes = [];
+    editedCells.forEach((value, cellKey) => {
+        const separatorIndex = cellKey.indexOf('_');
+        const rowId = cellKey.substring(0, separatorIndex);
+        const fieldApi = cellKey.substring(separatorIndex + 1);
+        const workingRow = workingDataMap.get(rowId);
+        if (!workingRow) return;
+
+        const originalRow = originalDataMap.get(rowId);
+        changes.push({
+            rowId,
+            fieldApi,
+            originalValue: originalRow ? originalRow[fieldApi] : null,
+            newValue: workingRow[fieldApi]
+        });
+    });
+    return changes;
+}
+
+/**
+ * Groups changes by row or by column, keeping row order and column order
+ * @param {Array} changes - Result of collectChanges
+ * @param {string} groupBy - GROUP_BY_ROW or GROUP_BY_COLUMN
+ * @param {Object} options - { rowOrder: [rowId], columns: [column metadata] }
+ * @returns {Array} - [{ key, changes: [] }] in display order
+ */
+export function groupChanges(changes, groupBy, options) {
+    const groups = new Map();
+    changes.forEach(change => {
+        const key = groupBy === GROUP_BY_COLUMN ? change.fieldApi : change.rowId;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(change);
+    });
+
+    const rowIndex = new Map(options.rowOrder.map((rowId, index) => [rowId, index]));
+    const columnIndex = new Map(options.columns.map((col, index) => [col.field_api, index]));
+    const byRow = (a, b) => (rowIndex.get(a.rowId) || 0) - (rowIndex.get(b.rowId) || 0);
+    const byColumn = (a, b) => (columnIndex.get(a.fieldApi) || 0) - (columnIndex.get(b.fieldApi) || 0);
+
+    const ordered = Array.from(groups.entries()).map(([key, groupChangesList]) => ({
+        key,
+        changes: groupChangesList.sort(groupBy === GROUP_BY_COLUMN ? byRow : byColumn)
+    }));
+
+    return ordered.sort((a, b) => (groupBy === GROUP_BY_COLUMN
+        ? (columnIndex.get(a.key) || 0) - (columnIndex.get(b.key) || 0)
+        : (rowIndex.get(a.key) || 0) - (rowIndex.get(b.key) || 0)));
+}
@@ -0,0 +1,172 @@
+/**
+ * Sorting utilities for CrowlTable component
+ * Type-aware comparators and multi-column sort key handling
+ */
+
+import {
+    getTypeFamily,
+    resolveReferenceLabel,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    BOOLEAN_FAMILY,
+    PICKLIST_FAMILY,
+    REFERENCE_FAMILY
+} from './fieldTypes';
+
+export const SORT_ASC = 'asc';
+export const SORT_DESC = 'desc';
+
+/**
+ * Checks whether a cell value should be treated as blank
+ * @param {*} value - Cell value
+ * @returns {boolean} - True for null, undefined and empty string
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Converts a date value to a comparable timestamp
+ * @param {*} value - ISO date string or Date
+ * @returns {number} - Milliseconds since epoch, NaN if unparseable
+ */
+function toTime(value) {
+    return value instanceof Date ? value.getTime() : Date.parse(value);
+}
+
+const compareText = (a, b) => String(a).localeCompare(String(b), undefined, {
+    numeric: true,
+    sensitivity: 'base'
+});
+
+/**
+ * Builds a comparator for non-blank values of a column
+ * @param {Object} column - Column metadata (dataType, picklistValues)
+ * @param {Map} referenceLabels - Record Id => name, so lookups sort by name
+ * @returns {Function} - (a, b) => number
+ */
+export function getComparator(column, referenceLabels) {
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY:
+            return (a, b) => Number(a) - Number(b);
+        case DATE_FAMILY:
+        case DATETIME_FAMILY:
+            return (a, b) => {
+                const timeA = toTime(a);
+                const timeB = toTime(b);
+                if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+                    return String(a).localeCompare(String(b));
+                }
+                return timeA - timeB;
+            };
+        case BOOLEAN_FAMILY:
+            // false sorts before true
+            return (a, b) => Number(Boolean(a)) - Number(Boolean(b));
+        case PICKLIST_FAMILY: {
+            // Follow the picklist definition order; unknown values go after known ones
+            const order = new Map();
+            (column.picklistValues || []).forEach((opt, index) => order.set(opt.value, index));
+            return (a, b) => {
+                const indexA = order.has(a) ? order.get(a) : order.size;
+                const indexB = order.has(b) ? order.get(b) : order.size;
+                if (indexA !== indexB) return indexA - indexB;
+                return String(a).localeCompare(String(b));
+            };
+        }
+        case REFERENCE_FAMILY:
+            return (a, b) => compareText(
+                resolveReferenceLabel(a, referenceLabels),
+                resolveReferenceLabel(b, referenceLabels)
+            );
+        default:
+            return compareText;
+    }
+}
+
+/**
+ * Sorts rows by one or more sort keys. Blank values always sort last.
+ * Returns a new array; the input is not modified.
+ * @param {Array} rows - Rows to sort
+ * @param {Array} sortKeys - [{ fieldApi, direction }] in priority order
+ * @param {Map} columnMetadataMap - fieldApi => column metadata
+ * @param {Map} referenceLabels - Record Id => name for lookup columns (optional)
+ * @returns {Array} - Sorted copy of rows
+ */
+export function sortRows(rows, sortKeys, columnMetadataMap, referenceLabels) {
+    const keys = sortKeys
+        .filter(key => columnMetadataMap.has(key.fieldApi))
+        .map(key => ({
+            fieldApi: key.fieldApi,
+            multiplier: key.direction === SORT_DESC ? -1 : 1,
+            compare: getComparator(columnMetadataMap.get(key.fieldApi), referenceLabels)
+        }));
+
+    if (keys.length === 0) return rows;
+
+    return [...rows].sort((rowA, rowB) => {
+        for (const key of keys) {
+            const a = rowA[key.fieldApi];
+            const b = rowB[key.fieldApi];
+            const blankA = isBlank(a);
+            const blankB = isBlank(b);
+
+            if (blankA || blankB) {
+                if (blankA && blankB) continue;
+                return blankA ? 1 : -1;
+            }
+
+            const result = key.compare(a, b);
+            if (result !== 0) return result * key.multiplier;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Computes the next sort keys after a header click.
+ * A plain click makes the column the only sort key; shift-click adds it as
+ * a secondary key. Each click cycles the column asc -> desc -> none.
+ * @param {Array} sortKeys - Current sort keys
+ * @param {string} fieldApi - Clicked column
+ * @param {boolean} additive - True when shift was held
+ * @returns {Array} - New sort keys
+ */
+export function cycleSortKeys(sortKeys, fieldApi, additive) {
+    const existing = sortKeys.find(key => key.fieldApi === fieldApi);
+    let nextDirection = SORT_ASC;
+    if (existing) {
+        nextDirection = existing.direction === SORT_ASC ? SORT_DESC : null;
+    }
+
+    if (!additive) {
+        return nextDirection ? [{ fieldApi, direction: nextDirection }] : [];
+    }
+
+    if (!existing) {
+        return [...sortKeys, { fieldApi, direction: nextDirection }];
+    }
+    if (!nextDirection) {
+        return sortKeys.filter(key => key.fieldApi !== fieldApi);
+    }
+    return sortKeys.map(key => (key.fieldApi === fieldApi ? { fieldApi, direction: nextDirection } : key));
+}
+
+/**
+ * Cleans sort keys from outside the component (saved views, setSortKeys):
+ * drops unknown and repeated columns and defaults the direction to ascending
+ * @param {Array} sortKeys - [{ fieldApi, direction }]
+ * @param {Map} columnMetadataMap - fieldApi => column metadata
+ * @returns {Array} - Valid sort keys in the same priority order
+ */
+export function normalizeSortKeys(sortKeys, columnMetadataMap) {
+    const normalized = [];
+    (Array.isArray(sortKeys) ? sortKeys : []).forEach(key => {
+        if (!key || !columnMetadataMap.has(key.fieldApi) ||
+            normalized.some(existing => existing.fieldApi === key.fieldApi)) {
+            return;
+        }
+        normalized.push({ fieldApi: key.fieldApi, direction: key.direction === SORT_DESC ? SORT_DESC : SORT_ASC });
+    });
+    return normalized;
+}
@@ -0,0 +1,237 @@
+/**
+ * Validation utilities for CrowlTable component
+ * Rules come from the optional `validation` object on column metadata:
+ *   {
+ *     required: true,
+ *     min: 0, max: 100000,                 // number, currency, percent
+ *     maxLength: 80,                       // text types
+ *     pattern: '^[A-Z]', patternMessage,   // text types, regex source string (ignored when invalid)
+ *     minDate: '2024-01-01', maxDate       // date and datetime, inclusive ISO dates
+ *   }
+ * Picklist and multi-select picklist columns are always checked against
+ * their picklistValues; email, URL and lookup columns against their format.
+ * Custom validators are keyed by field_api: a function, or an array of
+ * functions, called as fn(value, row, column) and returning an error
+ * message string when the value is invalid. A validator that throws marks
+ * the cell invalid with the error's message.
+ */
+
+import {
+    getTypeFamily,
+    splitMultiValue,
+    joinMultiValue,
+    fromDateTimeInputValue,
+    toLocalDateString,
+    RECORD_ID_PATTERN,
+    NUMBER_FAMILY,
+    DATE_FAMILY,
+    DATETIME_FAMILY,
+    PICKLIST_FAMILY,
+    MULTIPICKLIST_FAMILY,
+    BOOLEAN_FAMILY,
+    REFERENCE_FAMILY
+} from './fieldTypes';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^(https?:\/\/)?[^\s/$.?#][^\s]*\.[^\s]+$/i;
+const PHONE_PATTERN = /^[0-9+()\-.\s]*(ext\.?\s*\d+)?$/i;
+const NUMBER_INPUT_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Converts a raw input value to the column's type. Numbers must be the
+ * whole input: text such as "12abc" or "1,234" is kept as-is so
+ * validation can flag it instead of silently reading a prefix of it.
+ * @param {Object} column - Column metadata
+ * @param {*} rawValue - Value from an input element
+ * @returns {*} - Typed value
+ */
+export function convertInputValue(column, rawValue) {
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY: {
+            if (isBlank(rawValue)) return null;
+            if (typeof rawValue === 'number') return rawValue;
+            const trimmed = String(rawValue).trim();
+            return NUMBER_INPUT_PATTERN.test(trimmed) ? Number(trimmed) : String(rawValue);
+        }
+        case DATETIME_FAMILY:
+            // datetime-local inputs give local time; store UTC like Salesforce
+            return fromDateTimeInputValue(rawValue);
+        case MULTIPICKLIST_FAMILY:
+            // Arrays come from <select multiple>, strings from typed input
+            return joinMultiValue(rawValue);
+        case REFERENCE_FAMILY:
+            return isBlank(rawValue) ? null : String(rawValue).trim();
+        default:
+            return rawValue;
+    }
+}
+
+function compilePattern(source) {
+    if (!source) return null;
+    try {
+        return new RegExp(source);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Compiles the pattern of a column's validation rules once, when the
+ * metadata loads. A pattern that is not a valid regular expression is
+ * dropped, so the column is still checked against its other rules.
+ * @param {Object} validation - Column validation rules (optional)
+ * @returns {Object|undefined} - Rules with patternRegExp set, or undefined without rules
+ */
+export function compileValidationRules(validation) {
+    if (!validation) return validation;
+    return { ...validation, patternRegExp: compilePattern(validation.pattern) };
+}
+
+function runBuiltInRules(value, column) {
+    const rules = column.validation || {};
+    const label = column.label || column.field_api;
+
+    if (isBlank(value)) {
+        return rules.required ? `${label} is required` : null;
+    }
+
+    switch (getTypeFamily(column.dataType)) {
+        case NUMBER_FAMILY: {
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                return `${label} must be a number`;
+            }
+            if (rules.min !== undefined && rules.min !== null && value < rules.min) {
+                return `${label} must be at least ${rules.min}`;
+            }
+            if (rules.max !== undefined && rules.max !== null && value > rules.max) {
+                return `${label} must be at most ${rules.max}`;
+            }
+            return null;
+        }
+        case DATE_FAMILY: {
+            const text = String(value);
+            if (!ISO_DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+                return `${label} must be a valid date`;
+            }
+            const date = text.slice(0, 10);
+            if (rules.minDate && date < rules.minDate) {
+                return `${label} must be on or after ${rules.minDate}`;
+            }
+            if (rules.maxDate && date > rules.maxDate) {
+                return `${label} must be on or before ${rules.maxDate}`;
+            }
+            return null;
+        }
+        case DATETIME_FAMILY: {
+            const text = String(value);
+            if (!ISO_DATETIME_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+                return `${label} must be a valid date and time`;
+            }
+            const date = toLocalDateString(text);
+            if (rules.minDate && date < rules.minDate) {
+                return `${label} must be on or after ${rules.minDate}`;
+            }
+            if (rules.maxDate && date > rules.maxDate) {
+                return `${label} must be on or before ${rules.maxDate}`;
+            }
+            return null;
+        }
+        case PICKLIST_FAMILY: {
+            const allowed = column.picklistValues || [];
+            if (allowed.length > 0 && !allowed.some(opt => opt.value === value)) {
+                return `${value} is not a valid ${label} value`;
+            }
+            return null;
+        }
+        case MULTIPICKLIST_FAMILY: {
+            const allowed = new Set((column.picklistValues || []).map(opt => opt.value));
+            const invalid = allowed.size > 0
+                ? splitMultiValue(value).filter(part => !allowed.has(part))
+                : [];
+            if (invalid.length > 0) {
+                return `${invalid.join(', ')} ${invalid.length === 1 ? 'is not a valid' : 'are not valid'} ${label} value${invalid.length === 1 ? '' : 's'}`;
+            }
+            return null;
+        }
+        case BOOLEAN_FAMILY:
+            return typeof value === 'boolean' ? null : `${label} must be true or false`;
+        case REFERENCE_FAMILY:
+            return RECORD_ID_PATTERN.test(String(value)) ? null : `${label} must be a record found by search`;
+        default: {
+            const text = String(value);
+            if (column.dataType === 'email' && !EMAIL_PATTERN.test(text)) {
+                return `${label} must be a valid email address`;
+            }
+            if (column.dataType === 'url' && !URL_PATTERN.test(text)) {
+                return `${label} must be a valid URL`;
+            }
+            if (column.dataType === 'phone' && !PHONE_PATTERN.test(text)) {
+                return `${label} must be a valid phone number`;
+            }
+            if (rules.maxLength && text.length > rules.maxLength) {
+                return `${label} cannot exceed ${rules.maxLength} characters`;
+            }
+            const pattern = rules.patternRegExp !== undefined ? rules.patternRegExp : compilePattern(rules.pattern);
+            if (pattern && !pattern.test(text)) {
+                return rules.patternMessage || `${label} has an invalid format`;
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * Validates one cell value
+ * @param {*} value - Cell value
+ * @param {Object} column - Column metadata
+ * @param {Object} row - Full row (passed to custom validators)
+ * @param {Object} customValidators - field_api => function | function[]
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateCell(value, column, row, customValidators) {
+    const builtInError = runBuiltInRules(value, column);
+    if (builtInError) return builtInError;
+
+    const custom = customValidators ? customValidators[column.field_api] : null;
+    if (!custom) return null;
+
+    const validators = Array.isArray(custom) ? custom : [custom];
+    for (const validator of validators) {
+        if (typeof validator !== 'function') continue;
+        let result;
+        try {
+            result = validator(value, row, column);
+        } catch (e) {
+            // A broken validator must not interrupt a change set half-applied
+            return `Validation failed: ${e.message}`;
+        }
+        if (typeof result === 'string' && result) {
+            return result;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates every column of a row
+ * @param {Object} row - Row to validate
+ * @param {Array} columns - Column metadata list
+ * @param {Object} customValidators - field_api => function | function[]
+ * @returns {Object} - field_api => error message (empty when the row is valid)
+ */
+export function validateRow(row, columns, customValidators) {
+    const errors = {};
+    columns.forEach(col => {
+        const message = validateCell(row[col.field_api], col, row, customValidators);
+        if (message) {
+            errors[col.field_api] = message;
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,92 @@
+/**
+ * Saved view storage for CrowlTable component
+ * A view storage is any object with loadViews(storageKey) and
+ * saveViews(storageKey, views), both returning promises. Views are
+ * [{ name, state }] in the order the user created them.
+ */
+
+export const VIEW_STORAGE_LOCAL = 'local';
+export const VIEW_STORAGE_APEX = 'apex';
+
+const LOCAL_STORAGE_PREFIX = 'crowlTable.views';
+
+/**
+ * Drops malformed views; when names repeat the last view wins, in the
+ * position of the first
+ * @param {Array} views - Views as stored
+ * @returns {Array} - [{ name, state }]
+ */
+export function normalizeViews(views) {
+    const byName = new Map();
+    (Array.isArray(views) ? views : []).forEach(view => {
+        const name = view && typeof view.name === 'string' ? view.name.trim() : '';
+        if (name && view.state && typeof view.state === 'object') {
+            byName.set(name, { name, state: view.state });
+        }
+    });
+    return Array.from(byName.values());
+}
+
+/**
+ * Adds a view, or replaces the state of the view with the same name
+ * @param {Array} views - Current views
+ * @param {string} name - View name
+ * @param {Object} state - View state
+ * @returns {Array} - New views (the input is not changed)
+ */
+export function upsertView(views, name, state) {
+    return views.some(view => view.name === name)
+        ? views.map(view => (view.name === name ? { name, state } : view))
+        : [...views, { name, state }];
+}
+
+/**
+ * @param {Array} views - Current views
+ * @param {string} name - View to remove
+ * @returns {Array} - New views (the input is not changed)
+ */
+export function removeView(views, name) {
+    return views.filter(view => view.name !== name);
+}
+
+/**
+ * Browser storage, namespaced by user so people sharing a browser keep
+ * separate views
+ * @param {Storage} storage - window.localStorage
+ * @param {string} userId - Current user Id
+ * @returns {Object} - View storage
+ */
+export function createLocalViewStorage(storage, userId) {
+    const getItemKey = storageKey => `${LOCAL_STORAGE_PREFIX}:${userId}:${storageKey}`;
+    return {
+        loadViews(storageKey) {
+            return new Promise(resolve => {
+                const stored = storage.getItem(getItemKey(storageKey));
+                resolve(normalizeViews(stored ? JSON.parse(stored) : []));
+            });
+        },
+        saveViews(storageKey, views) {
+            return new Promise(resolve => {
+                storage.setItem(getItemKey(storageKey), JSON.stringify(views));
+                resolve();
+            });
+        }
+    };
+}
+
+/**
+ * Storage in the org through CrowlTableController; records belong to the
+ * running user, so no user Id is needed in the key
+ * @param {Object} methods - { getSavedViews, saveViews } Apex methods
+ * @returns {Object} - View storage
+ */
+export function createApexViewStorage({ getSavedViews, saveViews }) {
+    return {
+        loadViews(storageKey) {
+            return getSavedViews({ storageKey }).then(response => normalizeViews(JSON.parse(response || '[]')));
+        },
+        saveViews(storageKey, views) {
+            return saveViews({ storageKey, viewsJson: JSON.stringify(views) });
+        }
+    };
+}
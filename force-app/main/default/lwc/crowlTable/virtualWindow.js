@@ -0,0 +1,113 @@
+/**
+ * Virtual scrolling utilities for CrowlTable component
+ * Remembers the height of rows that have rendered, estimates the rest from
+ * their average, and finds the rows that cover the scroll viewport
+ */
+
+export const DEFAULT_ROW_HEIGHT = 32;
+
+// Sub-pixel differences between renders are not worth a new layout
+const HEIGHT_TOLERANCE = 1;
+
+export class RowHeightCache {
+    constructor(defaultHeight = DEFAULT_ROW_HEIGHT) {
+        this._defaultHeight = defaultHeight;
+        this._heights = new Map(); // key: row key, value: measured height in px
+        this._measuredTotal = 0;
+        this.version = 0; // Changes whenever a height does, for memoized offsets
+    }
+
+    /**
+     * Records the rendered height of a row
+     * @param {string} key - Row key
+     * @param {number} height - Height in px
+     * @returns {boolean} - True when the stored height changed
+     */
+    set(key, height) {
+        const previous = this._heights.get(key);
+        if (!(height > 0) || (previous !== undefined && Math.abs(previous - height) < HEIGHT_TOLERANCE)) {
+            return false;
+        }
+        this._measuredTotal += height - (previous || 0);
+        this._heights.set(key, height);
+        this.version++;
+        return true;
+    }
+
+    /**
+     * Height used for rows that have not rendered yet
+     */
+    get estimate() {
+        return this._heights.size > 0 ? this._measuredTotal / this._heights.size : this._defaultHeight;
+    }
+
+    get(key) {
+        const height = this._heights.get(key);
+        return height === undefined ? this.estimate : height;
+    }
+
+    clear() {
+        this._heights.clear();
+        this._measuredTotal = 0;
+        this.version++;
+    }
+
+    /**
+     * Top offset of every row, from measured or estimated heights
+     * @param {Array<string>} keys - Row keys in display order
+     * @returns {Float64Array} - offsets[i] is the top of row i; offsets[keys.length] is the total height
+     */
+    buildOffsets(keys) {
+        const offsets = new Float64Array(keys.length + 1);
+        const estimate = this.estimate;
+        for (let i = 0; i < keys.length; i++) {
+            const height = this._heights.get(keys[i]);
+            offsets[i + 1] = offsets[i] + (height === undefined ? estimate : height);
+        }
+        return offsets;
+    }
+}
+
+/**
+ * Index of the row that contains an offset (binary search)
+ * @param {Float64Array} offsets - From RowHeightCache.buildOffsets
+ * @param {number} offset - Distance from the top of the first row, in px
+ * @returns {number} - Row index, clamped to the rows
+ */
+export function findRowAtOffset(offsets, offset) {
+    const count = offsets.length - 1;
+    if (count <= 0) return 0;
+
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Rows to render for a scroll position: those inside the viewport plus
+ * overscan rows on each side, so short scrolls do not show blank space
+ * @param {Float64Array} offsets - From RowHeightCache.buildOffsets
+ * @param {number} viewportTop - Top of the viewport relative to the first row, in px
+ * @param {number} viewportHeight - Viewport height in px
+ * @param {number} overscan - Rows rendered beyond each edge
+ * @returns {Object} - { start, end } row indexes, end exclusive
+ */
+export function findVisibleRange(offsets, viewportTop, viewportHeight, overscan) {
+    const count = offsets.length - 1;
+    if (count <= 0) return { start: 0, end: 0 };
+
+    const first = findRowAtOffset(offsets, Math.max(0, viewportTop));
+    const last = findRowAtOffset(offsets, Math.max(0, viewportTop + viewportHeight));
+    return {
+        start: Math.max(0, first - overscan),
+        end: Math.min(count, last + 1 + overscan)
+    };
+}